@@ -0,0 +1,271 @@
+/**
+ * REST API
+ * Versioned JSON API for other services (websites, game server whitelists, ...)
+ * Every request is authenticated with an API key of one server, created with /verifyapikey
+ * @module api
+ */
+
+import express from "express"
+import crypto from "crypto"
+import { log, addLogContext } from "./utils/logger.js"
+import { apiKeys } from "./utils/api-keys.js"
+import { verificationStore } from "./utils/verification-store.js"
+import guildSettings from "./utils/guild-settings.js"
+import { verificationLedger } from "./utils/verification-ledger.js"
+import { verificationEvents, VerificationEvent } from "./utils/verification-events.js"
+import { RateLimiter } from "./utils/rate-limiter.js"
+import { client, revokeVerification } from "./bot.js"
+import config from "./config.js"
+
+const SNOWFLAKE_PATTERN = /^\d{17,20}$/
+
+const keyLimiter = new RateLimiter(config.rateLimit.api)
+
+export const apiRouter = express.Router()
+
+/**
+ * Send a JSON error response
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status code
+ * @param {string} code - Machine readable error code
+ * @param {string} message - Human readable description
+ */
+function sendError(res, status, code, message) {
+  res.status(status).json({ error: { code, message } })
+}
+
+/**
+ * Format a ledger entry for API responses
+ * @param {Object} entry - Ledger entry
+ * @returns {Object} Entry with ISO timestamps
+ */
+function formatLedgerEntry(entry) {
+  return {
+    type: entry.type,
+    userId: entry.userId,
+    timestamp: new Date(entry.timestamp).toISOString(),
+    verifiedAt: new Date(entry.verifiedAt ?? entry.timestamp).toISOString(),
+    source: entry.source,
+    username: entry.user?.username ?? null,
+    globalName: entry.user?.globalName ?? null,
+    approvedBy: entry.approvedBy ?? null,
+    revokedBy: entry.revokedBy ?? null,
+    reason: entry.reason ?? null,
+  }
+}
+
+/**
+ * API Key Middleware
+ * Expects "Authorization: Bearer <key>" and attaches the key's details to req.apiKey
+ */
+apiRouter.use((req, res, next) => {
+  const [scheme, key] = (req.headers.authorization || "").split(" ")
+  const apiKey = scheme === "Bearer" ? apiKeys.authenticate(key) : null
+
+  if (!apiKey) {
+    log.warn(`API request with missing or invalid key from ${req.ip}`)
+    return sendError(res, 401, "unauthorized", "Missing or invalid API key")
+  }
+
+  const limit = keyLimiter.hit(apiKey.id)
+
+  if (!limit.allowed) {
+    res.set("Retry-After", String(Math.ceil(limit.retryAfter / 1000)))
+    return sendError(res, 429, "rate_limited", "Too many requests, please slow down")
+  }
+
+  req.apiKey = apiKey
+  addLogContext({ apiKey: apiKey.id })
+  next()
+})
+
+// Parsed here because the router is mounted before the app's body parsers, see the error handler below
+apiRouter.use(express.json())
+
+/**
+ * Resolve the guild of a request
+ * Keys only grant access to the server they were created in
+ */
+apiRouter.param("guildId", (req, res, next, guildId) => {
+  if (guildId !== req.apiKey.guildId) {
+    return sendError(res, 403, "forbidden", "This API key does not belong to this server")
+  }
+
+  req.guild = client.guilds.cache.get(guildId)
+
+  if (!req.guild) {
+    return sendError(res, 404, "guild_not_found", "The bot is not in this server")
+  }
+
+  next()
+})
+
+/**
+ * Check user IDs in the path
+ */
+apiRouter.param("userId", (req, res, next, userId) => {
+  if (!SNOWFLAKE_PATTERN.test(userId)) {
+    return sendError(res, 400, "invalid_user_id", "User ID must be a Discord ID")
+  }
+  next()
+})
+
+/**
+ * Verification Status
+ * Whether a user currently has the verified role, with their latest ledger entry and pending link
+ */
+apiRouter.get("/guilds/:guildId/users/:userId", async (req, res) => {
+  const { guild } = req
+  const { userId } = req.params
+  const settings = guildSettings.getSettings(guild.id)
+
+  const member = await guild.members.fetch(userId).catch(() => null)
+  const latest = verificationLedger.getLatest(guild.id, userId)
+  const pending = verificationStore.getPendingFor(userId, guild.id)
+
+  res.json({
+    guildId: guild.id,
+    userId,
+    member: Boolean(member),
+    verified: Boolean(member && settings.roleId && member.roles.cache.has(settings.roleId)),
+    latest: latest ? formatLedgerEntry(latest) : null,
+    pending: pending ? { expiresAt: new Date(pending.expiresAt).toISOString() } : null,
+  })
+})
+
+/**
+ * Recent Verifications
+ * Ledger entries of the server, newest first
+ * Query: limit (default 50, max config.api.maxRecent), before (ISO date or timestamp, for paging)
+ */
+apiRouter.get("/guilds/:guildId/verifications", (req, res) => {
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit)
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > config.api.maxRecent) {
+    return sendError(res, 400, "invalid_limit", `limit must be a whole number from 1 to ${config.api.maxRecent}`)
+  }
+
+  let before = Infinity
+  if (req.query.before !== undefined) {
+    before = /^\d+$/.test(req.query.before) ? Number(req.query.before) : Date.parse(req.query.before)
+
+    if (Number.isNaN(before)) {
+      return sendError(res, 400, "invalid_before", "before must be an ISO date or a timestamp in milliseconds")
+    }
+  }
+
+  const entries = verificationLedger
+    .getEntries(req.guild.id)
+    .filter((entry) => entry.timestamp < before)
+    .slice(-limit)
+    .reverse()
+
+  res.json({ guildId: req.guild.id, verifications: entries.map(formatLedgerEntry) })
+})
+
+/**
+ * Start Verification
+ * Issues a verification link for a member, the same as clicking the Verify button
+ * The link still requires the member to log in with Discord, so it is safe to hand to them through another service
+ */
+apiRouter.post("/guilds/:guildId/users/:userId/verification-link", async (req, res) => {
+  const { guild } = req
+  const { userId } = req.params
+  const settings = guildSettings.getSettings(guild.id)
+
+  if (!settings.roleId || !guild.roles.cache.has(settings.roleId)) {
+    return sendError(res, 409, "not_configured", "Verification is not configured for this server")
+  }
+
+  const member = await guild.members.fetch(userId).catch(() => null)
+
+  if (!member) {
+    return sendError(res, 404, "member_not_found", "The user is not a member of this server")
+  }
+
+  if (member.roles.cache.has(settings.roleId)) {
+    return sendError(res, 409, "already_verified", "The member is already verified")
+  }
+
+  const correlationId = crypto.randomUUID()
+  addLogContext({ correlationId, userId, guildId: guild.id })
+
+  const { token, expiresAt } = await verificationStore.addPending(
+    userId,
+    guild.id,
+    guildSettings.getLinkLifetime(guild.id),
+    correlationId,
+  )
+
+  log.info("Verification link issued through the API", { user: member.user.tag, keyName: req.apiKey.name })
+  verificationEvents.record(VerificationEvent.LINK_ISSUED, { guildId: guild.id, userId })
+
+  res.status(201).json({
+    guildId: guild.id,
+    userId,
+    url: `${process.env.BASE_URL}/verify?token=${token}`,
+    expiresAt: new Date(expiresAt).toISOString(),
+  })
+})
+
+/**
+ * Revoke Verification
+ * Removes the verified role and records the revocation, the same as /unverify
+ * Body (optional JSON): { reason }
+ */
+apiRouter.delete("/guilds/:guildId/users/:userId/verification", async (req, res) => {
+  const { guild } = req
+  const { userId } = req.params
+  const settings = guildSettings.getSettings(guild.id)
+
+  if (!settings.roleId) {
+    return sendError(res, 409, "not_configured", "Verification is not configured for this server")
+  }
+
+  const member = await guild.members.fetch(userId).catch(() => null)
+
+  if (!member) {
+    return sendError(res, 404, "member_not_found", "The user is not a member of this server")
+  }
+
+  const reason =
+    typeof req.body?.reason === "string" && req.body.reason.trim()
+      ? req.body.reason.trim().slice(0, 512)
+      : `Revoked through the API (key ${req.apiKey.name})`
+
+  const wasVerified = member.roles.cache.has(settings.roleId) || verificationLedger.isVerified(guild.id, userId)
+
+  try {
+    await revokeVerification(member, settings, "api", reason)
+  } catch (error) {
+    log.error(`Failed to revoke verification of ${member.user.tag} through the API`, error)
+    return error.code === 50013
+      ? sendError(res, 502, "missing_permissions", "The bot is not allowed to remove the verified role")
+      : sendError(res, 502, "discord_error", "Discord rejected the role change, please try again")
+  }
+
+  log.success(`Verification of ${member.user.tag} in ${guild.name} removed through API key ${req.apiKey.name}`)
+  verificationEvents.record(VerificationEvent.UNVERIFIED, { guildId: guild.id, userId, reason })
+
+  res.json({ guildId: guild.id, userId, revoked: wasVerified })
+})
+
+/**
+ * API 404 Handler
+ */
+apiRouter.use((req, res) => {
+  sendError(res, 404, "not_found", "Unknown endpoint")
+})
+
+/**
+ * API Error Handler
+ * Keeps errors, including malformed JSON bodies, in the API's JSON format
+ */
+apiRouter.use((err, req, res, next) => {
+  if (err.type === "entity.parse.failed") {
+    return sendError(res, 400, "invalid_body", "Request body is not valid JSON")
+  }
+
+  log.error("API error", err)
+  sendError(res, 500, "internal_error", "Internal server error")
+})
@@ -15,12 +15,31 @@ import {
   REST,
   Routes,
   PermissionFlagsBits,
+  ChannelType,
+  AttachmentBuilder,
 } from "discord.js"
 import dotenv from "dotenv"
-import { log } from "./utils/logger.js"
+import crypto from "crypto"
+import { log, runWithLogContext, getLogContext } from "./utils/logger.js"
 import { verificationStore } from "./utils/verification-store.js"
 import config from "./config.js"
 import guildSettings from "./utils/guild-settings.js"
+import { validateUsernamePattern, getAccountCreatedAt } from "./utils/requirements.js"
+import { approvalQueue } from "./utils/approval-queue.js"
+import { usernameHistory } from "./utils/username-history.js"
+import { memberDeadlines } from "./utils/member-deadlines.js"
+import { verificationEvents, VerificationEvent } from "./utils/verification-events.js"
+import { attachAuditLog } from "./utils/audit-log.js"
+import { verificationLedger, snapshotUser, describePolicy } from "./utils/verification-ledger.js"
+import { reverifyCampaigns } from "./utils/reverify-campaigns.js"
+import { verificationStats, FUNNEL_STEPS, FAILURE_CAUSES } from "./utils/verification-stats.js"
+import { closeStorage } from "./utils/storage.js"
+import { RateLimiter } from "./utils/rate-limiter.js"
+import { apiKeys } from "./utils/api-keys.js"
+import { webhooks, isValidWebhookUrl, validateWebhookTarget } from "./utils/webhooks.js"
+import { getTranslator, getMessageTemplateOptions, SUPPORTED_LOCALES, MESSAGE_KEYS } from "./utils/i18n.js"
+import { validateTemplate, discordTimestamp, truncate, EMBED_LIMITS } from "./utils/templates.js"
+import { validateAccentColor, validateIconUrl, validatePageText, PAGE_TEXT_LIMITS } from "./utils/branding.js"
 
 // Load environment variables
 dotenv.config()
@@ -30,17 +49,31 @@ dotenv.config()
  * Intents specify what events the bot can receive
  */
 const client = new Client({
-  intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMembers, GatewayIntentBits.GuildMessages],
+  intents: [
+    GatewayIntentBits.Guilds,
+    GatewayIntentBits.GuildMembers,
+    GatewayIntentBits.GuildMessages,
+    GatewayIntentBits.GuildModeration,
+  ],
 })
 
-/**
- * Generate a random state string for OAuth2 security
- * Prevents CSRF attacks by ensuring the callback matches the original request
- * @returns {string} Random state string
- */
-function generateState() {
-  return Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15)
-}
+// Custom ID prefixes of the buttons on review requests
+const REVIEW_ACTIONS = ["review_approve", "review_deny", "review_ban"]
+
+// Commands available to verification moderators
+const MODERATOR_COMMANDS = ["verify-user", "unverify", "verify-reset"]
+
+// Longest text of a message override; the link embed leaves room for the link and expiry lines
+const MESSAGE_LENGTH_LIMITS = { "link.title": EMBED_LIMITS.title, "link.description": 4000, default: 2000 }
+
+// Longest reason a moderator can give, as in the REST API
+const REASON_MAX_LENGTH = 512
+
+// Length of a reason shown in /verifyhistory, so 15 entries fit in one embed
+const HISTORY_REASON_LENGTH = 100
+
+// Verify button clicks per user and server
+const buttonLimiter = new RateLimiter({ ...config.rateLimit.button, reportAfter: config.rateLimit.reportAfter })
 
 /**
  * Bot Ready Event
@@ -50,8 +83,26 @@ client.once("ready", async () => {
   log.start(`Bot logged in as ${client.user.tag}`)
   log.info(`Bot is active in ${client.guilds.cache.size} server(s)`)
 
-  await guildSettings.init()
-  await verificationStore.init()
+  // Stop instead of running with empty stores that would overwrite unreadable data
+  try {
+    await guildSettings.init()
+    await verificationStore.init()
+    await approvalQueue.init()
+    await usernameHistory.init()
+    await memberDeadlines.init()
+    await verificationLedger.init()
+    await reverifyCampaigns.init()
+    await verificationStats.init(client)
+    await apiKeys.init()
+    await webhooks.init()
+  } catch (error) {
+    log.failed("Could not load stored data, shutting down")
+    client.destroy()
+    process.exit(1)
+  }
+
+  // Forward verification events to guild log channels
+  attachAuditLog(client)
 
   // Register slash commands
   await registerCommands()
@@ -64,12 +115,42 @@ client.once("ready", async () => {
     verificationStore.cleanup()
   }, config.verification.cleanupInterval)
 
+  // Start periodic removal of ledger entries past the retention period
+  setInterval(() => {
+    verificationLedger.prune()
+  }, config.ledger.pruneInterval)
+
+  // Start periodic warnings and kicks for members who never verify
+  setInterval(() => {
+    processDeadlines().catch((error) => log.error("Failed to process verification deadlines", error))
+  }, config.verification.deadlineCheckInterval)
+
+  // Start periodic removal of verifications older than the guild's lifetime
+  const expireVerifications = () =>
+    processExpiredVerifications().catch((error) => log.error("Failed to process expired verifications", error))
+  expireVerifications()
+  setInterval(expireVerifications, config.verification.expiryCheckInterval)
+
+  // Start periodic webhook retries, including events left undelivered by a restart
+  webhooks.processQueue()
+  setInterval(() => {
+    webhooks.processQueue()
+  }, config.webhooks.retryInterval)
+
+  // Resume re-verification campaigns interrupted by a restart
+  for (const campaign of reverifyCampaigns.getAll()) {
+    log.info(`Resuming re-verification campaign in guild ${campaign.guildId}`)
+    runReverifyCampaign(campaign.guildId).catch((error) =>
+      log.error(`Re-verification campaign in guild ${campaign.guildId} failed`, error),
+    )
+  }
+
   log.success("Bot is ready and online!")
 })
 
 /**
  * Register Slash Commands
- * Registers the /verifysetup command with Discord API
+ * Registers the verification setup, configuration and moderation commands with Discord API
  */
 async function registerCommands() {
   const commands = [
@@ -83,19 +164,425 @@ async function registerCommands() {
       .addStringOption((option) =>
         option
           .setName("title")
-          .setDescription("Title of the verification embed (use {servername} for server name)")
+          .setDescription("Title of the verification embed (placeholders such as {servername}, try /verifypreview)")
           .setRequired(false),
       )
       .addStringOption((option) =>
         option
           .setName("description")
-          .setDescription("Description text (use {servername} and {username} as placeholders)")
+          .setDescription("Description text (placeholders such as {membercount} and {if:role}...{/if} conditions)")
           .setRequired(false),
       )
       .addStringOption((option) =>
         option.setName("color").setDescription("Embed color in hex format (e.g., #5865F2)").setRequired(false),
       )
       .toJSON(),
+    new SlashCommandBuilder()
+      .setName("verifypreview")
+      .setDescription("Preview the verification, link, success DM and welcome messages with your own account")
+      .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+      .addStringOption((option) =>
+        option
+          .setName("locale")
+          .setDescription("Language to preview (default: your Discord language)")
+          .setRequired(false)
+          .addChoices(...SUPPORTED_LOCALES.map((locale) => ({ name: locale, value: locale }))),
+      )
+      .toJSON(),
+    new SlashCommandBuilder()
+      .setName("verifyconfig")
+      .setDescription("Configure verification options for this server")
+      .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("captcha")
+          .setDescription("Require a captcha on the verification page before Discord login")
+          .addBooleanOption((option) =>
+            option.setName("enabled").setDescription("Whether the captcha step is required").setRequired(true),
+          ),
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("requirements")
+          .setDescription("Set account requirements checked after Discord login")
+          .addIntegerOption((option) =>
+            option
+              .setName("min_account_age_days")
+              .setDescription("Minimum Discord account age in days (0 to disable)")
+              .setMinValue(0)
+              .setRequired(false),
+          )
+          .addBooleanOption((option) =>
+            option.setName("require_mfa").setDescription("Require two-factor authentication").setRequired(false),
+          )
+          .addBooleanOption((option) =>
+            option.setName("require_avatar").setDescription("Require a non-default avatar").setRequired(false),
+          )
+          .addBooleanOption((option) =>
+            option
+              .setName("require_verified_email")
+              .setDescription("Require a verified email (asks members for the email scope)")
+              .setRequired(false),
+          )
+          .addStringOption((option) =>
+            option
+              .setName("blocked_username_regex")
+              .setDescription("Reject usernames matching this regex (use 'none' to clear)")
+              .setRequired(false),
+          ),
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("approval")
+          .setDescription("Require a moderator to approve members after Discord login")
+          .addBooleanOption((option) =>
+            option.setName("enabled").setDescription("Whether manual approval is required").setRequired(true),
+          )
+          .addChannelOption((option) =>
+            option
+              .setName("channel")
+              .setDescription("Channel where review requests are posted")
+              .addChannelTypes(ChannelType.GuildText)
+              .setRequired(false),
+          ),
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("unverified")
+          .setDescription("Give new members an unverified role and kick them if they never verify")
+          .addRoleOption((option) =>
+            option
+              .setName("role")
+              .setDescription("Role given on join and removed after verification")
+              .setRequired(false),
+          )
+          .addBooleanOption((option) =>
+            option.setName("remove_role").setDescription("Stop giving an unverified role on join").setRequired(false),
+          )
+          .addIntegerOption((option) =>
+            option
+              .setName("kick_after_hours")
+              .setDescription("Kick members who have not verified after this many hours (0 to disable)")
+              .setMinValue(0)
+              .setRequired(false),
+          )
+          .addIntegerOption((option) =>
+            option
+              .setName("warning_hours")
+              .setDescription("Send a warning DM this many hours before the kick")
+              .setMinValue(0)
+              .setRequired(false),
+          ),
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("logs")
+          .setDescription("Post every verification step and failure to a log channel")
+          .addChannelOption((option) =>
+            option
+              .setName("channel")
+              .setDescription("Channel for the verification audit log (leave empty to disable)")
+              .addChannelTypes(ChannelType.GuildText)
+              .setRequired(false),
+          ),
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("moderators")
+          .setDescription("Allow a role to use the moderator verification commands and review buttons")
+          .addRoleOption((option) =>
+            option
+              .setName("role")
+              .setDescription("Moderator role (leave empty for Manage Roles only)")
+              .setRequired(false),
+          ),
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("expiry")
+          .setDescription("Make verifications expire so members have to verify again")
+          .addIntegerOption((option) =>
+            option
+              .setName("days")
+              .setDescription("Days a verification stays valid (0 to never expire)")
+              .setMinValue(0)
+              .setRequired(true),
+          ),
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("linklifetime")
+          .setDescription("Set how long verification links stay valid")
+          .addIntegerOption((option) =>
+            option
+              .setName("minutes")
+              .setDescription("Minutes a link stays valid (0 for the bot default)")
+              .setMinValue(0)
+              .setMaxValue(1440)
+              .setRequired(true),
+          ),
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("restore")
+          .setDescription("Give the verified role back automatically when a verified member rejoins")
+          .addBooleanOption((option) =>
+            option.setName("enabled").setDescription("Whether roles are restored on rejoin").setRequired(true),
+          ),
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("message")
+          .setDescription("Replace a member-facing message in one language")
+          .addStringOption((option) =>
+            option
+              .setName("locale")
+              .setDescription("Language of the message")
+              .setRequired(true)
+              .addChoices(...SUPPORTED_LOCALES.map((locale) => ({ name: locale, value: locale }))),
+          )
+          .addStringOption((option) =>
+            option
+              .setName("key")
+              .setDescription("Message key, e.g. dm.verified or page.successTitle")
+              .setRequired(true),
+          )
+          .addStringOption((option) =>
+            option
+              .setName("text")
+              .setDescription("New text, \\n for a line break (leave empty to use the built-in translation)")
+              .setMaxLength(2000)
+              .setRequired(false),
+          ),
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("branding")
+          .setDescription("Brand the verification web pages, text options accept none to clear them")
+          .addStringOption((option) =>
+            option.setName("accent_color").setDescription("Accent color, e.g. #5865F2").setRequired(false),
+          )
+          .addStringOption((option) =>
+            option
+              .setName("icon_url")
+              .setDescription("https:// image shown on the pages (defaults to the server icon)")
+              .setRequired(false),
+          )
+          .addStringOption((option) =>
+            option
+              .setName("headline")
+              .setDescription("Headline of the verification page, supports {servername} and other placeholders")
+              .setMaxLength(PAGE_TEXT_LIMITS.pageHeadline)
+              .setRequired(false),
+          )
+          .addStringOption((option) =>
+            option
+              .setName("body")
+              .setDescription("Text under the headline, \\n for a line break")
+              .setMaxLength(PAGE_TEXT_LIMITS.pageBody)
+              .setRequired(false),
+          )
+          .addStringOption((option) =>
+            option
+              .setName("rules")
+              .setDescription("Rules or terms members agree to by verifying, \\n for a line break")
+              .setMaxLength(PAGE_TEXT_LIMITS.pageRules)
+              .setRequired(false),
+          )
+          .addChannelOption((option) =>
+            option
+              .setName("success_channel")
+              .setDescription("Channel linked on the success page")
+              .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+              .setRequired(false),
+          )
+          .addBooleanOption((option) =>
+            option.setName("remove_success_channel").setDescription("Stop linking a channel").setRequired(false),
+          )
+          .addBooleanOption((option) =>
+            option.setName("reset").setDescription("Go back to the default look and texts").setRequired(false),
+          ),
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("success")
+          .setDescription("Set the DM and welcome channel message sent when a member is verified")
+          .addBooleanOption((option) =>
+            option.setName("dm").setDescription("Whether verified members get a DM").setRequired(false),
+          )
+          .addStringOption((option) =>
+            option
+              .setName("dm_message")
+              .setDescription("DM text with placeholders, \\n for a line break (none for the translated default)")
+              .setMaxLength(2000)
+              .setRequired(false),
+          )
+          .addBooleanOption((option) =>
+            option.setName("dm_embed").setDescription("Send the DM as an embed").setRequired(false),
+          )
+          .addChannelOption((option) =>
+            option
+              .setName("welcome_channel")
+              .setDescription("Channel where verified members are welcomed")
+              .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+              .setRequired(false),
+          )
+          .addBooleanOption((option) =>
+            option.setName("remove_welcome_channel").setDescription("Stop posting welcome messages").setRequired(false),
+          )
+          .addStringOption((option) =>
+            option
+              .setName("welcome_message")
+              .setDescription("Welcome text with placeholders such as {mention}, \\n for a line break")
+              .setMaxLength(2000)
+              .setRequired(false),
+          )
+          .addBooleanOption((option) =>
+            option.setName("welcome_embed").setDescription("Post the welcome message as an embed").setRequired(false),
+          )
+          .addStringOption((option) =>
+            option.setName("color").setDescription("Embed color, e.g. #3BA55D").setRequired(false),
+          ),
+      )
+      .toJSON(),
+    new SlashCommandBuilder()
+      .setName("verifyhistory")
+      .setDescription("Show the verification history of a member")
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles)
+      .addUserOption((option) => option.setName("user").setDescription("Member to look up").setRequired(true))
+      .toJSON(),
+    new SlashCommandBuilder()
+      .setName("verify-user")
+      .setDescription("Verify a member without Discord login")
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles)
+      .addUserOption((option) => option.setName("user").setDescription("Member to verify").setRequired(true))
+      .addStringOption((option) =>
+        option
+          .setName("reason")
+          .setDescription("Why the member is verified manually")
+          .setMaxLength(REASON_MAX_LENGTH)
+          .setRequired(false),
+      )
+      .toJSON(),
+    new SlashCommandBuilder()
+      .setName("unverify")
+      .setDescription("Remove a member's verification")
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles)
+      .addUserOption((option) => option.setName("user").setDescription("Member to unverify").setRequired(true))
+      .addStringOption((option) =>
+        option
+          .setName("reason")
+          .setDescription("Why the verification is removed")
+          .setMaxLength(REASON_MAX_LENGTH)
+          .setRequired(false),
+      )
+      .toJSON(),
+    new SlashCommandBuilder()
+      .setName("verify-reset")
+      .setDescription("Clear a member's pending verification so they can start over")
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles)
+      .addUserOption((option) => option.setName("user").setDescription("Member to reset").setRequired(true))
+      .addStringOption((option) =>
+        option
+          .setName("reason")
+          .setDescription("Why the verification is reset")
+          .setMaxLength(REASON_MAX_LENGTH)
+          .setRequired(false),
+      )
+      .toJSON(),
+    new SlashCommandBuilder()
+      .setName("reverify-all")
+      .setDescription("Remove the verified role from every member so everyone has to verify again")
+      .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+      .addBooleanOption((option) =>
+        option.setName("confirm").setDescription("Set to True to confirm the campaign").setRequired(true),
+      )
+      .toJSON(),
+    new SlashCommandBuilder()
+      .setName("verifystats")
+      .setDescription("Show the verification funnel and failure breakdown of this server")
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+      .addIntegerOption((option) =>
+        option
+          .setName("days")
+          .setDescription(`Number of days to include (default 7, max ${config.stats.retentionDays})`)
+          .setMinValue(1)
+          .setMaxValue(config.stats.retentionDays)
+          .setRequired(false),
+      )
+      .toJSON(),
+    new SlashCommandBuilder()
+      .setName("verifyexport")
+      .setDescription("Export the verification ledger of this server as CSV")
+      .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+      .toJSON(),
+    new SlashCommandBuilder()
+      .setName("verifywebhook")
+      .setDescription("Manage webhooks that receive verification events")
+      .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("add")
+          .setDescription("Send verification events to a URL (the signing secret is shown once)")
+          .addStringOption((option) =>
+            option.setName("url").setDescription("http(s) URL receiving the events").setRequired(true),
+          )
+          .addStringOption((option) =>
+            option
+              .setName("events")
+              .setDescription("Which events to send (default all)")
+              .addChoices(
+                { name: "All", value: "all" },
+                { name: "Verified and unverified", value: "verified" },
+                { name: "Failures", value: "failed" },
+              )
+              .setRequired(false),
+          ),
+      )
+      .addSubcommand((subcommand) => subcommand.setName("list").setDescription("List the webhooks of this server"))
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("remove")
+          .setDescription("Remove a webhook and drop its undelivered events")
+          .addStringOption((option) =>
+            option.setName("id").setDescription("Webhook ID shown by /verifywebhook list").setRequired(true),
+          ),
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("test")
+          .setDescription("Send a test event to a webhook right away")
+          .addStringOption((option) =>
+            option.setName("id").setDescription("Webhook ID shown by /verifywebhook list").setRequired(true),
+          ),
+      )
+      .toJSON(),
+    new SlashCommandBuilder()
+      .setName("verifyapikey")
+      .setDescription("Manage the REST API keys of this server")
+      .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("create")
+          .setDescription("Create a new API key (shown once)")
+          .addStringOption((option) =>
+            option
+              .setName("name")
+              .setDescription("Label to tell keys apart, e.g. website")
+              .setMaxLength(32)
+              .setRequired(true),
+          ),
+      )
+      .addSubcommand((subcommand) => subcommand.setName("list").setDescription("List the API keys of this server"))
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName("revoke")
+          .setDescription("Revoke an API key")
+          .addStringOption((option) =>
+            option.setName("id").setDescription("Key ID shown by /verifyapikey list").setRequired(true),
+          ),
+      )
+      .toJSON(),
   ]
 
   const rest = new REST({ version: "10" }).setToken(process.env.DISCORD_TOKEN)
@@ -112,7 +599,7 @@ async function registerCommands() {
 
 /**
  * Slash Command Interaction Handler
- * Handles the /verifysetup command execution
+ * Handles the /verifysetup and /verifypreview command execution
  */
 client.on("interactionCreate", async (interaction) => {
   if (!interaction.isChatInputCommand()) return
@@ -140,6 +627,15 @@ client.on("interactionCreate", async (interaction) => {
       const description = interaction.options.getString("description")
       const color = interaction.options.getString("color")
 
+      const templateError =
+        (title && validateTemplate(title, { maxLength: EMBED_LIMITS.title })) ||
+        (description && validateTemplate(description, { maxLength: EMBED_LIMITS.description }))
+
+      if (templateError) {
+        await interaction.reply({ content: `Nothing was posted. ${templateError}`, ephemeral: true })
+        return
+      }
+
       const newSettings = { roleId: role.id }
       if (title) newSettings.embedTitle = title
       if (description) newSettings.embedDescription = description
@@ -148,25 +644,7 @@ client.on("interactionCreate", async (interaction) => {
       await guildSettings.updateSettings(guildId, newSettings)
       log.info(`Updated settings for guild ${guildId} with role ${role.name}`)
 
-      const settings = guildSettings.getSettings(guildId)
-
-      const embedTitle = guildSettings.replacePlaceholders(settings.embedTitle, { serverName })
-      const embedDescription = guildSettings.replacePlaceholders(settings.embedDescription, { serverName })
-
-      const embed = new EmbedBuilder()
-        .setTitle(embedTitle)
-        .setDescription(embedDescription)
-        .setColor(settings.embedColor)
-        .setTimestamp()
-
-      const button = new ButtonBuilder().setCustomId("verify_button").setLabel("Verify").setStyle(ButtonStyle.Success)
-
-      const row = new ActionRowBuilder().addComponents(button)
-
-      await interaction.reply({
-        embeds: [embed],
-        components: [row],
-      })
+      await interaction.reply(buildVerifyPanel(interaction.guild, guildSettings.getSettings(guildId)))
 
       log.success(`Verification message sent in ${serverName} with role ${role.name}`)
     } catch (error) {
@@ -176,148 +654,1928 @@ client.on("interactionCreate", async (interaction) => {
         ephemeral: true,
       })
     }
+  } else if (interaction.commandName === "verifypreview") {
+    await handleVerifyPreview(interaction)
   }
 })
 
 /**
- * Button Interaction Handler
- * Handles verification button clicks
+ * Show the verification message, link message, success DM and welcome message to the admin who ran /verifypreview
+ * Renders them with the admin's own account and the server's current data, visible only to them
+ * @param {ChatInputCommandInteraction} interaction - Command interaction
+ */
+async function handleVerifyPreview(interaction) {
+  const guild = interaction.guild
+
+  log.command(`/verifypreview executed by ${interaction.user.tag} in ${guild.name}`)
+
+  try {
+    const settings = guildSettings.getSettings(guild.id)
+    const t = getTranslator(interaction.options.getString("locale") || interaction.locale, guild.id)
+    const expiresAt = Date.now() + guildSettings.getLinkLifetime(guild.id)
+
+    const panel = buildVerifyPanel(guild, settings, true)
+    const link = buildLinkEmbed(guild, interaction.user, settings, t, `${process.env.BASE_URL}/verify`, expiresAt)
+    // Plain text messages are shown as embeds so all of them fit in one reply
+    const asEmbed = (message) => message.embeds?.[0] ?? new EmbedBuilder().setDescription(message.content)
+    const success = asEmbed(buildSuccessMessage(guild, interaction.user, settings, t))
+    const welcome = asEmbed(buildWelcomeMessage(guild, interaction.user, settings))
+
+    const lines = [
+      `Preview in \`${t.locale}\` with your account - nothing was posted or sent.`,
+      "**1.** Verification message  **2.** Link message (the link only opens the site)  **3.** Success DM  **4.** Welcome message",
+    ]
+    if (!settings.roleId) {
+      lines.push("Verification is not set up yet, run /verifysetup to post the message.")
+    }
+    if (!settings.successDmEnabled) {
+      lines.push("The success DM is turned off, members won't receive it.")
+    }
+    if (!settings.welcomeChannelId) {
+      lines.push("No welcome channel is set, the welcome message is not posted.")
+    }
+
+    await interaction.reply({
+      content: lines.join("\n"),
+      embeds: [...panel.embeds, link, success, welcome],
+      components: panel.components,
+      ephemeral: true,
+    })
+  } catch (error) {
+    log.error("Failed to render verification preview", error)
+    await interaction.reply({ content: "Failed to render the preview. Please try again.", ephemeral: true })
+  }
+}
+
+/**
+ * Slash Command Interaction Handler
+ * Handles the /verifyconfig command execution
  */
 client.on("interactionCreate", async (interaction) => {
-  if (!interaction.isButton()) return
+  if (!interaction.isChatInputCommand()) return
+  if (interaction.commandName !== "verifyconfig") return
 
-  if (interaction.customId === "verify_button") {
-    const userId = interaction.user.id
-    const guildId = interaction.guild.id
-    const serverName = interaction.guild.name
-    const username = interaction.user.username
+  const guildId = interaction.guild.id
+  const subcommand = interaction.options.getSubcommand()
 
-    log.event(`Verify button clicked by ${interaction.user.tag} in ${serverName}`)
+  log.command(`/verifyconfig ${subcommand} executed by ${interaction.user.tag} in ${interaction.guild.name}`)
 
-    try {
-      const settings = guildSettings.getSettings(guildId)
+  try {
+    if (subcommand === "captcha") {
+      const enabled = interaction.options.getBoolean("enabled")
 
-      if (!settings.roleId) {
-        await interaction.reply({
-          content: "Verification is not configured for this server. Please contact an administrator.",
-          ephemeral: true,
-        })
-        log.error(`No role configured for guild ${guildId}`)
-        return
-      }
+      await guildSettings.updateSettings(guildId, { captchaEnabled: enabled })
+
+      await interaction.reply({
+        content: enabled
+          ? "Captcha enabled. Members must solve a captcha before logging in with Discord."
+          : "Captcha disabled. Members go straight to Discord login.",
+        ephemeral: true,
+      })
 
-      const member = await interaction.guild.members.fetch(userId)
-      const verifiedRole = interaction.guild.roles.cache.get(settings.roleId)
+      log.success(`Captcha ${enabled ? "enabled" : "disabled"} for guild ${guildId}`)
+    } else if (subcommand === "requirements") {
+      const newSettings = {}
 
-      if (!verifiedRole) {
-        await interaction.reply({
-          content: "The verification role was deleted. Please contact an administrator.",
-          ephemeral: true,
-        })
-        log.error(`Verified role ${settings.roleId} not found in guild ${guildId}`)
-        return
+      const minAccountAgeDays = interaction.options.getInteger("min_account_age_days")
+      const requireMfa = interaction.options.getBoolean("require_mfa")
+      const requireAvatar = interaction.options.getBoolean("require_avatar")
+      const requireVerifiedEmail = interaction.options.getBoolean("require_verified_email")
+      const blockedUsernameRegex = interaction.options.getString("blocked_username_regex")
+
+      if (minAccountAgeDays !== null) newSettings.minAccountAgeDays = minAccountAgeDays
+      if (requireMfa !== null) newSettings.requireMfa = requireMfa
+      if (requireAvatar !== null) newSettings.requireAvatar = requireAvatar
+      if (requireVerifiedEmail !== null) newSettings.requireVerifiedEmail = requireVerifiedEmail
+
+      if (blockedUsernameRegex !== null) {
+        if (blockedUsernameRegex.toLowerCase() === "none") {
+          newSettings.blockedUsernamePattern = null
+        } else {
+          const patternError = validateUsernamePattern(blockedUsernameRegex)
+
+          if (patternError) {
+            await interaction.reply({ content: patternError, ephemeral: true })
+            return
+          }
+          newSettings.blockedUsernamePattern = blockedUsernameRegex
+        }
       }
 
-      if (member.roles.cache.has(verifiedRole.id)) {
+      await guildSettings.updateSettings(guildId, newSettings)
+
+      const settings = guildSettings.getSettings(guildId)
+
+      const embed = new EmbedBuilder()
+        .setTitle("Verification Requirements")
+        .addFields(
+          {
+            name: "Minimum account age",
+            value: settings.minAccountAgeDays > 0 ? `${settings.minAccountAgeDays} day(s)` : "Off",
+            inline: true,
+          },
+          { name: "Two-factor auth", value: settings.requireMfa ? "Required" : "Off", inline: true },
+          { name: "Custom avatar", value: settings.requireAvatar ? "Required" : "Off", inline: true },
+          { name: "Verified email", value: settings.requireVerifiedEmail ? "Required" : "Off", inline: true },
+          {
+            name: "Blocked usernames",
+            value: settings.blockedUsernamePattern ? `\`${settings.blockedUsernamePattern}\`` : "Off",
+            inline: true,
+          },
+        )
+        .setColor(config.colors.primary)
+        .setTimestamp()
+
+      await interaction.reply({ embeds: [embed], ephemeral: true })
+
+      log.success(`Updated verification requirements for guild ${guildId}`)
+    } else if (subcommand === "approval") {
+      const enabled = interaction.options.getBoolean("enabled")
+      const channel = interaction.options.getChannel("channel")
+      const settings = guildSettings.getSettings(guildId)
+
+      if (enabled && !channel && !settings.reviewChannelId) {
         await interaction.reply({
-          content: "You are already verified!",
+          content: "Please choose a review channel when enabling manual approval.",
           ephemeral: true,
         })
-        log.info(`User ${interaction.user.tag} is already verified`)
         return
       }
 
-      const state = generateState()
+      const newSettings = { approvalRequired: enabled }
+      if (channel) newSettings.reviewChannelId = channel.id
+
+      await guildSettings.updateSettings(guildId, newSettings)
+
+      const reviewChannelId = newSettings.reviewChannelId || settings.reviewChannelId
+
+      await interaction.reply({
+        content: enabled
+          ? `Manual approval enabled. Review requests will be posted in <#${reviewChannelId}>.`
+          : "Manual approval disabled. Members get the role right after Discord login.",
+        ephemeral: true,
+      })
+
+      log.success(`Manual approval ${enabled ? "enabled" : "disabled"} for guild ${guildId}`)
+    } else if (subcommand === "unverified") {
+      const role = interaction.options.getRole("role")
+      const removeRole = interaction.options.getBoolean("remove_role")
+      const kickAfterHours = interaction.options.getInteger("kick_after_hours")
+      const warningHours = interaction.options.getInteger("warning_hours")
 
-      await verificationStore.addPending(userId, guildId, state)
+      const newSettings = {}
+      if (role) newSettings.unverifiedRoleId = role.id
+      if (removeRole) newSettings.unverifiedRoleId = null
+      if (kickAfterHours !== null) newSettings.kickAfterHours = kickAfterHours
+      if (warningHours !== null) newSettings.kickWarningHours = warningHours
 
-      const verifyUrl = `${process.env.BASE_URL}/verify?user=${userId}&guild=${guildId}&state=${state}`
+      await guildSettings.updateSettings(guildId, newSettings)
 
-      const dmTitle = guildSettings.replacePlaceholders(settings.dmTitle, { serverName, username })
-      const dmDescription = guildSettings.replacePlaceholders(settings.dmDescription, { serverName, username })
+      const settings = guildSettings.getSettings(guildId)
 
       const embed = new EmbedBuilder()
-        .setTitle(dmTitle)
-        .setDescription(
-          `${dmDescription}\n\n**[Click here to verify](${verifyUrl})**\n\n*This link will expire in 5 minutes*`,
+        .setTitle("Unverified Members")
+        .addFields(
+          {
+            name: "Unverified role",
+            value: settings.unverifiedRoleId ? `<@&${settings.unverifiedRoleId}>` : "Off",
+            inline: true,
+          },
+          {
+            name: "Kick after",
+            value: settings.kickAfterHours > 0 ? `${settings.kickAfterHours} hour(s)` : "Off",
+            inline: true,
+          },
+          { name: "Warning DM", value: `${settings.kickWarningHours} hour(s) before the kick`, inline: true },
         )
-        .setColor(settings.dmColor)
+        .setFooter({ text: "Changes apply to members who join from now on" })
+        .setColor(config.colors.primary)
         .setTimestamp()
 
+      await interaction.reply({ embeds: [embed], ephemeral: true })
+
+      log.success(`Updated unverified member settings for guild ${guildId}`)
+    } else if (subcommand === "logs") {
+      const channel = interaction.options.getChannel("channel")
+
+      await guildSettings.updateSettings(guildId, { logChannelId: channel ? channel.id : null })
+
       await interaction.reply({
-        embeds: [embed],
+        content: channel ? `Verification events will be logged in ${channel}.` : "Verification audit log disabled.",
         ephemeral: true,
       })
 
-      log.info(`Verification link sent to ${interaction.user.tag}`)
-    } catch (error) {
-      log.error("Failed to process verify button", error)
+      log.success(`Audit log channel ${channel ? `set to ${channel.id}` : "disabled"} for guild ${guildId}`)
+    } else if (subcommand === "restore") {
+      const enabled = interaction.options.getBoolean("enabled")
+
+      await guildSettings.updateSettings(guildId, { restoreOnRejoin: enabled })
+
       await interaction.reply({
-        content: "An error occurred. Please try again later.",
+        content: enabled
+          ? "Role restore enabled. Verified members who leave and rejoin get the role back, unless they were banned or unverified in between."
+          : "Role restore disabled. Returning members have to verify again.",
         ephemeral: true,
       })
-    }
-  }
-})
 
-/**
- * Assign Verified Role
- * Called from web server after successful OAuth2 verification
- * @param {string} userId - Discord user ID
- * @param {string} guildId - Discord guild ID
- * @returns {Promise<boolean>} Success status
- */
-export async function assignVerifiedRole(userId, guildId) {
-  try {
-    const guild = client.guilds.cache.get(guildId)
+      log.success(`Role restore on rejoin ${enabled ? "enabled" : "disabled"} for guild ${guildId}`)
+    } else if (subcommand === "expiry") {
+      const days = interaction.options.getInteger("days")
 
-    if (!guild) {
-      log.error(`Guild ${guildId} not found`)
-      return false
-    }
+      await guildSettings.updateSettings(guildId, { verificationLifetimeDays: days })
 
-    const settings = guildSettings.getSettings(guildId)
+      await interaction.reply({
+        content:
+          days > 0
+            ? `Verifications now expire after ${days} day(s). Expired members lose the verified role and are asked to verify again.`
+            : "Verifications no longer expire.",
+        ephemeral: true,
+      })
 
-    if (!settings.roleId) {
-      log.error(`No role configured for guild ${guild.name}`)
-      return false
-    }
+      log.success(`Verification lifetime set to ${days} day(s) for guild ${guildId}`)
+    } else if (subcommand === "linklifetime") {
+      const minutes = interaction.options.getInteger("minutes")
 
-    const member = await guild.members.fetch(userId)
-    const role = guild.roles.cache.get(settings.roleId)
+      await guildSettings.updateSettings(guildId, { linkLifetimeMinutes: minutes > 0 ? minutes : null })
 
-    if (!role) {
-      log.error(`Verified role ${settings.roleId} not found in guild ${guild.name}`)
-      return false
-    }
+      const lifetimeMinutes = Math.round(guildSettings.getLinkLifetime(guildId) / 60000)
 
-    if (member.roles.cache.has(role.id)) {
-      log.info(`User ${userId} already has verified role`)
-      return true
-    }
+      await interaction.reply({
+        content:
+          minutes > 0
+            ? `Verification links now stay valid for ${lifetimeMinutes} minute(s).`
+            : `Verification links now use the bot default of ${lifetimeMinutes} minute(s).`,
+        ephemeral: true,
+      })
 
-    await member.roles.add(role)
-    log.success(`Assigned verified role to ${member.user.tag} in ${guild.name}`)
+      log.success(`Link lifetime set to ${lifetimeMinutes} minute(s) for guild ${guildId}`)
+    } else if (subcommand === "moderators") {
+      const role = interaction.options.getRole("role")
 
-    try {
-      const serverName = guild.name
-      const username = member.user.username
+      await guildSettings.updateSettings(guildId, { moderatorRoleId: role ? role.id : null })
 
-      const successMessage = `Hello ${username}!\n\nYou are now a verified member of **${serverName}**.\n\nYou can now access all channels and start chatting. Welcome to the community!`
+      await interaction.reply({
+        content: role
+          ? `Members with ${role} can now use /verify-user, /unverify, /verify-reset and the review buttons. To show them the commands, allow the role in Server Settings -> Integrations.`
+          : "Only members with Manage Roles can use the moderator verification tools.",
+        ephemeral: true,
+        allowedMentions: { parse: [] },
+      })
 
-      await member.send(successMessage)
-      log.success(`Sent verification success DM to ${member.user.tag}`)
-    } catch (dmError) {
-      // User has DMs disabled, log but don't fail verification
-      log.warn(`Could not send DM to ${member.user.tag}: ${dmError.message}`)
-    }
+      log.success(`Moderator role ${role ? `set to ${role.id}` : "cleared"} for guild ${guildId}`)
+    } else if (subcommand === "message") {
+      const locale = interaction.options.getString("locale")
+      const key = interaction.options.getString("key")
+      const text = interaction.options.getString("text")?.replace(/\\n/g, "\n") || null
 
-    return true
-  } catch (error) {
-    log.error(`Failed to assign verified role to ${userId}`, error)
-    return false
-  }
-}
+      if (!MESSAGE_KEYS.includes(key)) {
+        await interaction.reply({
+          content: `Unknown message key \`${key}\`. Available keys:\n${MESSAGE_KEYS.map((name) => `\`${name}\``).join(", ")}`,
+          ephemeral: true,
+        })
+        return
+      }
+
+      const templateError =
+        text &&
+        validateTemplate(text, {
+          ...getMessageTemplateOptions(key),
+          maxLength: MESSAGE_LENGTH_LIMITS[key] || MESSAGE_LENGTH_LIMITS.default,
+        })
+
+      if (templateError) {
+        await interaction.reply({ content: `\`${key}\` was not changed. ${templateError}`, ephemeral: true })
+        return
+      }
+
+      await guildSettings.setLocaleOverride(guildId, locale, key, text)
+
+      await interaction.reply({
+        content: text
+          ? `Members using ${locale} now see this for \`${key}\`:\n>>> ${text}`
+          : `\`${key}\` in ${locale} uses the built-in translation again.`,
+        ephemeral: true,
+        allowedMentions: { parse: [] },
+      })
+
+      log.success(`Message ${key} ${text ? "overridden" : "reset"} for locale ${locale} in guild ${guildId}`)
+    } else if (subcommand === "branding") {
+      const newSettings = {}
+
+      if (interaction.options.getBoolean("reset")) {
+        Object.assign(newSettings, {
+          pageIconUrl: null,
+          pageAccentColor: null,
+          pageHeadline: null,
+          pageBody: null,
+          pageRules: null,
+          successChannelId: null,
+        })
+      }
+
+      const options = [
+        ["pageAccentColor", "accent_color", validateAccentColor],
+        ["pageIconUrl", "icon_url", validateIconUrl],
+        ["pageHeadline", "headline", (text) => validatePageText("pageHeadline", text)],
+        ["pageBody", "body", (text) => validatePageText("pageBody", text)],
+        ["pageRules", "rules", (text) => validatePageText("pageRules", text)],
+      ]
+
+      for (const [key, name, validate] of options) {
+        let value = interaction.options.getString(name)?.trim()
+        if (!value) continue
+
+        if (value.toLowerCase() === "none") {
+          newSettings[key] = null
+          continue
+        }
+
+        if (key in PAGE_TEXT_LIMITS) value = value.replace(/\\n/g, "\n")
+        const error = validate(value)
+
+        if (error) {
+          await interaction.reply({ content: `Branding was not changed. ${error}`, ephemeral: true })
+          return
+        }
+        newSettings[key] = key === "pageAccentColor" ? value.toUpperCase() : value
+      }
+
+      const successChannel = interaction.options.getChannel("success_channel")
+      if (successChannel) newSettings.successChannelId = successChannel.id
+      if (interaction.options.getBoolean("remove_success_channel")) newSettings.successChannelId = null
+
+      await guildSettings.updateSettings(guildId, newSettings)
+
+      const settings = guildSettings.getSettings(guildId)
+      const shorten = (text) => (text.length > 300 ? `${text.slice(0, 297)}...` : text)
+
+      const embed = new EmbedBuilder()
+        .setTitle("Verification Page Branding")
+        .addFields(
+          { name: "Accent color", value: settings.pageAccentColor || "Default", inline: true },
+          { name: "Icon", value: settings.pageIconUrl || "Server icon", inline: true },
+          {
+            name: "Success channel",
+            value: settings.successChannelId ? `<#${settings.successChannelId}>` : "None",
+            inline: true,
+          },
+          { name: "Headline", value: settings.pageHeadline ? shorten(settings.pageHeadline) : "Default" },
+          { name: "Body", value: settings.pageBody ? shorten(settings.pageBody) : "Default" },
+          { name: "Rules", value: settings.pageRules ? shorten(settings.pageRules) : "None" },
+        )
+        .setColor(settings.pageAccentColor || config.colors.primary)
+        .setTimestamp()
+
+      await interaction.reply({ embeds: [embed], ephemeral: true })
+
+      log.success(`Updated verification page branding for guild ${guildId}`)
+    } else if (subcommand === "success") {
+      const newSettings = {}
+
+      const dm = interaction.options.getBoolean("dm")
+      const dmMessage = interaction.options.getString("dm_message")?.replace(/\\n/g, "\n")
+      const dmEmbed = interaction.options.getBoolean("dm_embed")
+      const welcomeChannel = interaction.options.getChannel("welcome_channel")
+      const welcomeMessage = interaction.options.getString("welcome_message")?.replace(/\\n/g, "\n")
+      const welcomeEmbed = interaction.options.getBoolean("welcome_embed")
+      const color = interaction.options.getString("color")
+
+      const error =
+        (dmMessage && dmMessage.toLowerCase() !== "none" && validateTemplate(dmMessage, { maxLength: 2000 })) ||
+        (welcomeMessage && validateTemplate(welcomeMessage, { maxLength: 2000 })) ||
+        (color && !/^#[0-9a-f]{6}$/i.test(color) && "The color must be a hex color such as #3BA55D.")
+
+      if (error) {
+        await interaction.reply({ content: `Nothing was changed. ${error}`, ephemeral: true })
+        return
+      }
+
+      if (dm !== null) newSettings.successDmEnabled = dm
+      if (dmMessage) newSettings.successDmMessage = dmMessage.toLowerCase() === "none" ? null : dmMessage
+      if (dmEmbed !== null) newSettings.successDmEmbed = dmEmbed
+      if (welcomeChannel) newSettings.welcomeChannelId = welcomeChannel.id
+      if (interaction.options.getBoolean("remove_welcome_channel")) newSettings.welcomeChannelId = null
+      if (welcomeMessage) newSettings.welcomeMessage = welcomeMessage
+      if (welcomeEmbed !== null) newSettings.welcomeEmbed = welcomeEmbed
+      if (color) newSettings.successColor = color.toUpperCase()
+
+      await guildSettings.updateSettings(guildId, newSettings)
+
+      const settings = guildSettings.getSettings(guildId)
+      const shorten = (text) => (text.length > 300 ? `${text.slice(0, 297)}...` : text)
+      const style = (embed) => (embed ? "Embed" : "Text")
+
+      const embed = new EmbedBuilder()
+        .setTitle("After Verification")
+        .addFields(
+          {
+            name: "Success DM",
+            value: settings.successDmEnabled ? style(settings.successDmEmbed) : "Off",
+            inline: true,
+          },
+          {
+            name: "Welcome channel",
+            value: settings.welcomeChannelId ? `<#${settings.welcomeChannelId}>` : "Off",
+            inline: true,
+          },
+          { name: "Welcome style", value: style(settings.welcomeEmbed), inline: true },
+          {
+            name: "DM text",
+            value: settings.successDmMessage ? shorten(settings.successDmMessage) : "Translated default",
+          },
+          { name: "Welcome text", value: shorten(settings.welcomeMessage) },
+        )
+        .setFooter({ text: "Check the messages with /verifypreview" })
+        .setColor(settings.successColor)
+        .setTimestamp()
+
+      await interaction.reply({ embeds: [embed], ephemeral: true })
+
+      log.success(`Updated success messages for guild ${guildId}`)
+    }
+  } catch (error) {
+    log.error(`Failed to update ${subcommand} configuration`, error)
+    await interaction.reply({
+      content: "Failed to update configuration. Please try again.",
+      ephemeral: true,
+    })
+  }
+})
+
+/**
+ * Slash Command Interaction Handler
+ * Handles the /verifyhistory and /verifyexport command execution
+ */
+client.on("interactionCreate", async (interaction) => {
+  if (!interaction.isChatInputCommand()) return
+
+  if (interaction.commandName === "verifyhistory") {
+    const guildId = interaction.guild.id
+    const user = interaction.options.getUser("user")
+
+    log.command(`/verifyhistory executed by ${interaction.user.tag} for ${user.tag} in ${interaction.guild.name}`)
+
+    try {
+      const history = verificationLedger.getUserHistory(guildId, user.id)
+
+      if (history.length === 0) {
+        await interaction.reply({ content: `No verification history found for ${user}.`, ephemeral: true })
+        return
+      }
+
+      const lines = history
+        .slice(-15)
+        .reverse()
+        .map((entry) => {
+          const when = `<t:${Math.floor(entry.timestamp / 1000)}:f>`
+          const parts = [`**${entry.type}** ${when} via ${entry.source}`]
+          if (entry.approvedBy) parts.push(`approved by <@${entry.approvedBy}>`)
+          if (entry.revokedBy) parts.push(`revoked by <@${entry.revokedBy}>`)
+          if (entry.user) parts.push(`as \`${entry.user.username}\``)
+          const policy = describePolicy(entry.policy)
+          if (policy) parts.push(`policy: ${policy}`)
+          if (entry.reason) parts.push(`reason: ${truncate(entry.reason, HISTORY_REASON_LENGTH)}`)
+          return parts.join(" - ")
+        })
+
+      const embed = new EmbedBuilder()
+        .setTitle(`Verification history of ${user.username}`)
+        .setDescription(truncate(lines.join("\n"), EMBED_LIMITS.description))
+        .setFooter({ text: `${history.length} entr${history.length === 1 ? "y" : "ies"} - newest first` })
+        .setColor(config.colors.primary)
+        .setTimestamp()
+
+      await interaction.reply({ embeds: [embed], ephemeral: true })
+    } catch (error) {
+      log.error("Failed to show verification history", error)
+      await interaction.reply({ content: "Failed to load verification history. Please try again.", ephemeral: true })
+    }
+  }
+
+  if (interaction.commandName === "verifyexport") {
+    const guildId = interaction.guild.id
+
+    log.command(`/verifyexport executed by ${interaction.user.tag} in ${interaction.guild.name}`)
+
+    try {
+      const csv = verificationLedger.toCSV(guildId)
+      const count = verificationLedger.getEntries(guildId).length
+      const attachment = new AttachmentBuilder(Buffer.from(csv, "utf-8"), {
+        name: `verification-ledger-${guildId}.csv`,
+      })
+
+      await interaction.reply({
+        content: `Verification ledger export (${count} entr${count === 1 ? "y" : "ies"}).`,
+        files: [attachment],
+        ephemeral: true,
+      })
+
+      log.success(`Exported ${count} ledger entries for guild ${guildId}`)
+    } catch (error) {
+      log.error("Failed to export verification ledger", error)
+      await interaction.reply({
+        content: "Failed to export the verification ledger. Please try again.",
+        ephemeral: true,
+      })
+    }
+  }
+})
+
+/**
+ * Slash Command Interaction Handler
+ * Handles the /verify-user, /unverify and /verify-reset moderator commands
+ */
+client.on("interactionCreate", async (interaction) => {
+  if (!interaction.isChatInputCommand()) return
+  if (!MODERATOR_COMMANDS.includes(interaction.commandName)) return
+
+  const guild = interaction.guild
+  const moderator = interaction.user
+  const user = interaction.options.getUser("user")
+  // Commands registered before the length limit still accept longer reasons
+  const reason = interaction.options.getString("reason")?.slice(0, REASON_MAX_LENGTH) || "No reason given"
+  const settings = guildSettings.getSettings(guild.id)
+
+  log.command(
+    `/${interaction.commandName} executed by ${moderator.tag} for ${user.tag} in ${guild.name} (reason: ${reason})`,
+  )
+
+  if (!isModerator(interaction, settings)) {
+    await interaction.reply({ content: "You do not have permission to use this command.", ephemeral: true })
+    return
+  }
+
+  try {
+    if (interaction.commandName === "verify-user") {
+      await interaction.deferReply({ ephemeral: true })
+
+      const roleAssigned = await assignVerifiedRole(user.id, guild.id, {
+        source: "manual",
+        moderatorId: moderator.id,
+        reason,
+      })
+
+      await interaction.editReply(
+        roleAssigned
+          ? `${user} has been verified.`
+          : "Could not assign the verified role. Check the role configuration, the bot's permissions and that the user is a member.",
+      )
+    } else if (interaction.commandName === "unverify") {
+      if (!settings.roleId) {
+        await interaction.reply({ content: "Verification is not configured for this server.", ephemeral: true })
+        return
+      }
+
+      const member = await guild.members.fetch(user.id).catch(() => null)
+
+      if (!member) {
+        await interaction.reply({ content: `${user} is not a member of this server.`, ephemeral: true })
+        return
+      }
+
+      await revokeVerification(member, settings, "manual", reason, moderator.id)
+      log.success(`Verification of ${user.tag} in ${guild.name} removed by ${moderator.tag}`)
+      verificationEvents.record(VerificationEvent.UNVERIFIED, {
+        guildId: guild.id,
+        userId: user.id,
+        moderatorId: moderator.id,
+        reason,
+      })
+
+      await interaction.reply({ content: `${user} is no longer verified.`, ephemeral: true })
+    } else {
+      const cleared = await verificationStore.reset(user.id, guild.id)
+
+      if (cleared) {
+        log.success(`Pending verification of ${user.tag} in ${guild.name} reset by ${moderator.tag}`)
+        verificationEvents.record(VerificationEvent.PENDING_RESET, {
+          guildId: guild.id,
+          userId: user.id,
+          moderatorId: moderator.id,
+          reason,
+        })
+      }
+
+      await interaction.reply({
+        content: cleared
+          ? `Cleared the pending verification of ${user}. They can click Verify again to start over.`
+          : `${user} has no pending verification in this server.`,
+        ephemeral: true,
+      })
+    }
+  } catch (error) {
+    log.error(`Failed to run /${interaction.commandName}`, error)
+    const reply = { content: "Something went wrong. Please try again.", ephemeral: true }
+    if (interaction.deferred) {
+      await interaction.editReply(reply.content)
+    } else {
+      await interaction.reply(reply)
+    }
+  }
+})
+
+/**
+ * Slash Command Interaction Handler
+ * Handles the /verifyapikey command execution
+ */
+client.on("interactionCreate", async (interaction) => {
+  if (!interaction.isChatInputCommand()) return
+  if (interaction.commandName !== "verifyapikey") return
+
+  const guildId = interaction.guild.id
+  const subcommand = interaction.options.getSubcommand()
+
+  log.command(`/verifyapikey ${subcommand} executed by ${interaction.user.tag} in ${interaction.guild.name}`)
+
+  try {
+    if (subcommand === "create") {
+      if (apiKeys.list(guildId).length >= config.api.maxKeysPerGuild) {
+        await interaction.reply({
+          content: `This server already has ${config.api.maxKeysPerGuild} API keys. Revoke one before creating another.`,
+          ephemeral: true,
+        })
+        return
+      }
+
+      const name = interaction.options.getString("name")
+      const { id, key } = await apiKeys.create(guildId, name, interaction.user.id)
+
+      await interaction.reply({
+        content: `API key **${name}** created (ID \`${id}\`). Copy it now, it will not be shown again:\n\`\`\`\n${key}\n\`\`\`\nSend it as \`Authorization: Bearer <key>\` to \`${process.env.BASE_URL}/api/v1/guilds/${guildId}/...\``,
+        ephemeral: true,
+      })
+
+      log.success(`API key ${id} (${name}) created by ${interaction.user.tag} in ${interaction.guild.name}`)
+    } else if (subcommand === "list") {
+      const keys = apiKeys.list(guildId)
+
+      const lines = keys.map((key) => {
+        const lastUsed = key.lastUsedAt ? `<t:${Math.floor(key.lastUsedAt / 1000)}:R>` : "never"
+        return `\`${key.id}\` **${key.name}** - created by <@${key.createdBy}> <t:${Math.floor(key.createdAt / 1000)}:R>, last used ${lastUsed}`
+      })
+
+      await interaction.reply({
+        content: lines.length > 0 ? lines.join("\n") : "This server has no API keys.",
+        ephemeral: true,
+      })
+    } else {
+      const id = interaction.options.getString("id").trim()
+      const revoked = await apiKeys.revoke(guildId, id)
+
+      if (revoked) {
+        log.success(`API key ${id} revoked by ${interaction.user.tag} in ${interaction.guild.name}`)
+      }
+
+      await interaction.reply({
+        content: revoked ? `API key \`${id}\` revoked.` : `No API key with ID \`${id}\` in this server.`,
+        ephemeral: true,
+      })
+    }
+  } catch (error) {
+    log.error(`Failed to run /verifyapikey ${subcommand}`, error)
+    await interaction.reply({ content: "Something went wrong. Please try again.", ephemeral: true })
+  }
+})
+
+/**
+ * Slash Command Interaction Handler
+ * Handles the /verifywebhook command execution
+ */
+client.on("interactionCreate", async (interaction) => {
+  if (!interaction.isChatInputCommand()) return
+  if (interaction.commandName !== "verifywebhook") return
+
+  const guildId = interaction.guild.id
+  const subcommand = interaction.options.getSubcommand()
+
+  log.command(`/verifywebhook ${subcommand} executed by ${interaction.user.tag} in ${interaction.guild.name}`)
+
+  try {
+    if (subcommand === "add") {
+      const url = interaction.options.getString("url").trim()
+      const events = interaction.options.getString("events") || "all"
+
+      if (!isValidWebhookUrl(url)) {
+        await interaction.reply({ content: "The URL must start with http:// or https://.", ephemeral: true })
+        return
+      }
+
+      const targetError = await validateWebhookTarget(url)
+      if (targetError) {
+        await interaction.reply({ content: `${targetError}. Use a publicly reachable URL.`, ephemeral: true })
+        return
+      }
+
+      if (webhooks.list(guildId).length >= config.webhooks.maxPerGuild) {
+        await interaction.reply({
+          content: `This server already has ${config.webhooks.maxPerGuild} webhooks. Remove one before adding another.`,
+          ephemeral: true,
+        })
+        return
+      }
+
+      const webhook = await webhooks.add(guildId, url, events, interaction.user.id)
+
+      await interaction.reply({
+        content: `Webhook \`${webhook.id}\` added. Requests are signed with this secret, copy it now, it will not be shown again:\n\`\`\`\n${webhook.secret}\n\`\`\`\nUse \`/verifywebhook test id:${webhook.id}\` to send a test event.`,
+        ephemeral: true,
+      })
+
+      log.success(`Webhook ${webhook.id} added by ${interaction.user.tag} in ${interaction.guild.name}`)
+    } else if (subcommand === "list") {
+      const lines = webhooks
+        .list(guildId)
+        .map(
+          (webhook) => `\`${webhook.id}\` ${webhook.url} - ${webhook.events} events, added by <@${webhook.createdBy}>`,
+        )
+
+      await interaction.reply({
+        content: lines.length > 0 ? lines.join("\n") : "This server has no webhooks.",
+        ephemeral: true,
+        allowedMentions: { parse: [] },
+      })
+    } else if (subcommand === "remove") {
+      const id = interaction.options.getString("id").trim()
+      const removed = await webhooks.remove(guildId, id)
+
+      if (removed) {
+        log.success(`Webhook ${id} removed by ${interaction.user.tag} in ${interaction.guild.name}`)
+      }
+
+      await interaction.reply({
+        content: removed ? `Webhook \`${id}\` removed.` : `No webhook with ID \`${id}\` in this server.`,
+        ephemeral: true,
+      })
+    } else {
+      const id = interaction.options.getString("id").trim()
+      const webhook = webhooks.get(guildId, id)
+
+      if (!webhook) {
+        await interaction.reply({ content: `No webhook with ID \`${id}\` in this server.`, ephemeral: true })
+        return
+      }
+
+      await interaction.deferReply({ ephemeral: true })
+      const result = await webhooks.sendTest(guildId, webhook, interaction.user.id)
+
+      await interaction.editReply(
+        result.ok
+          ? `Test event delivered to \`${webhook.id}\` (HTTP ${result.status}).`
+          : `Test delivery to \`${webhook.id}\` failed: ${result.status ? `HTTP ${result.status}` : result.error}.`,
+      )
+    }
+  } catch (error) {
+    log.error(`Failed to run /verifywebhook ${subcommand}`, error)
+    const reply = { content: "Something went wrong. Please try again.", ephemeral: true }
+    if (interaction.deferred) {
+      await interaction.editReply(reply.content)
+    } else {
+      await interaction.reply(reply)
+    }
+  }
+})
+
+/**
+ * Slash Command Interaction Handler
+ * Handles the /verifystats command execution
+ */
+client.on("interactionCreate", async (interaction) => {
+  if (!interaction.isChatInputCommand()) return
+  if (interaction.commandName !== "verifystats") return
+
+  const guildId = interaction.guild.id
+  const days = interaction.options.getInteger("days") || 7
+
+  log.command(`/verifystats executed by ${interaction.user.tag} in ${interaction.guild.name} (${days} day(s))`)
+
+  try {
+    const daily = verificationStats.getDaily(guildId, days)
+    const totals = verificationStats.sum(daily)
+    const clicks = totals[FUNNEL_STEPS[0].key] || 0
+
+    const funnel = FUNNEL_STEPS.map(({ label, key }) => {
+      const count = totals[key] || 0
+      const share = clicks > 0 ? ` (${Math.round((count / clicks) * 100)}%)` : ""
+      return `${label}: **${count}**${share}`
+    })
+
+    const failures = FAILURE_CAUSES.map(({ label, keys }) => ({
+      label,
+      count: keys.reduce((sum, key) => sum + (totals[key] || 0), 0),
+    }))
+      .filter(({ count }) => count > 0)
+      .map(({ label, count }) => `${label}: **${count}**`)
+
+    // Daily trend of clicks and grants, newest last, at most two weeks to fit in the embed
+    const trend = daily.slice(-14).map(({ day, counts }) => {
+      const dayClicks = String(counts[VerificationEvent.BUTTON_CLICKED] || 0).padStart(5)
+      const dayGrants = String(counts[VerificationEvent.ROLE_ASSIGNED] || 0).padStart(6)
+      return `${day} ${dayClicks} ${dayGrants}`
+    })
+
+    const embed = new EmbedBuilder()
+      .setTitle(`Verification statistics - last ${days} day(s)`)
+      .addFields(
+        { name: "Funnel", value: funnel.join("\n") },
+        { name: "Failures", value: failures.length > 0 ? failures.join("\n") : "None" },
+        { name: "Daily trend", value: `\`\`\`\n${"Day".padEnd(10)} Clicks Grants\n${trend.join("\n")}\n\`\`\`` },
+      )
+      .setFooter({ text: "Days are in UTC" })
+      .setColor(config.colors.primary)
+      .setTimestamp()
+
+    await interaction.reply({ embeds: [embed], ephemeral: true })
+  } catch (error) {
+    log.error("Failed to show verification statistics", error)
+    await interaction.reply({ content: "Failed to load verification statistics. Please try again.", ephemeral: true })
+  }
+})
+
+/**
+ * Slash Command Interaction Handler
+ * Handles the /reverify-all command execution
+ */
+client.on("interactionCreate", async (interaction) => {
+  if (!interaction.isChatInputCommand()) return
+  if (interaction.commandName !== "reverify-all") return
+
+  const guild = interaction.guild
+
+  log.command(`/reverify-all executed by ${interaction.user.tag} in ${guild.name}`)
+
+  if (!interaction.options.getBoolean("confirm")) {
+    await interaction.reply({
+      content: "Campaign not started. Run the command with `confirm:True` to remove the verified role from everyone.",
+      ephemeral: true,
+    })
+    return
+  }
+
+  const settings = guildSettings.getSettings(guild.id)
+
+  if (!settings.roleId) {
+    await interaction.reply({
+      content: "Verification is not configured for this server. Run /verifysetup first.",
+      ephemeral: true,
+    })
+    return
+  }
+
+  if (reverifyCampaigns.get(guild.id)) {
+    await interaction.reply({
+      content: "A re-verification campaign is already running in this server.",
+      ephemeral: true,
+    })
+    return
+  }
+
+  try {
+    await interaction.deferReply()
+
+    const members = await guild.members.fetch()
+    const remaining = members.filter((member) => member.roles.cache.has(settings.roleId)).map((member) => member.id)
+
+    const message = await interaction.editReply(
+      `Re-verification started: removing the verified role from ${remaining.length} member(s)...`,
+    )
+
+    await reverifyCampaigns.start(guild.id, {
+      startedBy: interaction.user.tag,
+      channelId: interaction.channelId,
+      messageId: message.id,
+      remaining,
+    })
+
+    runReverifyCampaign(guild.id).catch((error) =>
+      log.error(`Re-verification campaign in guild ${guild.id} failed`, error),
+    )
+  } catch (error) {
+    log.error("Failed to start re-verification campaign", error)
+    await interaction.editReply("Failed to start the re-verification campaign. Please try again.")
+  }
+})
+
+/**
+ * Button Interaction Handler
+ * Handles verification button clicks
+ */
+client.on("interactionCreate", async (interaction) => {
+  if (!interaction.isButton()) return
+
+  if (interaction.customId === "verify_button") {
+    // The correlation ID is stored with the pending verification, so /verify, /callback and the role
+    // assignment log under the same ID
+    const fields = { correlationId: crypto.randomUUID(), userId: interaction.user.id, guildId: interaction.guild.id }
+    await runWithLogContext(fields, () => handleVerifyButton(interaction, fields.correlationId))
+  }
+})
+
+/**
+ * Collect the template data of a guild and member, see guildSettings.replacePlaceholders
+ * @param {Guild} guild - Discord guild
+ * @param {User|null} user - Member's user, null for messages shown to everyone
+ * @param {Object} settings - Guild settings
+ * @returns {Object} Template data
+ */
+export function getTemplateData(guild, user, settings) {
+  const role = settings.roleId ? guild.roles.cache.get(settings.roleId) : null
+
+  return {
+    serverName: guild.name,
+    memberCount: guild.memberCount,
+    roleName: role?.name,
+    verifiedCount: verificationLedger.countVerified(guild.id),
+    ...(user && {
+      username: user.username,
+      userId: user.id,
+      avatarUrl: user.displayAvatarURL({ size: 1024 }),
+      createdAt: user.createdTimestamp,
+    }),
+  }
+}
+
+/**
+ * Build the verification message with the Verify button, as posted by /verifysetup
+ * @param {Guild} guild - Discord guild
+ * @param {Object} settings - Guild settings
+ * @param {boolean} [preview] - Disable the button so the message can't start a verification
+ * @returns {Object} Message options with the embed and button
+ */
+function buildVerifyPanel(guild, settings, preview = false) {
+  const data = getTemplateData(guild, null, settings)
+
+  const embed = new EmbedBuilder()
+    .setTitle(guildSettings.replacePlaceholders(settings.embedTitle, data))
+    .setDescription(guildSettings.replacePlaceholders(settings.embedDescription, data))
+    .setColor(settings.embedColor)
+    .setTimestamp()
+
+  const button = new ButtonBuilder()
+    .setCustomId("verify_button")
+    .setLabel("Verify")
+    .setStyle(ButtonStyle.Success)
+    .setDisabled(preview)
+
+  return { embeds: [embed], components: [new ActionRowBuilder().addComponents(button)] }
+}
+
+/**
+ * Build the message with a member's verification link
+ * Texts a server customized are kept as written unless it overrides them for the member's locale
+ * The expiry line is left out when the description already mentions {expires}
+ * @param {Guild} guild - Discord guild
+ * @param {User} user - Member's user
+ * @param {Object} settings - Guild settings
+ * @param {Function} t - Translate function for the member's locale
+ * @param {string} verifyUrl - Verification link
+ * @param {number} expiresAt - Link expiry timestamp
+ * @returns {EmbedBuilder} Link embed
+ */
+function buildLinkEmbed(guild, user, settings, t, verifyUrl, expiresAt) {
+  const data = { ...getTemplateData(guild, user, settings), expiresAt }
+  const title = t("link.title", {}, guildSettings.isCustomized(guild.id, "dmTitle") ? settings.dmTitle : null)
+  const description = t(
+    "link.description",
+    {},
+    guildSettings.isCustomized(guild.id, "dmDescription") ? settings.dmDescription : null,
+  )
+
+  const expiry = description.includes("{expires}") ? "" : `\n\n*${t("link.expires")}*`
+
+  return new EmbedBuilder()
+    .setTitle(guildSettings.replacePlaceholders(title, data))
+    .setDescription(
+      guildSettings.replacePlaceholders(`${description}\n\n**[${t("link.action")}](${verifyUrl})**${expiry}`, data),
+    )
+    .setColor(settings.dmColor)
+    .setTimestamp()
+}
+
+/**
+ * Build the DM sent to a member once they are verified
+ * The server's own text replaces the translated message, an override for the member's language wins over both
+ * @param {Guild} guild - Discord guild
+ * @param {User} user - Member's user
+ * @param {Object} settings - Guild settings
+ * @param {Function} t - Translate function for the member's locale
+ * @returns {Object} Message options, plain text or an embed depending on settings.successDmEmbed
+ */
+function buildSuccessMessage(guild, user, settings, t) {
+  const text = guildSettings.replacePlaceholders(
+    t("dm.verified", {}, settings.successDmMessage),
+    getTemplateData(guild, user, settings),
+  )
+
+  if (!settings.successDmEmbed) {
+    return { content: text }
+  }
+
+  const embed = new EmbedBuilder().setDescription(text).setColor(settings.successColor)
+  if (guild.iconURL()) embed.setAuthor({ name: guild.name, iconURL: guild.iconURL() })
+  return { embeds: [embed] }
+}
+
+/**
+ * Build the announcement posted in the welcome channel once a member is verified
+ * Only the new member can be pinged, whatever the text contains
+ * @param {Guild} guild - Discord guild
+ * @param {User} user - Member's user
+ * @param {Object} settings - Guild settings
+ * @returns {Object} Message options, plain text or an embed depending on settings.welcomeEmbed
+ */
+function buildWelcomeMessage(guild, user, settings) {
+  const text = guildSettings.replacePlaceholders(settings.welcomeMessage, getTemplateData(guild, user, settings))
+  const allowedMentions = { users: [user.id] }
+
+  if (!settings.welcomeEmbed) {
+    return { content: text, allowedMentions }
+  }
+
+  // Mentions in embeds don't notify, so the member is mentioned above it
+  const embed = new EmbedBuilder()
+    .setDescription(text)
+    .setThumbnail(user.displayAvatarURL({ size: 256 }))
+    .setColor(settings.successColor)
+  return { content: `<@${user.id}>`, embeds: [embed], allowedMentions }
+}
+
+/**
+ * Post the welcome announcement for a verified member, if the guild has a welcome channel
+ * @param {GuildMember} member - Verified guild member
+ * @param {Object} settings - Guild settings
+ */
+async function postWelcomeMessage(member, settings) {
+  if (!settings.welcomeChannelId) return
+
+  const { guild } = member
+  const channel = await guild.channels.fetch(settings.welcomeChannelId).catch(() => null)
+
+  if (!channel) {
+    log.warn("Welcome channel not found", { guildId: guild.id, channelId: settings.welcomeChannelId })
+    return
+  }
+
+  try {
+    await channel.send(buildWelcomeMessage(guild, member.user, settings))
+    log.success("Posted welcome message", { userId: member.id, guildId: guild.id })
+  } catch (error) {
+    log.warn("Could not post welcome message", { userId: member.id, guildId: guild.id, code: error.code })
+  }
+}
+
+/**
+ * Issue a verification link to the member who clicked the Verify button
+ * @param {ButtonInteraction} interaction - Button interaction
+ * @param {string} correlationId - ID of this verification in the logs
+ */
+async function handleVerifyButton(interaction, correlationId) {
+  const userId = interaction.user.id
+  const guildId = interaction.guild.id
+  const serverName = interaction.guild.name
+  const t = getTranslator(interaction.locale, guildId)
+  // Replies are templates too, so servers can use placeholders in their overrides
+  const render = (key, params) =>
+    guildSettings.replacePlaceholders(
+      t(key, params),
+      getTemplateData(interaction.guild, interaction.user, guildSettings.getSettings(guildId)),
+    )
+
+  log.event("Verify button clicked", { user: interaction.user.tag, guild: serverName, locale: interaction.locale })
+
+  // Each click issues a new link and writes the store, so clicks are limited per user and server
+  const limit = buttonLimiter.hit(`${guildId}:${userId}`)
+
+  if (!limit.allowed) {
+    await interaction.reply({
+      content: render("button.tooFast", { retry: guildSettings.formatExpiry(Date.now() + limit.retryAfter) }),
+      ephemeral: true,
+    })
+    log.warn("Verify button rate limit hit")
+
+    if (limit.report) {
+      verificationEvents.record(VerificationEvent.RATE_LIMITED, {
+        guildId,
+        userId,
+        reason: `Kept clicking Verify after reaching the limit of ${config.rateLimit.button.limit} clicks per ${config.rateLimit.button.windowMs / 1000} seconds`,
+      })
+    }
+    return
+  }
+
+  await usernameHistory.record(interaction.user)
+  verificationEvents.record(VerificationEvent.BUTTON_CLICKED, { guildId, userId })
+
+  try {
+    const settings = guildSettings.getSettings(guildId)
+
+    if (!settings.roleId) {
+      await interaction.reply({
+        content: render("button.notConfigured"),
+        ephemeral: true,
+      })
+      log.error("No verified role configured", null, { code: "not_configured" })
+      verificationEvents.record(VerificationEvent.ROLE_FAILED, {
+        guildId,
+        userId,
+        code: "not_configured",
+        reason: "No verified role configured - run /verifysetup",
+      })
+      return
+    }
+
+    const member = await interaction.guild.members.fetch(userId)
+    const verifiedRole = interaction.guild.roles.cache.get(settings.roleId)
+
+    if (!verifiedRole) {
+      await interaction.reply({
+        content: render("button.roleMissing"),
+        ephemeral: true,
+      })
+      log.error("Verified role not found", null, { roleId: settings.roleId, code: "role_missing" })
+      verificationEvents.record(VerificationEvent.ROLE_FAILED, {
+        guildId,
+        userId,
+        code: "role_missing",
+        reason: `Configured verified role ${settings.roleId} no longer exists`,
+      })
+      return
+    }
+
+    if (member.roles.cache.has(verifiedRole.id)) {
+      await interaction.reply({
+        content: render("button.alreadyVerified"),
+        ephemeral: true,
+      })
+      log.info("User is already verified")
+      return
+    }
+
+    // Signed single-use token, also used as the OAuth2 state to prevent CSRF attacks
+    const { token, expiresAt } = await verificationStore.addPending(
+      userId,
+      guildId,
+      guildSettings.getLinkLifetime(guildId),
+      correlationId,
+      interaction.locale,
+    )
+
+    const verifyUrl = `${process.env.BASE_URL}/verify?token=${token}`
+    const embed = buildLinkEmbed(interaction.guild, interaction.user, settings, t, verifyUrl, expiresAt)
+
+    await interaction.reply({
+      embeds: [embed],
+      ephemeral: true,
+    })
+
+    log.info("Verification link sent")
+    verificationEvents.record(VerificationEvent.LINK_ISSUED, { guildId, userId })
+  } catch (error) {
+    log.error("Failed to process verify button", error)
+    await interaction.reply({
+      content: render("button.error"),
+      ephemeral: true,
+    })
+  }
+}
+
+/**
+ * Review Button Interaction Handler
+ * Handles Approve / Deny / Ban buttons on review requests
+ */
+client.on("interactionCreate", async (interaction) => {
+  if (!interaction.isButton()) return
+
+  const [action, userId] = interaction.customId.split(":")
+  if (!REVIEW_ACTIONS.includes(action) || !userId) return
+
+  const guild = interaction.guild
+  const moderator = interaction.user
+
+  log.event(`Review button ${action} clicked by ${moderator.tag} for user ${userId} in ${guild.name}`)
+
+  const allowed =
+    action === "review_ban"
+      ? interaction.memberPermissions?.has(PermissionFlagsBits.BanMembers)
+      : isModerator(interaction, guildSettings.getSettings(guild.id))
+
+  if (!allowed) {
+    await interaction.reply({
+      content: "You do not have permission to review verification requests.",
+      ephemeral: true,
+    })
+    return
+  }
+
+  // Claimed before anything is awaited, so a second click can't decide the same request again
+  const request = approvalQueue.claim(guild.id, userId)
+
+  // Still queued means another moderator's decision is running; it may fail and need these buttons again
+  if (!request && approvalQueue.get(guild.id, userId)) {
+    await interaction.reply({
+      content: "This verification request is being handled by another moderator.",
+      ephemeral: true,
+    })
+    return
+  }
+
+  if (!request) {
+    await interaction.update({ components: [] })
+    await interaction.followUp({
+      content: "This verification request has already been handled.",
+      ephemeral: true,
+    })
+    return
+  }
+
+  try {
+    // Role assignment and DMs can exceed the interaction response window
+    await interaction.deferUpdate()
+
+    let decision
+
+    if (action === "review_approve") {
+      // Log the role assignment under the correlation ID of the verification that was reviewed
+      const roleAssigned = await runWithLogContext({ correlationId: request.correlationId }, () =>
+        assignVerifiedRole(userId, guild.id, {
+          source: "approval",
+          user: request.user,
+          policy: request.policy,
+          moderatorId: moderator.id,
+          locale: request.locale,
+        }),
+      )
+
+      if (!roleAssigned) {
+        approvalQueue.release(guild.id, userId)
+        await interaction.followUp({
+          content: "Could not assign the verified role. Check the role configuration and the bot's permissions.",
+          ephemeral: true,
+        })
+        return
+      }
+
+      decision = { label: "Approved", color: config.colors.success }
+    } else if (action === "review_deny") {
+      await sendReviewResultDM(userId, guild, request, "dm.reviewDenied")
+      verificationEvents.record(VerificationEvent.REVIEW_DENIED, {
+        guildId: guild.id,
+        userId,
+        moderatorId: moderator.id,
+        reason: "Denied by a moderator",
+      })
+      decision = { label: "Denied", color: config.colors.error }
+    } else {
+      await sendReviewResultDM(userId, guild, request, "dm.reviewBanned")
+      await guild.members.ban(userId, { reason: `Verification review: banned by ${moderator.tag}` })
+      verificationEvents.record(VerificationEvent.REVIEW_BANNED, {
+        guildId: guild.id,
+        userId,
+        moderatorId: moderator.id,
+        reason: "Banned by a moderator during review",
+      })
+      decision = { label: "Banned", color: config.colors.error }
+    }
+
+    await approvalQueue.remove(guild.id, userId)
+
+    const embed = EmbedBuilder.from(interaction.message.embeds[0])
+      .addFields({ name: "Decision", value: `${decision.label} by ${moderator}` })
+      .setColor(decision.color)
+
+    await interaction.editReply({ embeds: [embed], components: [] })
+
+    log.success(
+      `Verification request of user ${userId} in ${guild.name} ${decision.label.toLowerCase()} by ${moderator.tag}`,
+    )
+  } catch (error) {
+    log.error(`Failed to process review button for user ${userId}`, error)
+    approvalQueue.release(guild.id, userId)
+    const reply = { content: "Failed to process this decision. Please try again.", ephemeral: true }
+    if (interaction.replied || interaction.deferred) {
+      await interaction.followUp(reply)
+    } else {
+      await interaction.reply(reply)
+    }
+  }
+})
+
+/**
+ * DM a member the outcome of a review, in the locale they verified with
+ * @param {string} userId - Discord user ID
+ * @param {Guild} guild - Guild of the review
+ * @param {Object} request - Approval queue entry
+ * @param {string} messageKey - Message key ("dm.reviewDenied" or "dm.reviewBanned")
+ */
+async function sendReviewResultDM(userId, guild, request, messageKey) {
+  try {
+    const user = await client.users.fetch(userId)
+    const t = getTranslator(request.locale || guild.preferredLocale, guild.id)
+    const settings = guildSettings.getSettings(guild.id)
+    await user.send(guildSettings.replacePlaceholders(t(messageKey), getTemplateData(guild, user, settings)))
+    log.success(`Sent review result DM to ${user.tag}`)
+  } catch (dmError) {
+    log.warn(`Could not send review result DM to ${userId}: ${dmError.message}`)
+  }
+}
+
+/**
+ * Request Manual Approval
+ * Called from web server after OAuth2 login when the guild requires manual approval
+ * Posts a review embed with Approve / Deny / Ban buttons to the review channel
+ * @param {string} userId - Discord user ID
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} discordUser - User object returned by users/@me
+ * @param {Object} policy - Policy checks the user passed, kept for the ledger
+ * @param {string|null} [locale] - Member's Discord locale, used for the DM with the decision
+ * @returns {Promise<boolean>} Whether the request was queued
+ */
+export async function requestApproval(userId, guildId, discordUser, policy, locale = null) {
+  try {
+    const guild = client.guilds.cache.get(guildId)
+
+    if (!guild) {
+      log.error(`Guild ${guildId} not found`)
+      return false
+    }
+
+    await usernameHistory.record(discordUser)
+
+    if (approvalQueue.get(guildId, userId)) {
+      log.info(`User ${userId} already has a pending review in ${guild.name}`)
+      return true
+    }
+
+    const settings = guildSettings.getSettings(guildId)
+    const channel = settings.reviewChannelId
+      ? await guild.channels.fetch(settings.reviewChannelId).catch(() => null)
+      : null
+
+    if (!channel) {
+      log.error(`Review channel ${settings.reviewChannelId} not found in guild ${guild.name}`)
+      return false
+    }
+
+    const createdAt = getAccountCreatedAt(userId)
+    const ageDays = Math.floor((Date.now() - createdAt.getTime()) / (24 * 60 * 60 * 1000))
+    const createdUnix = Math.floor(createdAt.getTime() / 1000)
+    const avatarUrl = discordUser.avatar
+      ? `https://cdn.discordapp.com/avatars/${userId}/${discordUser.avatar}.png?size=256`
+      : null
+
+    const history = usernameHistory
+      .getHistory(userId)
+      .map((entry) => {
+        const name = entry.globalName ? `${entry.username} (${entry.globalName})` : entry.username
+        return `${name} - <t:${Math.floor(entry.seenAt / 1000)}:d>`
+      })
+      .reverse()
+      .slice(0, 10)
+      .join("\n")
+
+    const embed = new EmbedBuilder()
+      .setTitle("Verification Review")
+      .setDescription(`<@${userId}> (${discordUser.username}) completed Discord login and is waiting for approval.`)
+      .addFields(
+        { name: "User ID", value: userId, inline: true },
+        { name: "Account created", value: `<t:${createdUnix}:f> (${ageDays} day(s) ago)`, inline: true },
+        { name: "Avatar", value: avatarUrl ? "Custom" : "Default", inline: true },
+        { name: "Two-factor auth", value: discordUser.mfa_enabled ? "Enabled" : "Disabled", inline: true },
+        { name: "Username history", value: history || "No names recorded" },
+      )
+      .setColor(config.colors.warning)
+      .setTimestamp()
+
+    if (avatarUrl) {
+      embed.setThumbnail(avatarUrl)
+    }
+
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`review_approve:${userId}`).setLabel("Approve").setStyle(ButtonStyle.Success),
+      new ButtonBuilder().setCustomId(`review_deny:${userId}`).setLabel("Deny").setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder().setCustomId(`review_ban:${userId}`).setLabel("Ban").setStyle(ButtonStyle.Danger),
+    )
+
+    const message = await channel.send({ embeds: [embed], components: [row] })
+
+    verificationEvents.record(VerificationEvent.REVIEW_REQUESTED, {
+      guildId,
+      userId,
+      reason: `Waiting for a moderator in <#${channel.id}>`,
+    })
+
+    await approvalQueue.add(guildId, userId, {
+      channelId: channel.id,
+      messageId: message.id,
+      user: snapshotUser(discordUser),
+      policy,
+      correlationId: getLogContext().correlationId,
+      locale,
+    })
+
+    return true
+  } catch (error) {
+    log.error(`Failed to request approval for ${userId}`, error)
+    return false
+  }
+}
+
+/**
+ * Assign Verified Role
+ * Called from web server after successful OAuth2 verification
+ * @param {string} userId - Discord user ID
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} details - How the user was verified, recorded in the ledger and with the verification event
+ * @param {string} details.source - "oauth", "approval", "restore" or "manual"
+ * @param {string} details.reason - Why a moderator verified the user manually
+ * @param {Object} details.user - OAuth2 user snapshot
+ * @param {Object} details.policy - Policy checks the user passed
+ * @param {string} details.moderatorId - Moderator who approved the verification
+ * @param {number} details.verifiedAt - Time of the original verification when restoring a role
+ * @param {string} details.locale - Member's Discord locale for the success DM (the server's locale if missing)
+ * @returns {Promise<boolean>} Success status
+ */
+export async function assignVerifiedRole(userId, guildId, details = {}) {
+  const recordFailure = (code, reason) =>
+    verificationEvents.record(VerificationEvent.ROLE_FAILED, { guildId, userId, ...details, code, reason })
+
+  try {
+    const guild = client.guilds.cache.get(guildId)
+
+    if (!guild) {
+      log.error("Guild not found", null, { userId, guildId, code: "guild_missing" })
+      recordFailure("guild_missing", "The bot is no longer in this server")
+      return false
+    }
+
+    const settings = guildSettings.getSettings(guildId)
+
+    if (!settings.roleId) {
+      log.error("No verified role configured", null, { userId, guildId, code: "not_configured" })
+      recordFailure("not_configured", "No verified role configured - run /verifysetup")
+      return false
+    }
+
+    const member = await guild.members.fetch(userId)
+    const role = guild.roles.cache.get(settings.roleId)
+
+    if (!role) {
+      log.error("Verified role not found", null, { userId, guildId, roleId: settings.roleId, code: "role_missing" })
+      recordFailure("role_missing", `Configured verified role ${settings.roleId} no longer exists`)
+      return false
+    }
+
+    const recordVerified = () =>
+      verificationLedger.record(guildId, {
+        type: "verified",
+        userId,
+        source: details.source || "oauth",
+        user: details.user || null,
+        policy: details.policy || null,
+        approvedBy: details.moderatorId || null,
+        reason: details.reason || null,
+        ...(details.verifiedAt && { verifiedAt: details.verifiedAt }),
+      })
+
+    if (member.roles.cache.has(role.id)) {
+      log.info("User already has the verified role", { userId, guildId })
+      // A moderator confirming a member who got the role by hand still leaves a record for history, export and expiry
+      if (details.source === "manual") {
+        await recordVerified()
+      }
+      await clearUnverifiedState(member, settings)
+      return true
+    }
+
+    // Checked before this verification is recorded, members verifying again are not welcomed twice
+    const verifiedBefore = verificationLedger.wasVerified(guildId, userId)
+
+    await member.roles.add(role)
+    log.success("Assigned verified role", { userId, guildId, user: member.user.tag, source: details.source || "oauth" })
+    verificationEvents.record(VerificationEvent.ROLE_ASSIGNED, { guildId, userId, ...details })
+
+    await recordVerified()
+
+    await clearUnverifiedState(member, settings)
+
+    if (settings.successDmEnabled) {
+      try {
+        const t = getTranslator(details.locale || guild.preferredLocale, guildId)
+        const successMessage = buildSuccessMessage(guild, member.user, settings, t)
+
+        await member.send(successMessage)
+        log.success("Sent verification success DM", { userId, guildId })
+      } catch (dmError) {
+        // User has DMs disabled, log but don't fail verification
+        log.warn("Could not send verification success DM", { userId, guildId, code: dmError.code })
+      }
+    }
+
+    // Members whose role is restored on rejoin, or who verify again after /reverify-all or expiry, were welcomed the
+    // first time
+    if (details.source !== "restore" && !verifiedBefore) {
+      await postWelcomeMessage(member, settings)
+    }
+
+    return true
+  } catch (error) {
+    log.error("Failed to assign verified role", error, { userId, guildId })
+    if (error.code === 50013) {
+      recordFailure(
+        "missing_permissions",
+        "Missing permissions - the bot's role must be above the verified role and have Manage Roles",
+      )
+    } else {
+      recordFailure("api_error", `Discord API error: ${error.message}`)
+    }
+    return false
+  }
+}
+
+/**
+ * Remove the unverified role and kick deadline from a member who just verified
+ * @param {GuildMember} member - Verified guild member
+ * @param {Object} settings - Guild settings
+ */
+async function clearUnverifiedState(member, settings) {
+  await memberDeadlines.remove(member.guild.id, member.id)
+
+  if (settings.unverifiedRoleId && member.roles.cache.has(settings.unverifiedRoleId)) {
+    try {
+      await member.roles.remove(settings.unverifiedRoleId)
+      log.info(`Removed unverified role from ${member.user.tag} in ${member.guild.name}`)
+    } catch (error) {
+      log.warn(`Could not remove unverified role from ${member.user.tag}: ${error.message}`)
+    }
+  }
+}
+
+// Set while a pass over the deadlines runs, so a slow pass doesn't overlap with the next one
+let processingDeadlines = false
+
+/**
+ * Process Verification Deadlines
+ * Sends warning DMs and kicks members who did not verify in time
+ */
+async function processDeadlines() {
+  if (processingDeadlines) return
+  processingDeadlines = true
+
+  try {
+    const { warnings, kicks } = memberDeadlines.getDue()
+
+    for (const entry of [...warnings, ...kicks]) {
+      const guild = client.guilds.cache.get(entry.guildId)
+      const member = guild ? await guild.members.fetch(entry.userId).catch(() => null) : null
+
+      if (!member) {
+        await memberDeadlines.remove(entry.guildId, entry.userId)
+        continue
+      }
+
+      const settings = guildSettings.getSettings(guild.id)
+
+      if (settings.roleId && member.roles.cache.has(settings.roleId)) {
+        await memberDeadlines.remove(guild.id, member.id)
+        continue
+      }
+
+      if (kicks.includes(entry)) {
+        if (!member.kickable) {
+          log.warn(`Cannot kick unverified member ${member.user.tag} from ${guild.name} - missing permissions`)
+          await memberDeadlines.remove(guild.id, member.id)
+          continue
+        }
+
+        try {
+          await member.kick("Did not verify before the deadline")
+          log.success(`Kicked unverified member ${member.user.tag} from ${guild.name}`)
+          verificationEvents.record(VerificationEvent.DEADLINE_KICKED, {
+            guildId: guild.id,
+            userId: member.id,
+            reason: `Did not verify within ${settings.kickAfterHours} hour(s) of joining`,
+          })
+        } catch (error) {
+          log.error(`Failed to kick unverified member ${member.user.tag}`, error)
+        }
+        await memberDeadlines.remove(guild.id, member.id)
+      } else {
+        try {
+          const t = getTranslator(guild.preferredLocale, guild.id)
+          const deadline = `${discordTimestamp(entry.deadline, "f")} (${discordTimestamp(entry.deadline, "R")})`
+          await member.send(
+            guildSettings.replacePlaceholders(
+              t("dm.deadlineWarning", { deadline }),
+              getTemplateData(guild, member.user, settings),
+            ),
+          )
+          log.info(`Sent verification deadline warning to ${member.user.tag} in ${guild.name}`)
+        } catch (dmError) {
+          log.warn(`Could not send deadline warning to ${member.user.tag}: ${dmError.message}`)
+        }
+        await memberDeadlines.markWarned(guild.id, member.id)
+      }
+    }
+  } finally {
+    processingDeadlines = false
+  }
+}
+
+/**
+ * Revoke a member's verification
+ * Records the revocation in the ledger first, then removes the verified role
+ * and gives back the unverified role if the guild uses one
+ * @param {GuildMember} member - Guild member
+ * @param {Object} settings - Guild settings
+ * @param {string} source - Why the verification was revoked (e.g. "expired", "reverify", "manual")
+ * @param {string} reason - Human readable reason
+ * @param {string|null} moderatorId - Moderator who revoked the verification
+ */
+export async function revokeVerification(member, settings, source, reason, moderatorId = null) {
+  if (verificationLedger.isVerified(member.guild.id, member.id) || member.roles.cache.has(settings.roleId)) {
+    await verificationLedger.record(member.guild.id, {
+      type: "revoked",
+      userId: member.id,
+      source,
+      reason,
+      revokedBy: moderatorId,
+    })
+  }
+
+  if (member.roles.cache.has(settings.roleId)) {
+    await member.roles.remove(settings.roleId, reason)
+  }
+
+  if (settings.unverifiedRoleId && !member.roles.cache.has(settings.unverifiedRoleId)) {
+    await member.roles.add(settings.unverifiedRoleId).catch((error) => {
+      log.warn(`Could not give unverified role back to ${member.user.tag}: ${error.message}`)
+    })
+  }
+}
+
+/**
+ * Whether the member behind an interaction may use moderator verification tools
+ * Allowed with the Manage Roles permission or the guild's configured moderator role
+ * @param {Interaction} interaction - Discord interaction
+ * @param {Object} settings - Guild settings
+ * @returns {boolean} True if the member is a verification moderator
+ */
+function isModerator(interaction, settings) {
+  if (interaction.memberPermissions?.has(PermissionFlagsBits.ManageRoles)) {
+    return true
+  }
+  return Boolean(settings.moderatorRoleId && interaction.member?.roles.cache.has(settings.moderatorRoleId))
+}
+
+// Set while a pass over expired verifications runs, so a slow pass doesn't overlap with the next one
+let processingExpiry = false
+
+/**
+ * Process Expired Verifications
+ * Removes the verified role from members whose verification is older than the guild's lifetime
+ * and asks them to verify again
+ */
+async function processExpiredVerifications() {
+  if (processingExpiry) return
+  processingExpiry = true
+
+  try {
+    for (const guild of client.guilds.cache.values()) {
+      const settings = guildSettings.getSettings(guild.id)
+      if (!settings.roleId || !(settings.verificationLifetimeDays > 0)) continue
+
+      for (const entry of verificationLedger.getExpired(guild.id, settings.verificationLifetimeDays)) {
+        const member = await guild.members.fetch(entry.userId).catch(() => null)
+
+        // Members who left keep their entry; a restore checks the lifetime again on rejoin
+        if (!member) continue
+
+        try {
+          await revokeVerification(
+            member,
+            settings,
+            "expired",
+            `Verification older than ${settings.verificationLifetimeDays} day(s)`,
+          )
+          log.info(`Verification of ${member.user.tag} in ${guild.name} expired, role removed`)
+          verificationEvents.record(VerificationEvent.VERIFICATION_EXPIRED, {
+            guildId: guild.id,
+            userId: member.id,
+            reason: `Verification older than ${settings.verificationLifetimeDays} day(s)`,
+          })
+        } catch (error) {
+          log.error(`Failed to expire verification of ${member.user.tag} in ${guild.name}`, error)
+          continue
+        }
+
+        try {
+          const t = getTranslator(guild.preferredLocale, guild.id)
+          await member.send(
+            guildSettings.replacePlaceholders(t("dm.expired"), getTemplateData(guild, member.user, settings)),
+          )
+        } catch (dmError) {
+          log.warn(`Could not send expiry DM to ${member.user.tag}: ${dmError.message}`)
+        }
+      }
+    }
+  } finally {
+    processingExpiry = false
+  }
+}
+
+// Guilds whose re-verification campaign is being worked on, so a campaign never runs twice at once
+const runningCampaigns = new Set()
+
+/**
+ * Run a Re-verification Campaign
+ * Strips the verified role from the campaign's members in batches and reports progress
+ * Progress is persisted after each batch so the campaign resumes after a restart
+ * @param {string} guildId - Discord guild ID
+ */
+async function runReverifyCampaign(guildId) {
+  if (runningCampaigns.has(guildId)) return
+  runningCampaigns.add(guildId)
+
+  try {
+    await runCampaignBatches(guildId)
+  } finally {
+    runningCampaigns.delete(guildId)
+  }
+}
+
+/**
+ * Work through a guild's re-verification campaign until it is finished, see runReverifyCampaign
+ * @param {string} guildId - Discord guild ID
+ */
+async function runCampaignBatches(guildId) {
+  const guild = client.guilds.cache.get(guildId)
+
+  if (!guild) {
+    log.warn(`Dropping re-verification campaign for unknown guild ${guildId}`)
+    await reverifyCampaigns.finish(guildId)
+    return
+  }
+
+  const channel = await guild.channels.fetch(reverifyCampaigns.get(guildId).channelId).catch(() => null)
+  const progressMessage = channel
+    ? await channel.messages.fetch(reverifyCampaigns.get(guildId).messageId).catch(() => null)
+    : null
+
+  const reportProgress = async (campaign, done) => {
+    const processed = campaign.total - campaign.remaining.length
+    const content = done
+      ? `Re-verification finished: removed the verified role from ${processed - campaign.failed} of ${campaign.total} member(s)${campaign.failed ? `, ${campaign.failed} failed` : ""}. Everyone has to verify again.`
+      : `Re-verification in progress: ${processed}/${campaign.total} member(s) processed${campaign.failed ? `, ${campaign.failed} failed` : ""}...`
+    await progressMessage?.edit(content).catch((error) => {
+      log.warn(`Could not update re-verification progress in ${guild.name}: ${error.message}`)
+    })
+  }
+
+  let campaign = reverifyCampaigns.get(guildId)
+
+  while (campaign && campaign.remaining.length > 0) {
+    const settings = guildSettings.getSettings(guildId)
+    const batch = campaign.remaining.slice(0, config.reverify.batchSize)
+    let failed = 0
+
+    for (const userId of batch) {
+      const member = await guild.members.fetch(userId).catch(() => null)
+      if (!member) continue
+
+      try {
+        await revokeVerification(
+          member,
+          settings,
+          "reverify",
+          `Re-verification campaign started by ${campaign.startedBy}`,
+        )
+      } catch (error) {
+        failed++
+        log.warn(`Could not remove verified role from ${member.user.tag}: ${error.message}`)
+      }
+    }
+
+    await reverifyCampaigns.advance(guildId, batch.length, failed)
+    campaign = reverifyCampaigns.get(guildId)
+    await reportProgress(campaign, false)
+
+    if (campaign.remaining.length > 0) {
+      await new Promise((resolve) => setTimeout(resolve, config.reverify.batchDelay))
+    }
+  }
+
+  if (campaign) {
+    await reportProgress(campaign, true)
+    await reverifyCampaigns.finish(guildId)
+    log.success(
+      `Re-verification campaign in ${guild.name} finished (${campaign.total} member(s), ${campaign.failed} failed)`,
+    )
+  }
+}
+
+/**
+ * Guild Member Add Event
+ * Restores the verified role of returning members, or gives new members the unverified role
+ * and schedules their verification deadline
+ */
+client.on("guildMemberAdd", async (member) => {
+  if (member.user.bot) return
+
+  const settings = guildSettings.getSettings(member.guild.id)
+
+  log.event(`Member ${member.user.tag} joined ${member.guild.name}`)
+
+  const previous = verificationLedger.getLatest(member.guild.id, member.id)
+
+  if (
+    settings.restoreOnRejoin &&
+    previous?.type === "verified" &&
+    !verificationLedger.isExpired(previous, settings.verificationLifetimeDays)
+  ) {
+    log.info(`Restoring verified role of returning member ${member.user.tag} in ${member.guild.name}`)
+
+    const restored = await assignVerifiedRole(member.id, member.guild.id, {
+      source: "restore",
+      user: previous.user,
+      policy: previous.policy,
+      verifiedAt: previous.verifiedAt ?? previous.timestamp,
+    })
+
+    if (restored) return
+  }
+
+  if (settings.unverifiedRoleId) {
+    try {
+      await member.roles.add(settings.unverifiedRoleId)
+      log.info(`Assigned unverified role to ${member.user.tag} in ${member.guild.name}`)
+    } catch (error) {
+      log.error(`Failed to assign unverified role to ${member.user.tag}`, error)
+    }
+  }
+
+  if (settings.kickAfterHours > 0) {
+    const now = Date.now()
+    const deadline = now + settings.kickAfterHours * 60 * 60 * 1000
+    const warnAt = Math.max(now, deadline - settings.kickWarningHours * 60 * 60 * 1000)
+    await memberDeadlines.add(member.guild.id, member.id, deadline, warnAt)
+  }
+})
+
+/**
+ * Guild Member Update Event
+ * Records a revocation in the ledger when the verified role is removed from a member by hand
+ */
+client.on("guildMemberUpdate", async (oldMember, newMember) => {
+  if (oldMember.partial) return
+
+  const settings = guildSettings.getSettings(newMember.guild.id)
+  if (!settings.roleId) return
+
+  const roleRemoved = oldMember.roles.cache.has(settings.roleId) && !newMember.roles.cache.has(settings.roleId)
+
+  if (roleRemoved && verificationLedger.isVerified(newMember.guild.id, newMember.id)) {
+    await verificationLedger.record(newMember.guild.id, {
+      type: "revoked",
+      userId: newMember.id,
+      source: "role_removed",
+      reason: "Verified role removed manually",
+    })
+    log.info(`Verified role removed from ${newMember.user.tag} in ${newMember.guild.name}, recorded in ledger`)
+  }
+})
+
+/**
+ * Guild Ban Add Event
+ * Records a revocation in the ledger so banned members are never restored automatically
+ */
+client.on("guildBanAdd", async (ban) => {
+  if (!verificationLedger.isVerified(ban.guild.id, ban.user.id)) return
+
+  await verificationLedger.record(ban.guild.id, {
+    type: "revoked",
+    userId: ban.user.id,
+    source: "ban",
+    reason: ban.reason || "Banned from the server",
+  })
+  log.info(`Banned member ${ban.user.tag} in ${ban.guild.name}, recorded revocation in ledger`)
+})
+
+/**
+ * Guild Member Remove Event
+ * Drops the verification deadline of members who left
+ */
+client.on("guildMemberRemove", async (member) => {
+  await memberDeadlines.remove(member.guild.id, member.id)
+})
+
+/**
+ * User Update Event
+ * Records username and display name changes for the review history
+ */
+client.on("userUpdate", async (oldUser, newUser) => {
+  // Also fired for avatar and banner changes
+  if (!oldUser.partial && oldUser.username === newUser.username && oldUser.globalName === newUser.globalName) return
+  await usernameHistory.record(newUser)
+})
 
 /**
  * Error Handler
@@ -337,14 +2595,16 @@ process.on("unhandledRejection", (error) => {
  */
 process.on("SIGINT", async () => {
   log.warn("Received SIGINT, shutting down gracefully...")
-  await verificationStore.persist()
+  await verificationStats.persist()
+  await closeStorage()
   client.destroy()
   process.exit(0)
 })
 
 process.on("SIGTERM", async () => {
   log.warn("Received SIGTERM, shutting down gracefully...")
-  await verificationStore.persist()
+  await verificationStats.persist()
+  await closeStorage()
   client.destroy()
   process.exit(0)
 })
@@ -31,8 +31,120 @@ export default {
   // Verification system settings
   verification: {
     // Time before verification link expires (5 minutes)
+    // Servers can override it with /verifyconfig linklifetime
     expirationTime: 300000,
     // Interval to clean up expired verifications (1 minute)
     cleanupInterval: 60000,
+    // Interval to warn and kick members past their verification deadline (1 minute)
+    deadlineCheckInterval: 60000,
+    // Interval to remove verifications older than the guild's lifetime (1 hour)
+    expiryCheckInterval: 3600000,
+  },
+
+  // Rate limits for the verification web pages and the Verify button
+  rateLimit: {
+    // Requests per IP address to /verify and /callback (per minute)
+    ip: { limit: 30, windowMs: 60000 },
+    // Verification page loads and captcha answers per user (per minute)
+    user: { limit: 15, windowMs: 60000 },
+    // Verify button clicks per user and server (per minute)
+    button: { limit: 3, windowMs: 60000 },
+    // REST API requests per API key (per minute)
+    api: { limit: 60, windowMs: 60000 },
+    // Blocked attempts in one window before a user is reported to the server's log channel
+    reportAfter: 5,
+  },
+
+  // Web admin dashboard (/dashboard) settings
+  dashboard: {
+    // How long an admin stays logged in (12 hours)
+    sessionLifetime: 43200000,
+  },
+
+  // REST API (/api/v1) settings
+  api: {
+    // API keys each server can have at once
+    maxKeysPerGuild: 10,
+    // Most verifications returned by one request to the recent verifications endpoint
+    maxRecent: 100,
+  },
+
+  // Outgoing webhooks (/verifywebhook) settings
+  webhooks: {
+    // Webhooks each server can have at once
+    maxPerGuild: 5,
+    // Time a receiver has to answer (10 seconds)
+    timeout: 10000,
+    // Attempts before an event is dropped
+    maxAttempts: 8,
+    // Delay before the first retry, doubled after every failed attempt (30 seconds)
+    retryDelay: 30000,
+    // Longest delay between two attempts (1 hour)
+    maxRetryDelay: 3600000,
+    // Interval to send retries that are due (15 seconds)
+    retryInterval: 15000,
+    // Webhooks sent to at the same time when deliveries are due
+    concurrency: 4,
+    // Undelivered events kept per webhook, the oldest are dropped beyond this
+    maxQueued: 500,
+  },
+
+  // Logging, overridden by the LOG_LEVEL, LOG_FORMAT and LOG_FILE environment variables
+  logging: {
+    // Minimum level written: "debug", "info", "warn" or "error"
+    level: "info",
+    // "pretty" (colored text) or "json" (one JSON object per line)
+    format: "pretty",
+    // Also write JSON lines to this file (null to disable)
+    file: null,
+    // Size at which the log file is rotated (10 MB)
+    maxFileSize: 10485760,
+    // Rotated files kept next to the current one
+    maxFiles: 5,
+  },
+
+  // Storage backend for pending verifications and server settings
+  // Overridden by the STORAGE_BACKEND and SQLITE_PATH environment variables
+  storage: {
+    // "json" (one file per store in data/) or "sqlite" (requires better-sqlite3)
+    backend: "json",
+    // Database file used by the SQLite backend
+    sqlitePath: "data/verified.db",
+    // Delay that batches changes into one JSON file write (100 milliseconds)
+    writeDelay: 100,
+  },
+
+  // Verification ledger (/verifyhistory, /verifyexport) settings
+  ledger: {
+    // Days entries are kept; each member's latest entry and latest verification are kept longer
+    retentionDays: 365,
+    // Entries kept per member, the oldest are dropped beyond this
+    maxEntriesPerUser: 50,
+    // Interval to drop entries past the retention period (1 day)
+    pruneInterval: 86400000,
+  },
+
+  // Verification statistics (/verifystats) settings
+  stats: {
+    // Days of daily buckets kept per server
+    retentionDays: 90,
+    // Delay before writing statistics after a change (5 seconds)
+    persistDelay: 5000,
+  },
+
+  // Mass re-verification (/reverify-all) settings
+  reverify: {
+    // Members processed per batch
+    batchSize: 10,
+    // Pause between batches to stay clear of Discord rate limits (5 seconds)
+    batchDelay: 5000,
+  },
+
+  // Captcha challenge shown on the verification page
+  captcha: {
+    // Number of characters in each challenge
+    length: 6,
+    // Wrong answers allowed before the link is invalidated
+    maxAttempts: 5,
   },
 }
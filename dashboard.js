@@ -0,0 +1,1068 @@
+/**
+ * Admin Dashboard
+ * Web interface for editing each server's verification settings
+ * Admins log in with Discord OAuth2 and can manage servers where they have Manage Server and the bot is present
+ * @module dashboard
+ */
+
+import express from "express"
+import axios from "axios"
+import crypto from "crypto"
+import { ChannelType, PermissionFlagsBits } from "discord.js"
+import { log } from "./utils/logger.js"
+import guildSettings from "./utils/guild-settings.js"
+import { validateUsernamePattern, getAccountCreatedAt } from "./utils/requirements.js"
+import { validateTemplate } from "./utils/templates.js"
+import { validateIconUrl, PAGE_PLACEHOLDERS, PAGE_TEXT_LIMITS } from "./utils/branding.js"
+import { escapeHtml } from "./views/html.js"
+import { verificationLedger } from "./utils/verification-ledger.js"
+import { client } from "./bot.js"
+import config from "./config.js"
+
+const SESSION_COOKIE = "dashboard_session"
+const STATE_COOKIE = "dashboard_state"
+const STATE_LIFETIME = 10 * 60 * 1000 // 10 minutes
+
+/**
+ * Every editable guild setting, grouped as shown on the settings page
+ * Types: text, textarea, color, boolean, integer, pattern, url, role, channel
+ * Optional fields are stored as null when left empty; template fields are checked with validateTemplate,
+ * against their own placeholders when they list them
+ */
+const SETTING_SECTIONS = [
+  {
+    title: "Verification message",
+    description: "The message with the Verify button posted by /verifysetup.",
+    fields: [
+      { key: "roleId", label: "Verified role", type: "role", optional: true },
+      { key: "embedTitle", label: "Title", type: "text", maxLength: 256, template: true },
+      { key: "embedDescription", label: "Description", type: "textarea", maxLength: 4096, template: true },
+      { key: "embedColor", label: "Color", type: "color" },
+    ],
+  },
+  {
+    title: "Verification link message",
+    description: "The private message with the verification link, shown when a member clicks Verify.",
+    fields: [
+      { key: "dmTitle", label: "Title", type: "text", maxLength: 256, template: true },
+      { key: "dmDescription", label: "Description", type: "textarea", maxLength: 4000, template: true },
+      { key: "dmColor", label: "Color", type: "color" },
+      {
+        key: "linkLifetimeMinutes",
+        label: "Link lifetime (minutes, empty for the bot default)",
+        type: "integer",
+        min: 1,
+        max: 1440,
+        optional: true,
+      },
+    ],
+  },
+  {
+    title: "Checks",
+    description: "Requirements checked before the verified role is given.",
+    fields: [
+      { key: "captchaEnabled", label: "Require a captcha before Discord login", type: "boolean" },
+      { key: "minAccountAgeDays", label: "Minimum account age (days, 0 for off)", type: "integer", min: 0 },
+      { key: "requireMfa", label: "Require two-factor authentication", type: "boolean" },
+      { key: "requireAvatar", label: "Require a custom avatar", type: "boolean" },
+      { key: "requireVerifiedEmail", label: "Require a verified email address", type: "boolean" },
+      { key: "blockedUsernamePattern", label: "Blocked username pattern (regular expression)", type: "pattern" },
+    ],
+  },
+  {
+    title: "Manual approval",
+    description: "Moderators approve or deny each verification in a review channel.",
+    fields: [
+      { key: "approvalRequired", label: "Require moderator approval", type: "boolean" },
+      { key: "reviewChannelId", label: "Review channel", type: "channel", optional: true },
+    ],
+  },
+  {
+    title: "Unverified members",
+    fields: [
+      { key: "unverifiedRoleId", label: "Unverified role", type: "role", optional: true },
+      { key: "kickAfterHours", label: "Kick after (hours, 0 for never)", type: "integer", min: 0 },
+      { key: "kickWarningHours", label: "Warning DM before the kick (hours)", type: "integer", min: 0 },
+    ],
+  },
+  {
+    title: "Moderation",
+    fields: [
+      { key: "logChannelId", label: "Audit log channel", type: "channel", optional: true },
+      { key: "moderatorRoleId", label: "Moderator role", type: "role", optional: true },
+      { key: "restoreOnRejoin", label: "Give the verified role back when a verified member rejoins", type: "boolean" },
+      {
+        key: "verificationLifetimeDays",
+        label: "Verifications expire after (days, 0 for never)",
+        type: "integer",
+        min: 0,
+      },
+    ],
+  },
+  {
+    title: "Verification page",
+    description:
+      "Branding of the web pages members open from the verification link. Leave a field empty for the default.",
+    fields: [
+      { key: "pageAccentColor", label: "Accent color", type: "color", optional: true },
+      { key: "pageIconUrl", label: "Icon URL (empty for the server icon)", type: "url", optional: true },
+      {
+        key: "pageHeadline",
+        label: "Headline",
+        type: "text",
+        maxLength: PAGE_TEXT_LIMITS.pageHeadline,
+        template: true,
+        placeholders: PAGE_PLACEHOLDERS,
+        optional: true,
+      },
+      {
+        key: "pageBody",
+        label: "Body",
+        type: "textarea",
+        maxLength: PAGE_TEXT_LIMITS.pageBody,
+        template: true,
+        placeholders: PAGE_PLACEHOLDERS,
+        optional: true,
+      },
+      {
+        key: "pageRules",
+        label: "Rules or terms",
+        type: "textarea",
+        maxLength: PAGE_TEXT_LIMITS.pageRules,
+        optional: true,
+      },
+      { key: "successChannelId", label: "Channel linked after verification", type: "channel", optional: true },
+    ],
+  },
+  {
+    title: "After verification",
+    description: "The DM sent to verified members and the welcome message posted for them.",
+    fields: [
+      { key: "successDmEnabled", label: "Send a DM to verified members", type: "boolean" },
+      {
+        key: "successDmMessage",
+        label: "DM text (empty for the translated default)",
+        type: "textarea",
+        maxLength: 2000,
+        template: true,
+        optional: true,
+      },
+      { key: "successDmEmbed", label: "Send the DM as an embed", type: "boolean" },
+      { key: "welcomeChannelId", label: "Welcome channel", type: "channel", optional: true },
+      { key: "welcomeMessage", label: "Welcome text", type: "textarea", maxLength: 2000, template: true },
+      { key: "welcomeEmbed", label: "Post the welcome message as an embed", type: "boolean" },
+      { key: "successColor", label: "Embed color", type: "color" },
+    ],
+  },
+]
+
+// Logged in admins: { sessionId: { user, guilds, csrfToken, expiresAt } }
+const sessions = new Map()
+
+// Drop expired sessions every hour
+setInterval(
+  () => {
+    const now = Date.now()
+    for (const [sessionId, session] of sessions) {
+      if (session.expiresAt <= now) sessions.delete(sessionId)
+    }
+  },
+  60 * 60 * 1000,
+).unref()
+
+export const dashboardRouter = express.Router()
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if both are equal
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a ?? ""))
+  const bufferB = Buffer.from(String(b ?? ""))
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB)
+}
+
+/**
+ * Read a cookie from the request
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value, or null if it is missing or malformed
+ */
+function getCookie(req, name) {
+  for (const part of (req.headers.cookie || "").split(";")) {
+    const [key, ...value] = part.trim().split("=")
+    if (key !== name) continue
+    try {
+      return decodeURIComponent(value.join("="))
+    } catch {
+      return null
+    }
+  }
+  return null
+}
+
+/**
+ * Set or clear a dashboard cookie
+ * @param {Object} res - Express response
+ * @param {string} name - Cookie name
+ * @param {string} value - Cookie value (empty to clear)
+ * @param {number} maxAge - Lifetime in milliseconds (0 to clear)
+ */
+function setCookie(res, name, value, maxAge) {
+  const secure = (process.env.BASE_URL || "").startsWith("https://") ? "; Secure" : ""
+  res.append(
+    "Set-Cookie",
+    `${name}=${encodeURIComponent(value)}; Path=/dashboard; Max-Age=${Math.floor(maxAge / 1000)}; HttpOnly; SameSite=Lax${secure}`,
+  )
+}
+
+/**
+ * Get the OAuth2 redirect URI of the dashboard
+ * @returns {string} Redirect URI
+ */
+function getRedirectUri() {
+  return process.env.DASHBOARD_REDIRECT_URI || `${process.env.BASE_URL}/dashboard/callback`
+}
+
+/**
+ * Session Middleware
+ * Attaches the logged in admin's session to req.session
+ */
+dashboardRouter.use((req, res, next) => {
+  const sessionId = getCookie(req, SESSION_COOKIE)
+  const session = sessionId ? sessions.get(sessionId) : null
+
+  if (session && session.expiresAt > Date.now()) {
+    req.session = session
+    req.sessionId = sessionId
+  }
+
+  next()
+})
+
+/**
+ * Require a logged in admin
+ * Sends the login page otherwise
+ */
+function requireLogin(req, res, next) {
+  if (!req.session) {
+    return res.send(generateLoginPage())
+  }
+  next()
+}
+
+/**
+ * Require a valid CSRF token on form submissions
+ */
+function requireCsrf(req, res, next) {
+  if (!safeEqual(req.body.csrf, req.session.csrfToken)) {
+    log.warn(`Dashboard form with invalid CSRF token from ${req.session.user.username}`)
+    return res
+      .status(403)
+      .send(generateDashboardPage("Session expired", generateMessage("error", "Please reload the page and try again.")))
+  }
+  next()
+}
+
+/**
+ * Resolve a guild the logged in admin may manage
+ * Permissions are checked live through the bot, so revoked permissions apply immediately
+ * @param {Object} session - Dashboard session
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<Guild|null>} Guild, or null if the bot is not in it or the admin lacks Manage Server
+ */
+async function getManagedGuild(session, guildId) {
+  const guild = client.guilds.cache.get(guildId)
+  if (!guild) return null
+
+  const member = await guild.members.fetch(session.user.id).catch(() => null)
+  return member?.permissions.has(PermissionFlagsBits.ManageGuild) ? guild : null
+}
+
+/**
+ * Get the guild member of the logged in admin, fetched by getManagedGuild
+ * @param {Guild} guild - Discord guild
+ * @param {Object} session - Dashboard session
+ * @returns {GuildMember} Admin's member
+ */
+function getAdmin(guild, session) {
+  return guild.members.cache.get(session.user.id)
+}
+
+/**
+ * Dashboard Home
+ * Lists the servers the admin can manage
+ */
+dashboardRouter.get("/", requireLogin, (req, res) => {
+  const manageGuild = BigInt(PermissionFlagsBits.ManageGuild)
+  const guilds = req.session.guilds.filter(
+    (guild) => (BigInt(guild.permissions) & manageGuild) === manageGuild && client.guilds.cache.has(guild.id),
+  )
+
+  const list = guilds.length
+    ? `<ul class="guild-list">${guilds
+        .map(
+          (guild) => `
+          <li>
+            <a href="/dashboard/guilds/${guild.id}">
+              ${
+                guild.icon
+                  ? `<img src="https://cdn.discordapp.com/icons/${guild.id}/${guild.icon}.png?size=64" alt="">`
+                  : `<span class="guild-initial">${escapeHtml(guild.name.charAt(0))}</span>`
+              }
+              <span>${escapeHtml(guild.name)}</span>
+            </a>
+          </li>`,
+        )
+        .join("")}</ul>`
+    : generateMessage("info", "No servers found where you have Manage Server and the bot is present.")
+
+  res.send(generateDashboardPage("Your servers", list, req.session))
+})
+
+/**
+ * Dashboard Login
+ * Redirects to Discord OAuth2 with a CSRF state stored in a short-lived cookie
+ */
+dashboardRouter.get("/login", (req, res) => {
+  const state = crypto.randomBytes(24).toString("base64url")
+  setCookie(res, STATE_COOKIE, state, STATE_LIFETIME)
+
+  const authorizeUrl = new URL("https://discord.com/api/oauth2/authorize")
+  authorizeUrl.searchParams.append("client_id", process.env.CLIENT_ID)
+  authorizeUrl.searchParams.append("redirect_uri", getRedirectUri())
+  authorizeUrl.searchParams.append("response_type", "code")
+  authorizeUrl.searchParams.append("scope", "identify guilds")
+  authorizeUrl.searchParams.append("state", state)
+
+  res.redirect(authorizeUrl.toString())
+})
+
+/**
+ * Dashboard OAuth2 Callback
+ * Creates a session with the admin's identity and server list
+ */
+dashboardRouter.get("/callback", async (req, res) => {
+  const { code, state } = req.query
+  const expectedState = getCookie(req, STATE_COOKIE)
+  setCookie(res, STATE_COOKIE, "", 0)
+
+  if (!code || !state || !expectedState || !safeEqual(state, expectedState)) {
+    log.warn("Dashboard login with missing or mismatched state")
+    return res
+      .status(400)
+      .send(generateDashboardPage("Login failed", generateMessage("error", "Login expired. Please try again.")))
+  }
+
+  try {
+    const tokenResponse = await axios.post(
+      "https://discord.com/api/oauth2/token",
+      new URLSearchParams({
+        client_id: process.env.CLIENT_ID,
+        client_secret: process.env.CLIENT_SECRET,
+        grant_type: "authorization_code",
+        code,
+        redirect_uri: getRedirectUri(),
+      }),
+      { headers: { "Content-Type": "application/x-www-form-urlencoded" } },
+    )
+
+    const headers = { Authorization: `Bearer ${tokenResponse.data.access_token}` }
+    const [userResponse, guildsResponse] = await Promise.all([
+      axios.get("https://discord.com/api/users/@me", { headers }),
+      axios.get("https://discord.com/api/users/@me/guilds", { headers }),
+    ])
+
+    const sessionId = crypto.randomBytes(32).toString("base64url")
+    sessions.set(sessionId, {
+      user: { id: userResponse.data.id, username: userResponse.data.username },
+      guilds: guildsResponse.data.map(({ id, name, icon, permissions }) => ({ id, name, icon, permissions })),
+      csrfToken: crypto.randomBytes(24).toString("base64url"),
+      expiresAt: Date.now() + config.dashboard.sessionLifetime,
+    })
+    setCookie(res, SESSION_COOKIE, sessionId, config.dashboard.sessionLifetime)
+
+    log.success(`Dashboard login by ${userResponse.data.username}`)
+    res.redirect("/dashboard")
+  } catch (error) {
+    log.error("Dashboard login failed", error)
+    res
+      .status(502)
+      .send(generateDashboardPage("Login failed", generateMessage("error", "Discord login failed. Please try again.")))
+  }
+})
+
+/**
+ * Dashboard Logout
+ */
+dashboardRouter.post("/logout", requireLogin, requireCsrf, (req, res) => {
+  sessions.delete(req.sessionId)
+  setCookie(res, SESSION_COOKIE, "", 0)
+  res.redirect("/dashboard")
+})
+
+/**
+ * Guild Settings Page
+ */
+dashboardRouter.get("/guilds/:guildId", requireLogin, async (req, res) => {
+  const guild = await getManagedGuild(req.session, req.params.guildId)
+
+  if (!guild) {
+    return res.status(403).send(generateForbiddenPage(req.session))
+  }
+
+  const message = req.query.saved ? generateMessage("success", "Settings saved.") : ""
+  res.send(generateSettingsPage(guild, guildSettings.getSettings(guild.id), req.session, message))
+})
+
+/**
+ * Guild Settings Submission
+ * Validates every field and saves through guildSettings.updateSettings
+ */
+dashboardRouter.post("/guilds/:guildId", requireLogin, requireCsrf, async (req, res) => {
+  const guild = await getManagedGuild(req.session, req.params.guildId)
+
+  if (!guild) {
+    return res.status(403).send(generateForbiddenPage(req.session))
+  }
+
+  const { values, errors } = parseSettingsForm(req.body, guild, getAdmin(guild, req.session))
+
+  if (errors.length > 0) {
+    const message = generateMessage("error", errors.map(escapeHtml).join("<br>"))
+    return res
+      .status(400)
+      .send(generateSettingsPage(guild, { ...guildSettings.getSettings(guild.id), ...values }, req.session, message))
+  }
+
+  await guildSettings.updateSettings(guild.id, values)
+  log.success(`Settings of guild ${guild.id} updated from the dashboard by ${req.session.user.username}`)
+  res.redirect(303, `/dashboard/guilds/${guild.id}?saved=1`)
+})
+
+// Permissions a role chosen in the dashboard may not have; the dashboard only requires Manage Server, so it must not
+// hand out more than that through the verified, unverified or moderator role
+const ELEVATED_PERMISSIONS = [
+  PermissionFlagsBits.Administrator,
+  PermissionFlagsBits.ManageGuild,
+  PermissionFlagsBits.ManageRoles,
+  PermissionFlagsBits.ManageChannels,
+  PermissionFlagsBits.ManageWebhooks,
+  PermissionFlagsBits.BanMembers,
+  PermissionFlagsBits.KickMembers,
+  PermissionFlagsBits.ModerateMembers,
+]
+
+/**
+ * Get the roles that can be chosen for role settings
+ * Roles must be below the bot's highest role and the admin's (unless they own the server), and have no elevated
+ * permissions; roles with those can only be set by Administrators with /verifysetup and /verifyconfig
+ * @param {Guild} guild - Discord guild
+ * @param {GuildMember} member - Admin editing the settings
+ * @returns {Array<Role>} Roles, highest first, without @everyone and integration roles
+ */
+function getSelectableRoles(guild, member) {
+  const isOwner = member.id === guild.ownerId
+
+  return [...guild.roles.cache.values()]
+    .filter(
+      (role) =>
+        role.id !== guild.id &&
+        !role.managed &&
+        role.comparePositionTo(guild.members.me.roles.highest) < 0 &&
+        (isOwner || role.comparePositionTo(member.roles.highest) < 0) &&
+        !role.permissions.any(ELEVATED_PERMISSIONS),
+    )
+    .sort((a, b) => b.position - a.position)
+}
+
+/**
+ * Get the channels that can be chosen for channel settings
+ * @param {Guild} guild - Discord guild
+ * @returns {Array<GuildChannel>} Text and announcement channels in channel list order
+ */
+function getSelectableChannels(guild) {
+  return [...guild.channels.cache.values()]
+    .filter((channel) => [ChannelType.GuildText, ChannelType.GuildAnnouncement].includes(channel.type))
+    .sort((a, b) => a.rawPosition - b.rawPosition)
+}
+
+/**
+ * Validate and convert one submitted setting
+ * @param {Object} field - Field definition from SETTING_SECTIONS
+ * @param {string} raw - Submitted text, trimmed
+ * @param {Guild} guild - Discord guild, used to check role and channel choices
+ * @param {GuildMember} admin - Admin editing the settings, limits the roles they can choose
+ * @param {*} current - Saved value of the setting
+ * @returns {{value?: *, error?: string}} Converted value, or why it was rejected
+ */
+function parseField(field, raw, guild, admin, current) {
+  if (!raw && (field.optional || field.type === "pattern")) {
+    return { value: null }
+  }
+
+  switch (field.type) {
+    case "text":
+    case "textarea":
+      if (!raw) return { error: `${field.label} can't be empty.` }
+      if (raw.length > field.maxLength) {
+        return { error: `${field.label} is longer than ${field.maxLength} characters.` }
+      }
+      if (field.template) {
+        const templateError = validateTemplate(raw.replace(/\r\n/g, "\n"), {
+          maxLength: field.maxLength,
+          placeholders: field.placeholders,
+        })
+        if (templateError) return { error: `${field.label}: ${templateError}` }
+      }
+      return { value: raw.replace(/\r\n/g, "\n") }
+
+    case "color":
+      if (!/^#[0-9a-f]{6}$/i.test(raw)) return { error: `${field.label} must be a hex color such as #5865F2.` }
+      return { value: raw.toUpperCase() }
+
+    case "url": {
+      const urlError = validateIconUrl(raw)
+      return urlError ? { error: `${field.label}: ${urlError}` } : { value: raw }
+    }
+
+    case "integer": {
+      const number = Number(raw)
+      const min = field.min ?? 0
+      const max = field.max ?? Infinity
+      if (!raw || !Number.isInteger(number) || number < min || number > max) {
+        const range = max < Infinity ? `from ${min} to ${max}` : `of at least ${min}`
+        return { error: `${field.label} must be a whole number ${range}.` }
+      }
+      return { value: number }
+    }
+
+    case "pattern": {
+      const patternError = validateUsernamePattern(raw)
+      return patternError ? { error: `${field.label}: ${patternError}` } : { value: raw }
+    }
+
+    case "role":
+      if (!guild.roles.cache.has(raw)) return { error: `${field.label} no longer exists.` }
+      // A role set by an Administrator through a command stays as it is, even if this admin couldn't choose it
+      if (raw !== current && !getSelectableRoles(guild, admin).some((role) => role.id === raw)) {
+        return {
+          error: `${field.label} must be below your highest role and the bot's, without admin or moderation permissions.`,
+        }
+      }
+      return { value: raw }
+
+    case "channel":
+      if (!getSelectableChannels(guild).some((channel) => channel.id === raw)) {
+        return { error: `${field.label} no longer exists.` }
+      }
+      return { value: raw }
+  }
+}
+
+/**
+ * Validate and convert a submitted settings form
+ * Invalid fields keep the submitted text so the form can be shown again
+ * @param {Object} body - Form fields
+ * @param {Guild} guild - Discord guild
+ * @param {GuildMember} admin - Admin editing the settings
+ * @returns {{values: Object, errors: Array<string>}} Converted settings and validation errors
+ */
+function parseSettingsForm(body, guild, admin) {
+  const values = {}
+  const errors = []
+  const saved = guildSettings.getSettings(guild.id)
+
+  for (const { fields } of SETTING_SECTIONS) {
+    for (const field of fields) {
+      if (field.type === "boolean") {
+        values[field.key] = body[field.key] === "on"
+        continue
+      }
+
+      const raw = typeof body[field.key] === "string" ? body[field.key].trim() : ""
+      const { value, error } = parseField(field, raw, guild, admin, saved[field.key])
+
+      values[field.key] = error ? raw : value
+      if (error) errors.push(error)
+    }
+  }
+
+  if (values.approvalRequired && !values.reviewChannelId) {
+    errors.push("Choose a review channel when manual approval is required.")
+  }
+
+  return { values, errors }
+}
+
+/**
+ * Generate the input for one setting
+ * @param {Object} field - Field definition from SETTING_SECTIONS
+ * @param {*} value - Current value
+ * @param {Guild} guild - Discord guild, used for role and channel choices
+ * @param {GuildMember} admin - Admin editing the settings, limits the role choices
+ * @returns {string} HTML content
+ */
+function generateField(field, value, guild, admin) {
+  const id = `field-${field.key}`
+  const label = `<label for="${id}">${escapeHtml(field.label)}</label>`
+
+  if (field.type === "boolean") {
+    return `
+      <div class="field checkbox">
+        <input type="checkbox" id="${id}" name="${field.key}" ${value ? "checked" : ""}>
+        ${label}
+      </div>`
+  }
+
+  let input
+  if (field.type === "textarea") {
+    input = `<textarea id="${id}" name="${field.key}" rows="6" maxlength="${field.maxLength}">${escapeHtml(value)}</textarea>`
+  } else if (field.type === "color" && field.optional) {
+    // A color input always has a value, a text input can be left empty for the default
+    input = `<input type="text" id="${id}" name="${field.key}" maxlength="7" placeholder="#5865F2" value="${escapeHtml(value)}">`
+  } else if (field.type === "color") {
+    input = `<input type="color" id="${id}" name="${field.key}" value="${escapeHtml(String(value).toLowerCase())}">`
+  } else if (field.type === "integer") {
+    const max = field.max ? ` max="${field.max}"` : ""
+    input = `<input type="number" id="${id}" name="${field.key}" min="${field.min ?? 0}"${max} value="${escapeHtml(value)}">`
+  } else if (field.type === "role" || field.type === "channel") {
+    const choices =
+      field.type === "role"
+        ? getSelectableRoles(guild, admin).map((role) => ({ id: role.id, name: `@${role.name}` }))
+        : getSelectableChannels(guild).map((channel) => ({ id: channel.id, name: `#${channel.name}` }))
+    // Keep showing a saved role the admin can't choose, so saving the form doesn't clear it
+    const savedRole = field.type === "role" && value ? guild.roles.cache.get(value) : null
+    if (savedRole && !choices.some((choice) => choice.id === savedRole.id)) {
+      choices.unshift({ id: savedRole.id, name: `@${savedRole.name}` })
+    }
+    const options = choices
+      .map(
+        (choice) =>
+          `<option value="${choice.id}" ${choice.id === value ? "selected" : ""}>${escapeHtml(choice.name)}</option>`,
+      )
+      .join("")
+    input = `<select id="${id}" name="${field.key}"><option value="">None</option>${options}</select>`
+  } else {
+    const maxLength = field.maxLength ? ` maxlength="${field.maxLength}"` : ""
+    input = `<input type="text" id="${id}" name="${field.key}"${maxLength} value="${escapeHtml(value)}">`
+  }
+
+  return `<div class="field">${label}${input}</div>`
+}
+
+/**
+ * Generate the settings page of a guild with a live preview of the embeds and the welcome message
+ * @param {Guild} guild - Discord guild
+ * @param {Object} settings - Settings to show in the form
+ * @param {Object} session - Dashboard session
+ * @param {string} message - Optional status message HTML
+ * @returns {string} HTML content
+ */
+function generateSettingsPage(guild, settings, session, message) {
+  const sections = SETTING_SECTIONS.map(
+    (section) => `
+      <fieldset>
+        <legend>${escapeHtml(section.title)}</legend>
+        ${section.description ? `<p class="hint">${escapeHtml(section.description)}</p>` : ""}
+        ${section.fields.map((field) => generateField(field, settings[field.key], guild, getAdmin(guild, session))).join("")}
+      </fieldset>`,
+  ).join("")
+
+  // Values the preview script needs, embedded as JSON with "<" escaped so it cannot close the script tag
+  // Placeholders are filled with the admin's own account, like /verifypreview
+  const role = settings.roleId ? guild.roles.cache.get(settings.roleId) : null
+  const previewData = JSON.stringify({
+    values: {
+      servername: guild.name,
+      username: session.user.username,
+      mention: `@${session.user.username}`,
+      membercount: String(guild.memberCount),
+      role: role?.name ?? "",
+      verifiedcount: String(verificationLedger.countVerified(guild.id)),
+      avatar: client.users.cache.get(session.user.id)?.displayAvatarURL({ size: 1024 }) ?? "",
+      created: getAccountCreatedAt(session.user.id).toLocaleDateString("en-US", { dateStyle: "long" }),
+    },
+    defaultLifetimeMinutes: Math.round(config.verification.expirationTime / 60000),
+  }).replace(/</g, "\\u003c")
+
+  const content = `
+    ${message}
+    <p><a href="/dashboard">&larr; All servers</a></p>
+    <div class="settings-layout">
+      <form method="POST" action="/dashboard/guilds/${guild.id}" class="settings-form">
+        <input type="hidden" name="csrf" value="${session.csrfToken}">
+        ${sections}
+        <button type="submit" class="button">Save settings</button>
+      </form>
+      <aside class="preview">
+        <h3>Verification message</h3>
+        <div class="embed" id="preview-embed">
+          <div class="embed-title"></div>
+          <div class="embed-description"></div>
+        </div>
+        <div class="verify-button">Verify</div>
+        <h3>Verification link message</h3>
+        <div class="embed" id="preview-dm">
+          <div class="embed-title"></div>
+          <div class="embed-description"></div>
+          <div class="embed-link">Click here to verify</div>
+        </div>
+        <h3>Welcome message</h3>
+        <div class="embed" id="preview-welcome">
+          <div class="embed-description"></div>
+        </div>
+      </aside>
+    </div>
+    <script>
+      const preview = ${previewData}
+
+      function escapeText(text) {
+        return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+      }
+
+      function renderMarkdown(text) {
+        const minutes = Number(document.getElementById("field-linkLifetimeMinutes").value) || preview.defaultLifetimeMinutes
+        const values = { ...preview.values, expires: "in " + minutes + " minutes" }
+        const replaced = text
+          .replace(/{if:(\\w+)}([\\s\\S]*?)(?:{else}([\\s\\S]*?))?{\\/if}/g, (match, name, then, otherwise) =>
+            values[name] ? then : otherwise || "",
+          )
+          .replace(/{(\\w+)}/g, (match, name) => (name in values ? values[name] : match))
+        return escapeText(replaced)
+          .replace(/\\*\\*(.+?)\\*\\*/g, "<strong>$1</strong>")
+          .replace(/\\*(.+?)\\*/g, "<em>$1</em>")
+          .replace(/\\n/g, "<br>")
+      }
+
+      function updateEmbed(id, prefix) {
+        const embed = document.getElementById(id)
+        embed.style.borderLeftColor = document.getElementById("field-" + prefix + "Color").value
+        embed.querySelector(".embed-title").innerHTML = renderMarkdown(document.getElementById("field-" + prefix + "Title").value)
+        embed.querySelector(".embed-description").innerHTML = renderMarkdown(
+          document.getElementById("field-" + prefix + "Description").value,
+        )
+      }
+
+      function updatePreview() {
+        updateEmbed("preview-embed", "embed")
+        updateEmbed("preview-dm", "dm")
+
+        const welcome = document.getElementById("preview-welcome")
+        welcome.style.borderLeftColor = document.getElementById("field-successColor").value
+        welcome.querySelector(".embed-description").innerHTML = renderMarkdown(
+          document.getElementById("field-welcomeMessage").value,
+        )
+      }
+
+      document.querySelector(".settings-form").addEventListener("input", updatePreview)
+      updatePreview()
+    </script>`
+
+  return generateDashboardPage(guild.name, content, session)
+}
+
+/**
+ * Generate the page shown for guilds the admin cannot manage
+ * @param {Object} session - Dashboard session
+ * @returns {string} HTML content
+ */
+function generateForbiddenPage(session) {
+  return generateDashboardPage(
+    "Not allowed",
+    `${generateMessage("error", "You need Manage Server in this server, and the bot must be a member.")}
+    <p><a href="/dashboard">&larr; All servers</a></p>`,
+    session,
+  )
+}
+
+/**
+ * Generate the login page
+ * @returns {string} HTML content
+ */
+function generateLoginPage() {
+  return generateDashboardPage(
+    "Verification Dashboard",
+    `<p>Log in with Discord to manage the verification settings of your servers.</p>
+    <a href="/dashboard/login" class="button">Log in with Discord</a>`,
+  )
+}
+
+/**
+ * Generate a status message box
+ * @param {string} type - "success", "error" or "info"
+ * @param {string} html - Message HTML (escape user input before passing it)
+ * @returns {string} HTML content
+ */
+function generateMessage(type, html) {
+  return `<div class="message ${type}">${html}</div>`
+}
+
+/**
+ * Generate the shared layout of the dashboard pages
+ * @param {string} title - Page heading (escaped here)
+ * @param {string} content - Page content HTML
+ * @param {Object} [session] - Dashboard session, adds the logout button when present
+ * @returns {string} HTML content
+ */
+function generateDashboardPage(title, content, session = null) {
+  const account = session
+    ? `<form method="POST" action="/dashboard/logout" class="account">
+        <span>${escapeHtml(session.user.username)}</span>
+        <input type="hidden" name="csrf" value="${session.csrfToken}">
+        <button type="submit" class="link-button">Log out</button>
+      </form>`
+    : ""
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${escapeHtml(title)} - Verification Dashboard</title>
+      <style>
+        * {
+          box-sizing: border-box;
+        }
+        body {
+          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+          background: #f2f3f5;
+          color: #2e3338;
+          margin: 0;
+        }
+        header {
+          background: #5865F2;
+          color: white;
+          padding: 16px 32px;
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+        header a {
+          color: white;
+          text-decoration: none;
+          font-weight: bold;
+        }
+        main {
+          max-width: 1100px;
+          margin: 0 auto;
+          padding: 32px;
+        }
+        h1 {
+          color: #5865F2;
+          margin-top: 0;
+        }
+        a {
+          color: #5865F2;
+        }
+        .account {
+          display: flex;
+          gap: 12px;
+          align-items: center;
+        }
+        .link-button {
+          background: none;
+          border: 1px solid white;
+          color: white;
+          border-radius: 6px;
+          padding: 4px 12px;
+          cursor: pointer;
+        }
+        .button {
+          display: inline-block;
+          background: #5865F2;
+          color: white;
+          border: none;
+          border-radius: 8px;
+          padding: 12px 28px;
+          font-size: 16px;
+          font-weight: 600;
+          text-decoration: none;
+          cursor: pointer;
+        }
+        .button:hover {
+          background: #4752c4;
+        }
+        .message {
+          padding: 12px 16px;
+          border-radius: 8px;
+          margin-bottom: 20px;
+        }
+        .message.success {
+          background: #d7f5e1;
+          color: #1f7a3f;
+        }
+        .message.error {
+          background: #fde2e2;
+          color: #a12d2f;
+        }
+        .message.info {
+          background: #e3e7fd;
+          color: #3b44a8;
+        }
+        .guild-list {
+          list-style: none;
+          padding: 0;
+          display: grid;
+          grid-template-columns: repeat(auto-fill, minmax(240px, 1fr));
+          gap: 16px;
+        }
+        .guild-list a {
+          display: flex;
+          align-items: center;
+          gap: 12px;
+          background: white;
+          padding: 16px;
+          border-radius: 12px;
+          text-decoration: none;
+          color: #2e3338;
+          font-weight: 600;
+        }
+        .guild-list img,
+        .guild-initial {
+          width: 48px;
+          height: 48px;
+          border-radius: 50%;
+        }
+        .guild-initial {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          background: #5865F2;
+          color: white;
+          font-size: 20px;
+        }
+        .settings-layout {
+          display: grid;
+          grid-template-columns: minmax(0, 1fr) 380px;
+          gap: 32px;
+          align-items: start;
+        }
+        fieldset {
+          background: white;
+          border: none;
+          border-radius: 12px;
+          padding: 20px 24px;
+          margin: 0 0 20px;
+        }
+        legend {
+          font-weight: bold;
+          font-size: 18px;
+          padding: 0;
+          float: left;
+          width: 100%;
+          margin-bottom: 8px;
+        }
+        .hint {
+          clear: both;
+          color: #4f545c;
+          font-size: 14px;
+          margin: 0 0 12px;
+        }
+        .field {
+          clear: both;
+          margin-bottom: 14px;
+        }
+        .field label {
+          display: block;
+          font-size: 14px;
+          font-weight: 600;
+          margin-bottom: 4px;
+        }
+        .field.checkbox {
+          display: flex;
+          gap: 8px;
+          align-items: center;
+        }
+        .field.checkbox label {
+          display: inline;
+          margin: 0;
+        }
+        .field input[type="text"],
+        .field input[type="number"],
+        .field textarea,
+        .field select {
+          width: 100%;
+          padding: 8px 10px;
+          border: 2px solid #e3e5e8;
+          border-radius: 6px;
+          font-size: 14px;
+          font-family: inherit;
+        }
+        .field input[type="color"] {
+          width: 64px;
+          height: 36px;
+          border: none;
+          background: none;
+        }
+        .preview {
+          position: sticky;
+          top: 20px;
+          background: #313338;
+          color: #dbdee1;
+          border-radius: 12px;
+          padding: 20px;
+        }
+        .preview h3 {
+          font-size: 12px;
+          text-transform: uppercase;
+          color: #949ba4;
+          margin: 0 0 8px;
+        }
+        .embed {
+          background: #2b2d31;
+          border-left: 4px solid #5865F2;
+          border-radius: 4px;
+          padding: 12px 16px;
+          margin-bottom: 12px;
+          word-wrap: break-word;
+        }
+        .embed-title {
+          font-weight: bold;
+          color: white;
+          margin-bottom: 8px;
+        }
+        .embed-description {
+          font-size: 14px;
+          line-height: 1.4;
+        }
+        .embed-link {
+          margin-top: 12px;
+          font-weight: bold;
+          color: #00a8fc;
+        }
+        .verify-button {
+          display: inline-block;
+          background: #248046;
+          color: white;
+          border-radius: 4px;
+          padding: 6px 16px;
+          font-size: 14px;
+          margin-bottom: 24px;
+        }
+        @media (max-width: 860px) {
+          .settings-layout {
+            grid-template-columns: 1fr;
+          }
+          .preview {
+            position: static;
+          }
+        }
+      </style>
+    </head>
+    <body>
+      <header>
+        <a href="/dashboard">Verification Dashboard</a>
+        ${account}
+      </header>
+      <main>
+        <h1>${escapeHtml(title)}</h1>
+        ${content}
+      </main>
+    </body>
+    </html>
+  `
+}
@@ -0,0 +1,84 @@
+/**
+ * German Messages
+ * @module locales/de
+ */
+
+export default {
+  // Replies to the Verify button
+  "button.tooFast": "Du klickst zu schnell. Bitte warte und versuche es {retry} erneut.",
+  "button.notConfigured":
+    "Die Verifizierung ist auf diesem Server nicht eingerichtet. Bitte wende dich an einen Administrator.",
+  "button.roleMissing": "Die Verifizierungsrolle wurde gelöscht. Bitte wende dich an einen Administrator.",
+  "button.alreadyVerified": "Du bist bereits verifiziert!",
+  "button.error": "Ein Fehler ist aufgetreten. Bitte versuche es später erneut.",
+
+  // Verification link reply
+  "link.title": "Verifiziere dein Konto",
+  "link.description":
+    "Hallo {username}, klicke auf den Link unten, um dich auf **{servername}** zu verifizieren.\n\nDieser Verifizierungslink ist sicher und läuft {expires} ab.",
+  "link.action": "Hier klicken zum Verifizieren",
+  "link.expires": "Dieser Link läuft {expires} ab",
+
+  // Direct messages
+  "dm.verified":
+    "Hallo {username}!\n\nDu bist jetzt ein verifiziertes Mitglied von **{servername}**.\n\nDu hast jetzt Zugriff auf alle Kanäle und kannst loslegen. Willkommen in der Community!",
+  "dm.reviewDenied": "Deine Verifizierungsanfrage auf **{servername}** wurde von einem Moderator abgelehnt.",
+  "dm.reviewBanned": "Deine Verifizierungsanfrage auf **{servername}** wurde abgelehnt und du wurdest gebannt.",
+  "dm.deadlineWarning":
+    "Hallo {username}!\n\nDu hast dich auf **{servername}** noch nicht verifiziert. Bitte klicke vor {deadline} im Server auf den **Verify**-Button, sonst wirst du vom Server entfernt.",
+  "dm.expired":
+    "Hallo {username}!\n\nDeine Verifizierung auf **{servername}** ist abgelaufen. Bitte klicke im Server auf den **Verify**-Button, um dich erneut zu verifizieren.",
+
+  // Verification and captcha pages
+  "page.verifyTitle": "Discord-Verifizierung",
+  "page.verifyHeading": "Verifizierung für {servername}",
+  "page.verifyIntro": "Bevor du auf {servername} schreiben kannst, musst du dich verifizieren.",
+  "page.verifyInstruction": "Klicke auf den Button unten, um dich mit Discord anzumelden.",
+  "page.verifyButton": "Mit Discord verifizieren",
+  "page.captchaInstruction": "Gib die Zeichen aus dem Bild unten ein, um fortzufahren.",
+  "page.captchaImage": "Captcha-Aufgabe",
+  "page.captchaPlaceholder": "Angezeigte Zeichen eingeben",
+  "page.captchaSubmit": "Weiter",
+  "page.captchaRefresh": "Neues Bild laden",
+  "page.captchaIncorrect": "Falsche Antwort, bitte versuche es erneut.",
+  "page.infoTitle": "Warum ist das nötig?",
+  "page.infoText":
+    "Wir nutzen das offizielle OAuth2-System von Discord, um deine Identität sicher zu bestätigen. Wir greifen nur auf deine grundlegenden Profilinformationen zu.",
+  "page.secured": "Abgesichert durch Discord OAuth2",
+  "page.rulesTitle": "Serverregeln",
+  "page.rulesAgree": "Mit der Verifizierung akzeptierst du diese Regeln.",
+
+  // Result pages
+  "page.successTitle": "Verifizierung erfolgreich",
+  "page.successMessage": "Du wurdest erfolgreich verifiziert und hast jetzt Zugriff auf den Server.",
+  "page.submittedTitle": "Verifizierung eingereicht",
+  "page.submittedMessage":
+    "Deine Verifizierung wurde eingereicht und wartet auf die Prüfung durch einen Moderator. Du erhältst eine DM, sobald entschieden wurde.",
+  "page.welcome": "Willkommen, {username}!",
+  "page.closeHint": "Du kannst dieses Fenster jetzt schließen und zu Discord zurückkehren.",
+  "page.close": "Fenster schließen",
+  "page.openChannel": "Weiter zu {channel}",
+  "page.errorTitle": "Verifizierung fehlgeschlagen",
+
+  // Errors shown on the error page
+  "error.invalidLink": "Der Verifizierungslink ist abgelaufen oder ungültig. Bitte versuche es erneut.",
+  "error.rateLimited": "Zu viele Versuche. Bitte warte eine Minute und versuche es erneut.",
+  "error.captchaFailed": "Zu viele falsche Captcha-Antworten. Bitte klicke im Server erneut auf den Verify-Button.",
+  "error.captchaSkipped": "Der Captcha-Schritt wurde nicht abgeschlossen. Bitte starte die Verifizierung erneut.",
+  "error.userMismatch": "Die Verifizierung des Benutzers ist fehlgeschlagen. Bitte versuche es erneut.",
+  "error.reviewFailed":
+    "Die Verifizierung war erfolgreich, aber die Prüfanfrage konnte nicht gesendet werden. Bitte wende dich an einen Administrator.",
+  "error.roleFailed":
+    "Die Verifizierung war erfolgreich, aber die Rolle konnte nicht vergeben werden. Bitte wende dich an einen Administrator.",
+  "error.generic": "Bei der Verifizierung ist ein Fehler aufgetreten. Bitte versuche es erneut.",
+
+  // Account requirements not met
+  "requirement.accountAge":
+    "Dein Discord-Konto muss mindestens {days} Tag(e) alt sein, um dich auf diesem Server zu verifizieren.",
+  "requirement.mfa": "Dieser Server erfordert die Zwei-Faktor-Authentifizierung für dein Discord-Konto.",
+  "requirement.avatar":
+    "Dieser Server erfordert ein eigenes Profilbild. Bitte lege einen Avatar fest und versuche es erneut.",
+  "requirement.verifiedEmail": "Dieser Server erfordert eine bestätigte E-Mail-Adresse in deinem Discord-Konto.",
+  "requirement.username":
+    "Dein Benutzername ist auf diesem Server nicht erlaubt. Bitte ändere ihn und versuche es erneut.",
+}
@@ -0,0 +1,82 @@
+/**
+ * English Messages
+ * Reference catalog: every key used by the bot and the web pages is defined here,
+ * other catalogs fall back to it for keys they do not translate
+ * Placeholders in braces ({servername}) are filled in when the message is sent
+ * @module locales/en
+ */
+
+export default {
+  // Replies to the Verify button
+  "button.tooFast": "You're clicking too fast. Please wait and try again {retry}.",
+  "button.notConfigured": "Verification is not configured for this server. Please contact an administrator.",
+  "button.roleMissing": "The verification role was deleted. Please contact an administrator.",
+  "button.alreadyVerified": "You are already verified!",
+  "button.error": "An error occurred. Please try again later.",
+
+  // Verification link reply
+  "link.title": "Verify Your Account",
+  "link.description":
+    "Hi {username}, click the link below to verify yourself in **{servername}**.\n\nThis verification link is secure and will expire {expires}.",
+  "link.action": "Click here to verify",
+  "link.expires": "This link expires {expires}",
+
+  // Direct messages
+  "dm.verified":
+    "Hello {username}!\n\nYou are now a verified member of **{servername}**.\n\nYou can now access all channels and start chatting. Welcome to the community!",
+  "dm.reviewDenied": "Your verification request in **{servername}** was denied by a moderator.",
+  "dm.reviewBanned": "Your verification request in **{servername}** was denied and you were banned.",
+  "dm.deadlineWarning":
+    "Hello {username}!\n\nYou have not verified in **{servername}** yet. Please click the **Verify** button in the server before {deadline}, or you will be removed from the server.",
+  "dm.expired":
+    "Hello {username}!\n\nYour verification in **{servername}** has expired. Please click the **Verify** button in the server to verify again.",
+
+  // Verification and captcha pages
+  "page.verifyTitle": "Discord Verification",
+  "page.verifyHeading": "Verify for {servername}",
+  "page.verifyIntro": "Before you can start chatting in {servername}, you need to verify yourself.",
+  "page.verifyInstruction": "Click the button below to authenticate with Discord.",
+  "page.verifyButton": "Verify with Discord",
+  "page.captchaInstruction": "Type the characters shown in the image below to continue.",
+  "page.captchaImage": "Captcha challenge",
+  "page.captchaPlaceholder": "Enter the characters shown",
+  "page.captchaSubmit": "Continue",
+  "page.captchaRefresh": "Get a new image",
+  "page.captchaIncorrect": "Incorrect answer, please try again.",
+  "page.infoTitle": "Why do we need this?",
+  "page.infoText":
+    "We use Discord's official OAuth2 system to securely verify your identity. We'll only access your basic profile information.",
+  "page.secured": "Secured by Discord OAuth2",
+  "page.rulesTitle": "Server rules",
+  "page.rulesAgree": "By verifying, you agree to these rules.",
+
+  // Result pages
+  "page.successTitle": "Verification Successful",
+  "page.successMessage": "You have been successfully verified and granted access to the server.",
+  "page.submittedTitle": "Verification Submitted",
+  "page.submittedMessage":
+    "Your verification was submitted and is waiting for a moderator to review it. You will get a DM once it is decided.",
+  "page.welcome": "Welcome, {username}!",
+  "page.closeHint": "You can now close this window and return to Discord.",
+  "page.close": "Close Window",
+  "page.openChannel": "Go to {channel}",
+  "page.errorTitle": "Verification Failed",
+
+  // Errors shown on the error page
+  "error.invalidLink": "Verification link expired or invalid. Please try again.",
+  "error.rateLimited": "Too many attempts. Please wait a minute and try again.",
+  "error.captchaFailed": "Too many incorrect captcha attempts. Please click the Verify button in the server again.",
+  "error.captchaSkipped": "The captcha step was not completed. Please start verification again.",
+  "error.userMismatch": "User verification failed. Please try again.",
+  "error.reviewFailed":
+    "Verification succeeded, but the review request could not be posted. Please contact an administrator.",
+  "error.roleFailed": "Verification succeeded, but role assignment failed. Please contact an administrator.",
+  "error.generic": "An error occurred during verification. Please try again.",
+
+  // Account requirements not met
+  "requirement.accountAge": "Your Discord account must be at least {days} day(s) old to verify in this server.",
+  "requirement.mfa": "This server requires two-factor authentication to be enabled on your Discord account.",
+  "requirement.avatar": "This server requires a custom profile picture. Please set an avatar and try again.",
+  "requirement.verifiedEmail": "This server requires a verified email address on your Discord account.",
+  "requirement.username": "Your username is not allowed in this server. Please change it and try again.",
+}
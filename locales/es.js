@@ -0,0 +1,83 @@
+/**
+ * Spanish Messages
+ * @module locales/es
+ */
+
+export default {
+  // Replies to the Verify button
+  "button.tooFast": "Estás haciendo clic demasiado rápido. Espera y vuelve a intentarlo {retry}.",
+  "button.notConfigured":
+    "La verificación no está configurada en este servidor. Ponte en contacto con un administrador.",
+  "button.roleMissing": "El rol de verificación fue eliminado. Ponte en contacto con un administrador.",
+  "button.alreadyVerified": "¡Ya estás verificado!",
+  "button.error": "Se produjo un error. Vuelve a intentarlo más tarde.",
+
+  // Verification link reply
+  "link.title": "Verifica tu cuenta",
+  "link.description":
+    "Hola {username}, haz clic en el enlace de abajo para verificarte en **{servername}**.\n\nEste enlace de verificación es seguro y caducará {expires}.",
+  "link.action": "Haz clic aquí para verificarte",
+  "link.expires": "Este enlace caduca {expires}",
+
+  // Direct messages
+  "dm.verified":
+    "¡Hola {username}!\n\nAhora eres un miembro verificado de **{servername}**.\n\nYa puedes acceder a todos los canales y empezar a chatear. ¡Bienvenido a la comunidad!",
+  "dm.reviewDenied": "Tu solicitud de verificación en **{servername}** fue rechazada por un moderador.",
+  "dm.reviewBanned": "Tu solicitud de verificación en **{servername}** fue rechazada y has sido baneado.",
+  "dm.deadlineWarning":
+    "¡Hola {username}!\n\nTodavía no te has verificado en **{servername}**. Haz clic en el botón **Verify** del servidor antes de {deadline} o serás expulsado del servidor.",
+  "dm.expired":
+    "¡Hola {username}!\n\nTu verificación en **{servername}** ha caducado. Haz clic en el botón **Verify** del servidor para verificarte de nuevo.",
+
+  // Verification and captcha pages
+  "page.verifyTitle": "Verificación de Discord",
+  "page.verifyHeading": "Verificación para {servername}",
+  "page.verifyIntro": "Antes de poder chatear en {servername}, tienes que verificarte.",
+  "page.verifyInstruction": "Haz clic en el botón de abajo para identificarte con Discord.",
+  "page.verifyButton": "Verificar con Discord",
+  "page.captchaInstruction": "Escribe los caracteres que aparecen en la imagen de abajo para continuar.",
+  "page.captchaImage": "Prueba captcha",
+  "page.captchaPlaceholder": "Escribe los caracteres mostrados",
+  "page.captchaSubmit": "Continuar",
+  "page.captchaRefresh": "Obtener una imagen nueva",
+  "page.captchaIncorrect": "Respuesta incorrecta, vuelve a intentarlo.",
+  "page.infoTitle": "¿Por qué es necesario?",
+  "page.infoText":
+    "Usamos el sistema OAuth2 oficial de Discord para verificar tu identidad de forma segura. Solo accedemos a la información básica de tu perfil.",
+  "page.secured": "Protegido por Discord OAuth2",
+  "page.rulesTitle": "Normas del servidor",
+  "page.rulesAgree": "Al verificarte, aceptas estas normas.",
+
+  // Result pages
+  "page.successTitle": "Verificación completada",
+  "page.successMessage": "Te has verificado correctamente y ya tienes acceso al servidor.",
+  "page.submittedTitle": "Verificación enviada",
+  "page.submittedMessage":
+    "Tu verificación se envió y está esperando la revisión de un moderador. Recibirás un MD cuando se decida.",
+  "page.welcome": "¡Bienvenido, {username}!",
+  "page.closeHint": "Ya puedes cerrar esta ventana y volver a Discord.",
+  "page.close": "Cerrar ventana",
+  "page.openChannel": "Ir a {channel}",
+  "page.errorTitle": "Error de verificación",
+
+  // Errors shown on the error page
+  "error.invalidLink": "El enlace de verificación ha caducado o no es válido. Vuelve a intentarlo.",
+  "error.rateLimited": "Demasiados intentos. Espera un minuto y vuelve a intentarlo.",
+  "error.captchaFailed":
+    "Demasiadas respuestas captcha incorrectas. Vuelve a hacer clic en el botón Verify del servidor.",
+  "error.captchaSkipped": "No se completó el paso del captcha. Vuelve a empezar la verificación.",
+  "error.userMismatch": "No se pudo verificar al usuario. Vuelve a intentarlo.",
+  "error.reviewFailed":
+    "La verificación fue correcta, pero no se pudo publicar la solicitud de revisión. Ponte en contacto con un administrador.",
+  "error.roleFailed":
+    "La verificación fue correcta, pero no se pudo asignar el rol. Ponte en contacto con un administrador.",
+  "error.generic": "Se produjo un error durante la verificación. Vuelve a intentarlo.",
+
+  // Account requirements not met
+  "requirement.accountAge": "Tu cuenta de Discord debe tener al menos {days} día(s) para verificarte en este servidor.",
+  "requirement.mfa": "Este servidor requiere que la autenticación en dos pasos esté activada en tu cuenta de Discord.",
+  "requirement.avatar":
+    "Este servidor requiere una foto de perfil personalizada. Establece un avatar y vuelve a intentarlo.",
+  "requirement.verifiedEmail": "Este servidor requiere una dirección de correo verificada en tu cuenta de Discord.",
+  "requirement.username": "Tu nombre de usuario no está permitido en este servidor. Cámbialo y vuelve a intentarlo.",
+}
@@ -0,0 +1,79 @@
+/**
+ * French Messages
+ * @module locales/fr
+ */
+
+export default {
+  // Replies to the Verify button
+  "button.tooFast": "Tu cliques trop vite. Patiente et réessaie {retry}.",
+  "button.notConfigured": "La vérification n'est pas configurée sur ce serveur. Contacte un administrateur.",
+  "button.roleMissing": "Le rôle de vérification a été supprimé. Contacte un administrateur.",
+  "button.alreadyVerified": "Tu es déjà vérifié !",
+  "button.error": "Une erreur est survenue. Réessaie plus tard.",
+
+  // Verification link reply
+  "link.title": "Vérifie ton compte",
+  "link.description":
+    "Salut {username}, clique sur le lien ci-dessous pour te vérifier sur **{servername}**.\n\nCe lien de vérification est sécurisé et expirera {expires}.",
+  "link.action": "Clique ici pour te vérifier",
+  "link.expires": "Ce lien expire {expires}",
+
+  // Direct messages
+  "dm.verified":
+    "Salut {username} !\n\nTu es maintenant un membre vérifié de **{servername}**.\n\nTu as désormais accès à tous les salons et tu peux commencer à discuter. Bienvenue dans la communauté !",
+  "dm.reviewDenied": "Ta demande de vérification sur **{servername}** a été refusée par un modérateur.",
+  "dm.reviewBanned": "Ta demande de vérification sur **{servername}** a été refusée et tu as été banni.",
+  "dm.deadlineWarning":
+    "Salut {username} !\n\nTu ne t'es pas encore vérifié sur **{servername}**. Clique sur le bouton **Verify** du serveur avant {deadline}, sinon tu seras retiré du serveur.",
+  "dm.expired":
+    "Salut {username} !\n\nTa vérification sur **{servername}** a expiré. Clique sur le bouton **Verify** du serveur pour te vérifier à nouveau.",
+
+  // Verification and captcha pages
+  "page.verifyTitle": "Vérification Discord",
+  "page.verifyHeading": "Vérification pour {servername}",
+  "page.verifyIntro": "Avant de pouvoir discuter sur {servername}, tu dois te vérifier.",
+  "page.verifyInstruction": "Clique sur le bouton ci-dessous pour t'identifier avec Discord.",
+  "page.verifyButton": "Se vérifier avec Discord",
+  "page.captchaInstruction": "Saisis les caractères affichés dans l'image ci-dessous pour continuer.",
+  "page.captchaImage": "Test captcha",
+  "page.captchaPlaceholder": "Saisis les caractères affichés",
+  "page.captchaSubmit": "Continuer",
+  "page.captchaRefresh": "Obtenir une nouvelle image",
+  "page.captchaIncorrect": "Réponse incorrecte, réessaie.",
+  "page.infoTitle": "Pourquoi est-ce nécessaire ?",
+  "page.infoText":
+    "Nous utilisons le système OAuth2 officiel de Discord pour vérifier ton identité en toute sécurité. Nous n'accédons qu'aux informations de base de ton profil.",
+  "page.secured": "Sécurisé par Discord OAuth2",
+  "page.rulesTitle": "Règles du serveur",
+  "page.rulesAgree": "En te vérifiant, tu acceptes ces règles.",
+
+  // Result pages
+  "page.successTitle": "Vérification réussie",
+  "page.successMessage": "Tu as été vérifié avec succès et tu as maintenant accès au serveur.",
+  "page.submittedTitle": "Vérification envoyée",
+  "page.submittedMessage":
+    "Ta vérification a été envoyée et attend l'examen d'un modérateur. Tu recevras un MP dès qu'une décision sera prise.",
+  "page.welcome": "Bienvenue, {username} !",
+  "page.closeHint": "Tu peux maintenant fermer cette fenêtre et retourner sur Discord.",
+  "page.close": "Fermer la fenêtre",
+  "page.openChannel": "Aller dans {channel}",
+  "page.errorTitle": "Échec de la vérification",
+
+  // Errors shown on the error page
+  "error.invalidLink": "Le lien de vérification a expiré ou n'est pas valide. Réessaie.",
+  "error.rateLimited": "Trop de tentatives. Patiente une minute et réessaie.",
+  "error.captchaFailed": "Trop de réponses captcha incorrectes. Clique à nouveau sur le bouton Verify du serveur.",
+  "error.captchaSkipped": "L'étape captcha n'a pas été terminée. Recommence la vérification.",
+  "error.userMismatch": "La vérification de l'utilisateur a échoué. Réessaie.",
+  "error.reviewFailed":
+    "La vérification a réussi, mais la demande d'examen n'a pas pu être publiée. Contacte un administrateur.",
+  "error.roleFailed": "La vérification a réussi, mais le rôle n'a pas pu être attribué. Contacte un administrateur.",
+  "error.generic": "Une erreur est survenue pendant la vérification. Réessaie.",
+
+  // Account requirements not met
+  "requirement.accountAge": "Ton compte Discord doit avoir au moins {days} jour(s) pour te vérifier sur ce serveur.",
+  "requirement.mfa": "Ce serveur exige que l'authentification à deux facteurs soit activée sur ton compte Discord.",
+  "requirement.avatar": "Ce serveur exige une photo de profil personnalisée. Définis un avatar et réessaie.",
+  "requirement.verifiedEmail": "Ce serveur exige une adresse e-mail vérifiée sur ton compte Discord.",
+  "requirement.username": "Ton nom d'utilisateur n'est pas autorisé sur ce serveur. Modifie-le et réessaie.",
+}
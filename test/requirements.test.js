@@ -0,0 +1,43 @@
+/**
+ * Requirement Policy Tests
+ * @module test/requirements
+ */
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { checkRequirements, validateUsernamePattern } from "../utils/requirements.js"
+
+const user = { id: "111111111111111111", username: "member", global_name: "Member" }
+
+test("patterns with nested quantifiers are rejected", () => {
+  for (const pattern of ["^(a+)+$", "(\\w*\\s?)*", "((ab)+c)+", "(a|b*){2,}", "(?:x+y)*"]) {
+    assert.notEqual(validateUsernamePattern(pattern), null, `accepted ${pattern}`)
+  }
+})
+
+test("ordinary patterns are accepted", () => {
+  for (const pattern of ["discord\\.gg|free nitro", "^(admin|mod)\\d+$", "(ab)+", "[(+*)]+", "\\(a+\\)+", "(a)?b+"]) {
+    assert.equal(validateUsernamePattern(pattern), null, `rejected ${pattern}`)
+  }
+})
+
+test("invalid and overlong patterns are rejected", () => {
+  assert.notEqual(validateUsernamePattern("(unclosed"), null)
+  assert.notEqual(validateUsernamePattern("a".repeat(201)), null)
+})
+
+test("usernames and display names matching the pattern are refused", () => {
+  assert.equal(checkRequirements(user, { blockedUsernamePattern: "^MEMBER$" }).passed, false)
+  assert.equal(checkRequirements({ ...user, username: "x" }, { blockedUsernamePattern: "^member$" }).passed, false)
+  assert.deepEqual(checkRequirements(user, { blockedUsernamePattern: "spam" }), { passed: true, checks: ["username"] })
+})
+
+test("a pattern that runs away is stopped and the name refused", () => {
+  // Saved before nested quantifiers were rejected
+  const started = Date.now()
+  const result = checkRequirements({ ...user, username: `${"a".repeat(40)}!` }, { blockedUsernamePattern: "^(a+)+$" })
+
+  assert.equal(result.passed, false)
+  assert.equal(result.code, "username")
+  assert.ok(Date.now() - started < 1000, "the match was not stopped")
+})
@@ -0,0 +1,67 @@
+/**
+ * State Token Tests
+ * @module test/state-token
+ */
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { createStateToken, parseStateToken, checkStateToken } from "../utils/state-token.js"
+
+process.env.STATE_SECRET = "test-state-secret"
+
+const data = { userId: "111111111111111111", guildId: "222222222222222222", expiresAt: 1700000000000 }
+
+test("a new token matches the verification it was created for", () => {
+  const { id, token } = createStateToken(data)
+  const parts = parseStateToken(token)
+
+  assert.equal(parts.id, id)
+  assert.equal(checkStateToken(parts, data), true)
+})
+
+test("a tampered signature is rejected", () => {
+  const { token } = createStateToken(data)
+  const parts = parseStateToken(token)
+  const last = parts.signature.at(-1) === "A" ? "B" : "A"
+
+  assert.equal(checkStateToken({ ...parts, signature: parts.signature.slice(0, -1) + last }, data), false)
+})
+
+test("a token is rejected for another user, guild or expiry", () => {
+  const parts = parseStateToken(createStateToken(data).token)
+
+  assert.equal(checkStateToken(parts, { ...data, userId: "333333333333333333" }), false)
+  assert.equal(checkStateToken(parts, { ...data, guildId: "333333333333333333" }), false)
+  assert.equal(checkStateToken(parts, { ...data, expiresAt: data.expiresAt + 1 }), false)
+})
+
+test("a token signed with another secret is rejected", () => {
+  const parts = parseStateToken(createStateToken(data).token)
+
+  process.env.STATE_SECRET = "another-secret"
+  try {
+    assert.equal(checkStateToken(parts, data), false)
+  } finally {
+    process.env.STATE_SECRET = "test-state-secret"
+  }
+})
+
+test("malformed, non-string and array tokens are not parsed", () => {
+  const { token } = createStateToken(data)
+
+  for (const value of [
+    undefined,
+    null,
+    42,
+    {},
+    [token],
+    [token, token],
+    "",
+    "not-a-token",
+    `${token}.extra`,
+    token.slice(0, -1),
+    ` ${token}`,
+  ]) {
+    assert.equal(parseStateToken(value), null, `parsed ${JSON.stringify(value)}`)
+  }
+})
@@ -0,0 +1,83 @@
+/**
+ * Verification Ledger Tests
+ * The ledger runs in memory only, nothing is written to data/
+ * @module test/verification-ledger
+ */
+
+import { test, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+import { verificationLedger } from "../utils/verification-ledger.js"
+import config from "../config.js"
+
+const GUILD_ID = "222222222222222222"
+const DAY_MS = 24 * 60 * 60 * 1000
+
+beforeEach(() => {
+  verificationLedger.store = new Map()
+  verificationLedger.users = new Map()
+  verificationLedger.verifiedCounts = new Map()
+  verificationLedger.storage = { save: async () => {} }
+})
+
+test("lookups follow each user's latest entry", async () => {
+  await verificationLedger.record(GUILD_ID, { type: "verified", userId: "a" })
+  await verificationLedger.record(GUILD_ID, { type: "verified", userId: "b" })
+  await verificationLedger.record(GUILD_ID, { type: "revoked", userId: "a" })
+
+  assert.equal(verificationLedger.isVerified(GUILD_ID, "a"), false)
+  assert.equal(verificationLedger.wasVerified(GUILD_ID, "a"), true)
+  assert.equal(verificationLedger.isVerified(GUILD_ID, "b"), true)
+  assert.equal(verificationLedger.wasVerified(GUILD_ID, "c"), false)
+  assert.equal(verificationLedger.countVerified(GUILD_ID), 1)
+  assert.equal(verificationLedger.getUserHistory(GUILD_ID, "a").length, 2)
+  assert.equal(verificationLedger.getEntries(GUILD_ID).length, 3)
+})
+
+test("the index is built from stored entries", () => {
+  verificationLedger.store.set(GUILD_ID, [
+    { type: "verified", userId: "a", timestamp: 1 },
+    { type: "verified", userId: "b", timestamp: 2 },
+    { type: "revoked", userId: "b", timestamp: 3 },
+  ])
+
+  assert.equal(verificationLedger.countVerified(GUILD_ID), 1)
+  assert.equal(verificationLedger.getLatest(GUILD_ID, "b").type, "revoked")
+})
+
+test("a user's oldest entries beyond the limit are dropped, keeping the latest verification", async () => {
+  await verificationLedger.record(GUILD_ID, { type: "verified", userId: "a" })
+  for (let i = 0; i < config.ledger.maxEntriesPerUser + 5; i++) {
+    await verificationLedger.record(GUILD_ID, { type: "revoked", userId: "a" })
+  }
+  await verificationLedger.record(GUILD_ID, { type: "verified", userId: "b" })
+
+  const history = verificationLedger.getUserHistory(GUILD_ID, "a")
+  assert.equal(history.length, config.ledger.maxEntriesPerUser)
+  assert.equal(history[0].type, "verified")
+  assert.equal(verificationLedger.wasVerified(GUILD_ID, "a"), true)
+  assert.equal(verificationLedger.getEntries(GUILD_ID).length, config.ledger.maxEntriesPerUser + 1)
+})
+
+test("entries past the retention period are pruned, except each user's state", async () => {
+  const old = Date.now() - (config.ledger.retentionDays + 1) * DAY_MS
+  verificationLedger.store.set(GUILD_ID, [
+    { type: "verified", userId: "a", timestamp: old },
+    { type: "revoked", userId: "a", timestamp: old + 1 },
+    { type: "verified", userId: "a", timestamp: old + 2 },
+    { type: "revoked", userId: "a", timestamp: old + 3 },
+    { type: "verified", userId: "b", timestamp: old },
+    { type: "revoked", userId: "b", timestamp: Date.now() },
+  ])
+
+  await verificationLedger.prune()
+
+  // a keeps its latest verification and latest entry, b's old verification is still its latest one
+  assert.deepEqual(
+    verificationLedger
+      .getEntries(GUILD_ID)
+      .map((entry) => `${entry.userId}:${entry.type}:${entry.timestamp > old + 1}`),
+    ["a:verified:true", "a:revoked:true", "b:verified:false", "b:revoked:true"],
+  )
+  assert.equal(verificationLedger.getUserHistory(GUILD_ID, "a").length, 2)
+  assert.equal(verificationLedger.countVerified(GUILD_ID), 0)
+})
@@ -0,0 +1,86 @@
+/**
+ * Verification Store Tests
+ * The store runs in memory only, nothing is written to data/
+ * @module test/verification-store
+ */
+
+import { test, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+import { verificationStore } from "../utils/verification-store.js"
+
+process.env.STATE_SECRET = "test-state-secret"
+
+const USER_ID = "111111111111111111"
+const GUILD_ID = "222222222222222222"
+
+beforeEach(() => {
+  verificationStore.store = new Map()
+  verificationStore.tokens = new Map()
+  verificationStore.storage = { save: async () => {} }
+})
+
+test("a valid token is consumed once", async () => {
+  const { token } = await verificationStore.addPending(USER_ID, GUILD_ID, 60000)
+
+  const first = await verificationStore.verify(token)
+  assert.equal(first.valid, true)
+  assert.equal(first.data.userId, USER_ID)
+  assert.equal(first.data.guildId, GUILD_ID)
+
+  const replay = await verificationStore.verify(token)
+  assert.deepEqual([replay.valid, replay.reason], [false, "consumed"])
+})
+
+test("racing callbacks for the same token can't both succeed", async () => {
+  const { token } = await verificationStore.addPending(USER_ID, GUILD_ID, 60000)
+
+  const results = await Promise.all([verificationStore.verify(token), verificationStore.verify(token)])
+  assert.deepEqual(
+    results.map((result) => result.valid),
+    [true, false],
+  )
+})
+
+test("an expired token is rejected and removed", async () => {
+  // A negative lifetime gives a link that expired a second ago
+  const { token } = await verificationStore.addPending(USER_ID, GUILD_ID, -1000)
+
+  const result = await verificationStore.verify(token)
+  assert.deepEqual([result.valid, result.reason], [false, "expired"])
+  assert.equal(verificationStore.store.size, 0)
+
+  const again = await verificationStore.verify(token)
+  assert.deepEqual([again.valid, again.reason], [false, "not_found"])
+})
+
+test("a tampered signature is rejected without consuming the link", async () => {
+  const { token } = await verificationStore.addPending(USER_ID, GUILD_ID, 60000)
+  const [id, signature] = token.split(".")
+  const last = signature.at(-1) === "A" ? "B" : "A"
+
+  const forged = await verificationStore.verify(`${id}.${signature.slice(0, -1)}${last}`)
+  assert.deepEqual([forged.valid, forged.reason], [false, "state_mismatch"])
+
+  const genuine = await verificationStore.verify(token)
+  assert.equal(genuine.valid, true)
+})
+
+test("a replaced link stops working", async () => {
+  const { token: old } = await verificationStore.addPending(USER_ID, GUILD_ID, 60000)
+  const { token } = await verificationStore.addPending(USER_ID, GUILD_ID, 60000)
+
+  const result = await verificationStore.verify(old)
+  assert.deepEqual([result.valid, result.reason], [false, "not_found"])
+  assert.equal((await verificationStore.verify(token)).valid, true)
+})
+
+test("unknown, non-string and array tokens are rejected", async () => {
+  const { token } = await verificationStore.addPending(USER_ID, GUILD_ID, 60000)
+
+  for (const value of [undefined, null, 42, {}, [token], [token, token], "", `${"a".repeat(32)}.${"b".repeat(43)}`]) {
+    const result = await verificationStore.verify(value)
+    assert.deepEqual([result.valid, result.reason], [false, "not_found"], `accepted ${JSON.stringify(value)}`)
+  }
+
+  assert.equal((await verificationStore.verify(token)).valid, true)
+})
@@ -0,0 +1,156 @@
+/**
+ * Page Escaping Tests
+ * Text from Discord, server settings and translation overrides must never become markup
+ * @module test/views
+ */
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import fs from "fs"
+import path from "path"
+import { fileURLToPath } from "url"
+import { html, raw, translate } from "../views/html.js"
+import { DEFAULT_BRANDING } from "../views/layout.js"
+import { renderVerifyPage, renderCaptchaPage, renderSuccessPage, renderErrorPage } from "../views/pages.js"
+import { getTranslator } from "../utils/i18n.js"
+import guildSettings from "../utils/guild-settings.js"
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..")
+const GUILD_ID = "222222222222222222"
+
+const SCRIPT = `<script>alert("x")</script>`
+const ATTRIBUTE = `" onmouseover="alert('x')`
+
+const branding = {
+  ...DEFAULT_BRANDING,
+  serverName: `${SCRIPT} {username}`,
+  iconUrl: `https://cdn.example.com/icon.png${ATTRIBUTE}`,
+  accentColor: "#123456;}</style><script>alert(1)</script>",
+  headline: `${SCRIPT} {servername}`,
+  body: `${ATTRIBUTE}\n{servername}`,
+  rules: `1. ${SCRIPT}\n2. {username}`,
+  channelName: `${SCRIPT}`,
+  channelUrl: `https://discord.com/channels/1/2${ATTRIBUTE}`,
+}
+
+/**
+ * Assert that a page contains no markup injected by the test values
+ * @param {string} page - Rendered page
+ */
+function assertEscaped(page) {
+  assert.equal(page.includes("<script>"), false, "script tag was not escaped")
+  assert.equal(page.includes(`" onmouseover=`), false, "attribute was not escaped")
+  assert.equal(page.includes("alert(1)"), false, "invalid accent color was used")
+}
+
+test("html escapes interpolated text and keeps nested html", () => {
+  assert.equal(
+    html`<p title="${ATTRIBUTE}">${SCRIPT}</p>`.toString(),
+    `<p title="&quot; onmouseover=&quot;alert(&#39;x&#39;)">&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;</p>`,
+  )
+  assert.equal(html`<p>${html`<b>${"<i>"}</b>`}</p>`.toString(), "<p><b>&lt;i&gt;</b></p>")
+  assert.equal(
+    html`<p>${[SCRIPT, null, false, undefined]}</p>`.toString(),
+    "<p>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;</p>",
+  )
+})
+
+test("translate escapes the message and plain params, but not html params", () => {
+  const t = (key) => ({ greeting: `${SCRIPT} Hello {name} and {other}` })[key]
+
+  const result = translate(t, "greeting", { name: html`<b>${SCRIPT}</b>`, other: "{name}" }).toString()
+
+  assert.equal(
+    result,
+    "&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; Hello <b>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;</b> and {name}",
+  )
+})
+
+test("translate doesn't fill placeholders found in param values", () => {
+  const t = () => "{a} {b}"
+  assert.equal(
+    translate(t, "key", { a: "{b}", b: SCRIPT }).toString(),
+    "{b} &lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;",
+  )
+})
+
+test("verification, captcha, success and error pages escape server and member text", () => {
+  const t = getTranslator("en")
+
+  assertEscaped(renderVerifyPage(t, branding, `https://discord.com/oauth2/authorize?state=${ATTRIBUTE}`))
+  assertEscaped(renderCaptchaPage(t, branding, ATTRIBUTE, `data:image/png;base64,${ATTRIBUTE}`, SCRIPT))
+  assertEscaped(renderSuccessPage(t, branding, `${SCRIPT}${ATTRIBUTE}`))
+  assertEscaped(renderSuccessPage(t, branding, SCRIPT, true))
+  assertEscaped(renderErrorPage(t, branding, SCRIPT))
+})
+
+test("server text is not expanded as placeholders", () => {
+  const page = renderSuccessPage(getTranslator("en"), branding, "{servername}")
+
+  assert.equal(page.includes(`<span class="username">{servername}</span>`), true)
+})
+
+test("translation overrides of a server are escaped", () => {
+  guildSettings.settings.set(GUILD_ID, {
+    localeOverrides: {
+      en: {
+        "page.verifyHeading": `${SCRIPT} {servername}`,
+        "page.verifyButton": ATTRIBUTE,
+        "page.welcome": `${SCRIPT} {username}`,
+        "page.errorTitle": SCRIPT,
+      },
+    },
+  })
+
+  try {
+    const t = getTranslator("en", GUILD_ID)
+    const plain = { ...branding, headline: null, body: null }
+
+    assertEscaped(renderVerifyPage(t, plain, "https://discord.com/oauth2/authorize"))
+    assertEscaped(renderSuccessPage(t, plain, SCRIPT))
+    assertEscaped(renderErrorPage(t, plain, "Error"))
+  } finally {
+    guildSettings.settings.delete(GUILD_ID)
+  }
+})
+
+test("raw() marks its argument as markup", () => {
+  assert.equal(html`${raw("<b>")}`.toString(), "<b>")
+})
+
+test("raw() is only used in the layout, on constants and validated colors", () => {
+  const uses = []
+
+  /**
+   * Collect the raw( calls in the repo's source files, except views/html.js where raw() is defined and only wraps
+   * text it escaped itself
+   * @param {string} dir - Directory to scan
+   */
+  const scan = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (["node_modules", "test", "data", ".git"].includes(entry.name)) continue
+      const file = path.join(dir, entry.name)
+      const name = path.relative(ROOT, file).split(path.sep).join("/")
+
+      if (entry.isDirectory()) {
+        scan(file)
+      } else if (entry.name.endsWith(".js") && name !== "views/html.js") {
+        const source = fs.readFileSync(file, "utf-8")
+        const calls = source.match(/\braw\(/g) || []
+        const simple = [...source.matchAll(/\braw\(([\w.]+)\)/g)].map((match) => `${name}: raw(${match[1]})`)
+
+        assert.equal(simple.length, calls.length, `${name} passes an expression to raw()`)
+        uses.push(...simple)
+      }
+    }
+  }
+  scan(ROOT)
+
+  // Theme colors are checked against /^#[0-9a-f]{6}$/i or come from the default theme, STYLES is a constant
+  assert.deepEqual(uses.sort(), [
+    "views/layout.js: raw(STYLES)",
+    "views/layout.js: raw(theme.accent)",
+    "views/layout.js: raw(theme.accentHover)",
+    "views/layout.js: raw(theme.background)",
+  ])
+})
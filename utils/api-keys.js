@@ -0,0 +1,171 @@
+/**
+ * API Keys Module
+ * Per-server keys for the REST API (/api/v1)
+ * Only a SHA-256 hash of each key is stored; the key itself is shown once when it is created
+ * @module api-keys
+ */
+
+import crypto from "crypto"
+import { log } from "./logger.js"
+import { openCollection } from "./storage.js"
+
+const KEY_PREFIX = "vbk_"
+const KEY_PATTERN = /^vbk_([0-9a-f]{16})\.([A-Za-z0-9_-]{43})$/
+
+// Minimum time between two writes of a key's last use (1 minute)
+const LAST_USED_RESOLUTION = 60 * 1000
+
+/**
+ * Hash an API key for storage
+ * @param {string} key - Full API key
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex")
+}
+
+/**
+ * API key store
+ * Structure: { guildId: [{ id, name, hash, createdBy, createdAt, lastUsedAt }] }
+ * ids maps each key ID to its guild
+ */
+class ApiKeys {
+  constructor() {
+    this.store = new Map()
+    this.ids = new Map()
+    this.storage = null
+    this.initialized = false
+  }
+
+  /**
+   * Initialize the API key store
+   * Loads existing data from storage if available
+   */
+  async init() {
+    if (this.initialized) {
+      return
+    }
+
+    try {
+      this.storage = await openCollection("api-keys")
+
+      const data = await this.storage.load()
+      if (data) {
+        this.store = data
+        for (const [guildId, keys] of this.store) {
+          for (const key of keys) {
+            this.ids.set(key.id, guildId)
+          }
+        }
+        log.info(`Loaded API keys for ${this.store.size} server(s) from storage`)
+      } else {
+        log.info("No existing API keys found, starting fresh")
+      }
+
+      this.initialized = true
+    } catch (error) {
+      log.error("Failed to initialize API keys", error)
+      throw error
+    }
+  }
+
+  /**
+   * Create a new API key for a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string} name - Label to tell keys apart (e.g. "website")
+   * @param {string} createdBy - Discord user ID of the admin who created the key
+   * @returns {Promise<{id: string, key: string}>} Key ID and the full key, which cannot be retrieved again
+   */
+  async create(guildId, name, createdBy) {
+    const id = crypto.randomBytes(8).toString("hex")
+    const key = `${KEY_PREFIX}${id}.${crypto.randomBytes(32).toString("base64url")}`
+
+    const keys = this.store.get(guildId) || []
+    keys.push({ id, name, hash: hashKey(key), createdBy, createdAt: Date.now(), lastUsedAt: null })
+    this.store.set(guildId, keys)
+    this.ids.set(id, guildId)
+
+    await this.persist([guildId])
+    log.info(`Created API key ${id} (${name}) for guild ${guildId}`)
+    return { id, key }
+  }
+
+  /**
+   * List the API keys of a guild, without their hashes
+   * @param {string} guildId - Discord guild ID
+   * @returns {Array<Object>} Keys (id, name, createdBy, createdAt, lastUsedAt)
+   */
+  list(guildId) {
+    return (this.store.get(guildId) || []).map(({ hash, ...key }) => key)
+  }
+
+  /**
+   * Revoke an API key of a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string} id - Key ID
+   * @returns {Promise<boolean>} True if the key existed and was revoked
+   */
+  async revoke(guildId, id) {
+    const keys = this.store.get(guildId) || []
+    const remaining = keys.filter((key) => key.id !== id)
+
+    if (remaining.length === keys.length) {
+      return false
+    }
+
+    if (remaining.length > 0) {
+      this.store.set(guildId, remaining)
+    } else {
+      this.store.delete(guildId)
+    }
+    this.ids.delete(id)
+
+    await this.persist([guildId])
+    log.info(`Revoked API key ${id} of guild ${guildId}`)
+    return true
+  }
+
+  /**
+   * Find the key matching a key presented to the API, in constant time
+   * Records when the key was last used
+   * @param {string} key - Full API key from the Authorization header
+   * @returns {{guildId: string, id: string, name: string}|null} Key details, or null if the key is unknown or revoked
+   */
+  authenticate(key) {
+    const match = typeof key === "string" ? KEY_PATTERN.exec(key) : null
+    const guildId = match ? this.ids.get(match[1]) : null
+    const entry = guildId ? this.store.get(guildId).find((stored) => stored.id === match[1]) : null
+
+    if (!entry) {
+      return null
+    }
+
+    const expected = Buffer.from(entry.hash, "hex")
+    const given = Buffer.from(hashKey(key), "hex")
+    if (!crypto.timingSafeEqual(expected, given)) {
+      return null
+    }
+
+    const now = Date.now()
+    if (!entry.lastUsedAt || now - entry.lastUsedAt >= LAST_USED_RESOLUTION) {
+      entry.lastUsedAt = now
+      this.persist([guildId])
+    }
+
+    return { guildId, id: entry.id, name: entry.name }
+  }
+
+  /**
+   * Persist API keys to storage
+   * @param {Array<string>} [keys] - Guild IDs that changed; backends that write per key only save these
+   */
+  async persist(keys) {
+    try {
+      await this.storage.save(this.store, keys)
+    } catch (error) {
+      log.error("Failed to persist API keys", error)
+    }
+  }
+}
+
+export const apiKeys = new ApiKeys()
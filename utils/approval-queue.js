@@ -0,0 +1,128 @@
+/**
+ * Approval Queue Module
+ * Tracks verification requests waiting for a moderator decision
+ * Persisted so review buttons keep working after a restart
+ * @module approval-queue
+ */
+
+import { log } from "./logger.js"
+import { openCollection } from "./storage.js"
+
+/**
+ * Pending approval store
+ * Structure: { "guildId:userId": { guildId, userId, channelId, messageId, requestedAt, user, policy, correlationId } }
+ */
+class ApprovalQueue {
+  constructor() {
+    this.store = new Map()
+    this.storage = null
+    this.initialized = false
+    // Keys of requests a moderator is deciding on right now
+    this.claimed = new Set()
+  }
+
+  /**
+   * Initialize the approval queue
+   * Loads existing data from storage if available
+   */
+  async init() {
+    if (this.initialized) {
+      return
+    }
+
+    try {
+      this.storage = await openCollection("approval-queue")
+
+      const data = await this.storage.load()
+      if (data) {
+        this.store = data
+        log.info(`Loaded ${this.store.size} pending approval(s) from storage`)
+      } else {
+        log.info("No existing approval queue found, starting fresh")
+      }
+
+      this.initialized = true
+    } catch (error) {
+      log.error("Failed to initialize approval queue", error)
+      throw error
+    }
+  }
+
+  /**
+   * Add a request to the queue
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @param {Object} data - Review message location and OAuth2 user snapshot
+   */
+  async add(guildId, userId, data) {
+    this.store.set(`${guildId}:${userId}`, {
+      guildId,
+      userId,
+      ...data,
+      requestedAt: Date.now(),
+    })
+    await this.persist([`${guildId}:${userId}`])
+    log.info(`Queued verification of user ${userId} in guild ${guildId} for review`)
+  }
+
+  /**
+   * Get a queued request
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @returns {Object|null} Queued request or null
+   */
+  get(guildId, userId) {
+    return this.store.get(`${guildId}:${userId}`) || null
+  }
+
+  /**
+   * Claim a queued request for a decision
+   * Synchronous, so of two moderators clicking at once only the first gets the request
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @returns {Object|null} Queued request, or null if it is gone or already being decided
+   */
+  claim(guildId, userId) {
+    const key = `${guildId}:${userId}`
+    const request = this.store.get(key)
+    if (!request || this.claimed.has(key)) return null
+
+    this.claimed.add(key)
+    return request
+  }
+
+  /**
+   * Release a claimed request without a decision, so it can be decided again
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   */
+  release(guildId, userId) {
+    this.claimed.delete(`${guildId}:${userId}`)
+  }
+
+  /**
+   * Remove a request once it has been decided
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   */
+  async remove(guildId, userId) {
+    this.claimed.delete(`${guildId}:${userId}`)
+    if (this.store.delete(`${guildId}:${userId}`)) {
+      await this.persist([`${guildId}:${userId}`])
+    }
+  }
+
+  /**
+   * Persist the queue to storage
+   * @param {Array<string>} [keys] - Queue keys ("guildId:userId") that changed; backends that write per key only save these
+   */
+  async persist(keys) {
+    try {
+      await this.storage.save(this.store, keys)
+    } catch (error) {
+      log.error("Failed to persist approval queue", error)
+    }
+  }
+}
+
+export const approvalQueue = new ApprovalQueue()
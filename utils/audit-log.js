@@ -0,0 +1,88 @@
+/**
+ * Audit Log Module
+ * Posts a compact embed for each verification event to the guild's log channel
+ * @module audit-log
+ */
+
+import { EmbedBuilder } from "discord.js"
+import { log } from "./logger.js"
+import config from "../config.js"
+import guildSettings from "./guild-settings.js"
+import { verificationEvents, VerificationEvent } from "./verification-events.js"
+import { truncate, EMBED_LIMITS } from "./templates.js"
+
+/**
+ * Embed title and color for each event type
+ * Event types without an entry are not posted
+ */
+const EVENT_STYLES = {
+  [VerificationEvent.BUTTON_CLICKED]: { title: "Verify button clicked", color: config.colors.primary },
+  [VerificationEvent.LINK_ISSUED]: { title: "Verification link issued", color: config.colors.primary },
+  [VerificationEvent.LINK_INVALID]: { title: "Invalid verification link", color: config.colors.warning },
+  [VerificationEvent.STATE_MISMATCH]: { title: "State mismatch", color: config.colors.error },
+  [VerificationEvent.EXPIRED]: { title: "Verification link expired", color: config.colors.warning },
+  [VerificationEvent.CAPTCHA_FAILED]: { title: "Captcha failed", color: config.colors.warning },
+  [VerificationEvent.ID_MISMATCH]: { title: "User ID mismatch", color: config.colors.error },
+  [VerificationEvent.REQUIREMENT_FAILED]: { title: "Requirement not met", color: config.colors.warning },
+  [VerificationEvent.OAUTH_ERROR]: { title: "Discord login failed", color: config.colors.error },
+  [VerificationEvent.REVIEW_REQUESTED]: { title: "Sent for manual review", color: config.colors.warning },
+  [VerificationEvent.REVIEW_DENIED]: { title: "Verification denied", color: config.colors.error },
+  [VerificationEvent.REVIEW_BANNED]: { title: "Banned during review", color: config.colors.error },
+  [VerificationEvent.ROLE_ASSIGNED]: { title: "Verified role assigned", color: config.colors.success },
+  [VerificationEvent.ROLE_FAILED]: { title: "Role assignment failed", color: config.colors.error },
+  [VerificationEvent.DEADLINE_KICKED]: { title: "Kicked for not verifying", color: config.colors.error },
+  [VerificationEvent.VERIFICATION_EXPIRED]: { title: "Verification expired", color: config.colors.warning },
+  [VerificationEvent.UNVERIFIED]: { title: "Verification removed", color: config.colors.warning },
+  [VerificationEvent.PENDING_RESET]: { title: "Pending verification reset", color: config.colors.primary },
+  [VerificationEvent.RATE_LIMITED]: { title: "Repeatedly rate limited", color: config.colors.warning },
+}
+
+/**
+ * Post one event to the guild's log channel
+ * @param {Client} client - Discord client
+ * @param {Object} event - Verification event
+ */
+async function postEvent(client, event) {
+  const style = EVENT_STYLES[event.type]
+  if (!style || !event.guildId) return
+
+  const settings = guildSettings.getSettings(event.guildId)
+  if (!settings.logChannelId) return
+
+  try {
+    const guild = client.guilds.cache.get(event.guildId)
+    const channel = guild ? await guild.channels.fetch(settings.logChannelId).catch(() => null) : null
+
+    if (!channel) {
+      log.warn(`Audit log channel ${settings.logChannelId} not found in guild ${event.guildId}`)
+      return
+    }
+
+    const embed = new EmbedBuilder().setTitle(style.title).setColor(style.color).setTimestamp(event.timestamp)
+
+    if (event.userId) {
+      embed.addFields({ name: "User", value: `<@${event.userId}> (${event.userId})`, inline: true })
+    }
+    if (event.moderatorId) {
+      embed.addFields({ name: "Moderator", value: `<@${event.moderatorId}>`, inline: true })
+    }
+    if (event.reason) {
+      // Reasons come from moderators, the API and error messages, a long one must not lose the whole entry
+      embed.addFields({ name: "Reason", value: truncate(String(event.reason), EMBED_LIMITS.fieldValue) })
+    }
+
+    await channel.send({ embeds: [embed], allowedMentions: { parse: [] } })
+  } catch (error) {
+    log.error(`Failed to post audit log event ${event.type} in guild ${event.guildId}`, error)
+  }
+}
+
+/**
+ * Start forwarding verification events to guild log channels
+ * @param {Client} client - Discord client
+ */
+export function attachAuditLog(client) {
+  verificationEvents.on("event", (event) => {
+    postEvent(client, event)
+  })
+}
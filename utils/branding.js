@@ -0,0 +1,61 @@
+/**
+ * Branding Module
+ * Checks the branding servers set for the verification web pages before it is saved
+ * @module branding
+ */
+
+import { validateTemplate } from "./templates.js"
+
+/**
+ * Placeholders the page headline and body support, the ones known before the member logs in
+ */
+export const PAGE_PLACEHOLDERS = ["servername", "membercount", "role", "verifiedcount"]
+
+/**
+ * Longest page texts, in characters
+ */
+export const PAGE_TEXT_LIMITS = { pageHeadline: 200, pageBody: 2000, pageRules: 4000 }
+
+/**
+ * Check an accent color
+ * @param {string} color - Color such as #5865F2
+ * @returns {string|null} Why the color is rejected, or null if it is valid
+ */
+export function validateAccentColor(color) {
+  return /^#[0-9a-f]{6}$/i.test(color) ? null : "The accent color must be a hex color such as #5865F2."
+}
+
+/**
+ * Check a page icon URL
+ * Only https is allowed so the page doesn't load mixed content or scripts
+ * @param {string} url - Image URL
+ * @returns {string|null} Why the URL is rejected, or null if it is valid
+ */
+export function validateIconUrl(url) {
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch {
+    return "The icon must be a full image URL starting with https://."
+  }
+
+  if (parsed.protocol !== "https:") return "The icon must be a full image URL starting with https://."
+  if (url.length > 2000) return "The icon URL is longer than 2000 characters."
+  return null
+}
+
+/**
+ * Check a page text
+ * The headline and body are templates with PAGE_PLACEHOLDERS, the rules are shown as written
+ * @param {string} key - Setting name (pageHeadline, pageBody or pageRules)
+ * @param {string} text - Text to check
+ * @returns {string|null} Why the text is rejected, or null if it is valid
+ */
+export function validatePageText(key, text) {
+  const maxLength = PAGE_TEXT_LIMITS[key]
+
+  if (key === "pageRules") {
+    return text.length > maxLength ? `The text is ${text.length} characters long, the limit is ${maxLength}.` : null
+  }
+  return validateTemplate(text, { maxLength, placeholders: PAGE_PLACEHOLDERS })
+}
@@ -0,0 +1,159 @@
+/**
+ * Captcha Module
+ * Generates self-hosted image captchas for the verification page
+ * Glyphs are drawn as distorted SVG paths so the answer never appears as text in the markup
+ * @module captcha
+ */
+
+import crypto from "crypto"
+import config from "../config.js"
+
+/**
+ * Stroke definitions for each captcha character on a 10x16 grid
+ * Each stroke is a list of "x,y" points joined by straight lines
+ * Ambiguous characters (0, 1, 8) are left out on purpose
+ */
+const GLYPHS = {
+  2: ["0,3 2,0 8,0 10,3 10,6 0,16 10,16"],
+  3: ["0,0 10,0 4,7 8,7 10,10 10,14 8,16 0,16"],
+  4: ["7,16 7,0 0,11 10,11"],
+  5: ["10,0 0,0 0,7 8,7 10,9 10,14 8,16 0,16"],
+  6: ["9,0 3,0 0,4 0,14 2,16 8,16 10,14 10,9 8,7 0,7"],
+  7: ["0,0 10,0 3,16", "3,8 9,8"],
+  9: ["1,16 7,16 10,12 10,2 8,0 2,0 0,2 0,7 2,9 10,9"],
+  A: ["0,16 5,0 10,16", "2,10 8,10"],
+  E: ["10,0 0,0 0,16 10,16", "0,8 7,8"],
+  H: ["0,0 0,16", "10,0 10,16", "0,8 10,8"],
+  K: ["0,0 0,16", "10,0 0,9", "3,6 10,16"],
+  M: ["0,16 0,0 5,9 10,0 10,16"],
+  P: ["0,16 0,0 8,0 10,2 10,6 8,8 0,8"],
+  R: ["0,16 0,0 8,0 10,2 10,6 8,8 0,8", "5,8 10,16"],
+  T: ["0,0 10,0", "5,0 5,16"],
+  W: ["0,0 2,16 5,6 8,16 10,0"],
+  X: ["0,0 10,16", "10,0 0,16"],
+}
+
+const CHARSET = Object.keys(GLYPHS)
+
+const WIDTH = 260
+const HEIGHT = 90
+const COLORS = ["#5865F2", "#3ba55d", "#ed4245", "#faa61a", "#4f545c", "#eb459e"]
+
+/**
+ * Random float in range using a cryptographically secure source
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} Random value
+ */
+function randomBetween(min, max) {
+  return min + (crypto.randomInt(0, 1_000_000) / 1_000_000) * (max - min)
+}
+
+/**
+ * Pick a random element from an array
+ * @param {Array} list - Source array
+ * @returns {*} Random element
+ */
+function pick(list) {
+  return list[crypto.randomInt(0, list.length)]
+}
+
+/**
+ * Build the SVG path for one glyph with random jitter, scale and rotation
+ * @param {string} char - Character to draw
+ * @param {number} offsetX - Left edge of the glyph cell
+ * @returns {string} SVG path element
+ */
+function drawGlyph(char, offsetX) {
+  const scale = randomBetween(2.6, 3.4)
+  const angle = randomBetween(-25, 25)
+  const offsetY = randomBetween(12, HEIGHT - 16 * scale - 12)
+
+  const d = GLYPHS[char]
+    .map((stroke) =>
+      stroke
+        .split(" ")
+        .map((point, i) => {
+          const [x, y] = point.split(",").map(Number)
+          const px = (x + randomBetween(-0.8, 0.8)) * scale
+          const py = (y + randomBetween(-0.8, 0.8)) * scale
+          return `${i === 0 ? "M" : "L"}${px.toFixed(1)} ${py.toFixed(1)}`
+        })
+        .join(" "),
+    )
+    .join(" ")
+
+  const cx = (10 * scale) / 2
+  const cy = (16 * scale) / 2
+
+  return `<path d="${d}" transform="translate(${offsetX.toFixed(1)} ${offsetY.toFixed(1)}) rotate(${angle.toFixed(1)} ${cx.toFixed(1)} ${cy.toFixed(1)})" stroke="${pick(COLORS)}" stroke-width="${randomBetween(3, 4.5).toFixed(1)}" fill="none" stroke-linecap="round" stroke-linejoin="round"/>`
+}
+
+/**
+ * Build random noise curves and dots to make automated reading harder
+ * @returns {string} SVG elements
+ */
+function drawNoise() {
+  const elements = []
+
+  for (let i = 0; i < 6; i++) {
+    const points = [0, 1, 2, 3].map(
+      () => `${randomBetween(0, WIDTH).toFixed(1)} ${randomBetween(0, HEIGHT).toFixed(1)}`,
+    )
+    elements.push(
+      `<path d="M${points[0]} C${points[1]} ${points[2]} ${points[3]}" stroke="${pick(COLORS)}" stroke-width="${randomBetween(1, 2.5).toFixed(1)}" fill="none" opacity="0.6"/>`,
+    )
+  }
+
+  for (let i = 0; i < 40; i++) {
+    elements.push(
+      `<circle cx="${randomBetween(0, WIDTH).toFixed(1)}" cy="${randomBetween(0, HEIGHT).toFixed(1)}" r="${randomBetween(0.8, 2).toFixed(1)}" fill="${pick(COLORS)}" opacity="0.5"/>`,
+    )
+  }
+
+  return elements.join("")
+}
+
+/**
+ * Generate a new captcha challenge
+ * @param {number} length - Number of characters in the challenge
+ * @returns {{answer: string, image: string}} Expected answer and a data URI of the SVG image
+ */
+export function generateCaptcha(length = config.captcha.length) {
+  let answer = ""
+  for (let i = 0; i < length; i++) {
+    answer += pick(CHARSET)
+  }
+
+  const cellWidth = (WIDTH - 30) / length
+  const glyphs = answer
+    .split("")
+    .map((char, i) => drawGlyph(char, 15 + i * cellWidth + randomBetween(0, 4)))
+    .join("")
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}"><rect width="100%" height="100%" fill="#f0f4ff"/>${drawNoise()}${glyphs}</svg>`
+
+  return {
+    answer,
+    image: `data:image/svg+xml;base64,${Buffer.from(svg).toString("base64")}`,
+  }
+}
+
+/**
+ * Compare a submitted answer against the expected one
+ * Ignores case and whitespace, compares in constant time
+ * @param {string} expected - Expected captcha answer
+ * @param {string} given - Answer submitted by the user
+ * @returns {boolean} Whether the answer is correct
+ */
+export function checkCaptchaAnswer(expected, given) {
+  if (!expected || typeof given !== "string") {
+    return false
+  }
+
+  const normalized = given.replace(/\s+/g, "").toUpperCase()
+  const a = Buffer.from(expected)
+  const b = Buffer.from(normalized)
+
+  return a.length === b.length && crypto.timingSafeEqual(a, b)
+}
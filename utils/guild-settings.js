@@ -5,12 +5,10 @@
  * @module guild-settings
  */
 
-import fs from "fs/promises"
-import path from "path"
 import { log } from "./logger.js"
-
-const DATA_DIR = path.resolve(process.cwd(), "data")
-const SETTINGS_FILE = path.join(DATA_DIR, "guild-settings.json")
+import { openCollection } from "./storage.js"
+import { renderTemplate, discordTimestamp } from "./templates.js"
+import config from "../config.js"
 
 /**
  * Default messages for new guilds
@@ -23,10 +21,61 @@ const DEFAULT_MESSAGES = {
     embedColor: "#5865F2",
     dmTitle: "Verify Your Account",
     dmDescription:
-        "Hi {username}, click the link below to verify yourself in **{servername}**.\n\nThis verification link is secure and will expire in 5 minutes.",
+        "Hi {username}, click the link below to verify yourself in **{servername}**.\n\nThis verification link is secure and will expire {expires}.",
     dmColor: "#5865F2",
+    // Minutes a verification link stays valid (null = config.verification.expirationTime)
+    linkLifetimeMinutes: null,
+    captchaEnabled: false,
+    // Requirement policy checked after Discord login
+    minAccountAgeDays: 0,
+    requireMfa: false,
+    requireAvatar: false,
+    requireVerifiedEmail: false,
+    blockedUsernamePattern: null,
+    // Manual approval by moderators after Discord login
+    approvalRequired: false,
+    reviewChannelId: null,
+    // Role given on join and kick deadline for members who never verify
+    unverifiedRoleId: null,
+    kickAfterHours: 0,
+    kickWarningHours: 1,
+    // Channel receiving an embed for every verification event
+    logChannelId: null,
+    // Give the verified role back to previously verified members who rejoin
+    restoreOnRejoin: false,
+    // Days a verification stays valid before the member must verify again (0 = forever)
+    verificationLifetimeDays: 0,
+    // Role allowed to use moderator commands in addition to Manage Roles
+    moderatorRoleId: null,
+    // Per-locale replacements of member-facing messages: { locale: { messageKey: text } }
+    localeOverrides: {},
+    // Branding of the verification web pages (null = the default look and texts)
+    pageIconUrl: null, // Defaults to the server icon
+    pageAccentColor: null,
+    pageHeadline: null,
+    pageBody: null,
+    pageRules: null,
+    // Channel linked on the success page
+    successChannelId: null,
+    // DM sent once a member is verified (null text = the translated dm.verified message)
+    successDmEnabled: true,
+    successDmMessage: null,
+    successDmEmbed: false,
+    // Announcement posted when a member is verified (no channel = off)
+    welcomeChannelId: null,
+    welcomeMessage: "Please welcome {mention} to **{servername}**! We are now {membercount} members.",
+    welcomeEmbed: false,
+    // Color of the success DM and welcome embeds
+    successColor: "#3BA55D",
 }
 
+/**
+ * DM description saved by older versions, which hard-coded the link lifetime
+ * Replaced with the current default when read so the text matches the configured lifetime
+ */
+const LEGACY_DM_DESCRIPTION =
+    "Hi {username}, click the link below to verify yourself in **{servername}**.\n\nThis verification link is secure and will expire in 5 minutes."
+
 /**
  * Guild Settings Store
  * Manages verification message customization per server
@@ -34,12 +83,13 @@ const DEFAULT_MESSAGES = {
 class GuildSettings {
     constructor() {
         this.settings = new Map()
+        this.storage = null
         this.initialized = false
     }
 
     /**
      * Initialize guild settings store
-     * Loads existing settings from file
+     * Loads existing settings from storage
      */
     async init() {
         if (this.initialized) {
@@ -47,26 +97,27 @@ class GuildSettings {
         }
 
         try {
-            await fs.mkdir(DATA_DIR, { recursive: true, mode: 0o755 })
+            this.storage = await openCollection("guild-settings")
 
-            try {
-                const data = await fs.readFile(SETTINGS_FILE, "utf-8")
-                const parsed = JSON.parse(data)
-                this.settings = new Map(Object.entries(parsed))
+            const data = await this.storage.load()
+            if (data) {
+                this.settings = data
                 log.info(`Loaded settings for ${this.settings.size} server(s) from storage`)
-            } catch (error) {
+            } else {
                 log.info("No existing guild settings found, using defaults")
             }
 
             this.initialized = true
         } catch (error) {
             log.error("Failed to initialize guild settings", error)
+            throw error
         }
     }
 
     /**
      * Get settings for a specific guild
      * Returns default settings if guild has no custom settings
+     * Missing fields in older saved settings fall back to defaults
      * @param {string} guildId - Discord guild ID
      * @returns {Object} Guild settings
      */
@@ -74,7 +125,30 @@ class GuildSettings {
         if (!this.settings.has(guildId)) {
             return { ...DEFAULT_MESSAGES }
         }
-        return this.settings.get(guildId)
+        const settings = { ...DEFAULT_MESSAGES, ...this.settings.get(guildId) }
+        if (settings.dmDescription === LEGACY_DM_DESCRIPTION) {
+            settings.dmDescription = DEFAULT_MESSAGES.dmDescription
+        }
+        return settings
+    }
+
+    /**
+     * Get how long verification links of a guild stay valid
+     * @param {string} guildId - Discord guild ID
+     * @returns {number} Link lifetime in milliseconds
+     */
+    getLinkLifetime(guildId) {
+        const minutes = this.getSettings(guildId).linkLifetimeMinutes
+        return minutes > 0 ? minutes * 60 * 1000 : config.verification.expirationTime
+    }
+
+    /**
+     * Format a link expiry as a Discord relative timestamp ("in 5 minutes")
+     * @param {number} expiresAt - Expiry timestamp in milliseconds
+     * @returns {string} Discord timestamp markdown
+     */
+    formatExpiry(expiresAt) {
+        return discordTimestamp(expiresAt, "R")
     }
 
     /**
@@ -86,17 +160,53 @@ class GuildSettings {
         const currentSettings = this.getSettings(guildId)
         const updatedSettings = { ...currentSettings, ...newSettings }
         this.settings.set(guildId, updatedSettings)
-        await this.persist()
+        await this.persist([guildId])
         log.info(`Updated and persisted settings for guild ${guildId}`)
     }
 
     /**
-     * Persist settings to file
+     * Whether a guild changed a message setting from its default
+     * Default messages are shown in each member's language instead of the stored English text
+     * @param {string} guildId - Discord guild ID
+     * @param {string} field - Setting name (e.g. "dmTitle")
+     * @returns {boolean} True if the guild saved its own text
+     */
+    isCustomized(guildId, field) {
+        return this.getSettings(guildId)[field] !== DEFAULT_MESSAGES[field]
+    }
+
+    /**
+     * Set or clear a guild's override of one message in one locale
+     * @param {string} guildId - Discord guild ID
+     * @param {string} locale - Supported locale (e.g. "de")
+     * @param {string} key - Message key from the locale catalogs
+     * @param {string|null} text - Replacement text, or null to use the catalog again
+     */
+    async setLocaleOverride(guildId, locale, key, text) {
+        const overrides = this.getSettings(guildId).localeOverrides
+        const messages = { ...overrides[locale] }
+
+        if (text) {
+            messages[key] = text
+        } else {
+            delete messages[key]
+        }
+
+        const updated = { ...overrides, [locale]: messages }
+        if (Object.keys(messages).length === 0) {
+            delete updated[locale]
+        }
+
+        await this.updateSettings(guildId, { localeOverrides: updated })
+    }
+
+    /**
+     * Persist settings to storage
+     * @param {Array<string>} [keys] - Guild IDs that changed; backends that write per key only save these
      */
-    async persist() {
+    async persist(keys) {
         try {
-            const data = Object.fromEntries(this.settings)
-            await fs.writeFile(SETTINGS_FILE, JSON.stringify(data, null, 2))
+            await this.storage.save(this.settings, keys)
             log.info("Guild settings persisted to storage")
         } catch (error) {
             log.error("Failed to persist guild settings", error)
@@ -104,13 +214,15 @@ class GuildSettings {
     }
 
     /**
-     * Replace placeholders in message templates
+     * Replace placeholders and conditionals in message templates, see templates.js for the syntax
+     * {expires} becomes a relative Discord timestamp, or "soon" when no link expiry is known
      * @param {string} text - Text with placeholders
-     * @param {Object} data - Replacement data
+     * @param {Object} data - Replacement data (serverName, username, userId, memberCount, roleName, verifiedCount,
+     *   expiresAt, avatarUrl, createdAt)
      * @returns {string} Processed text
      */
     replacePlaceholders(text, data) {
-        return text.replace(/{servername}/g, data.serverName || "Server").replace(/{username}/g, data.username || "User")
+        return renderTemplate(text, data)
     }
 }
 
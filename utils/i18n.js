@@ -0,0 +1,112 @@
+/**
+ * Localization Module
+ * Picks the message catalog matching a member's Discord or browser locale
+ * Servers can override single messages per locale with /verifyconfig message
+ * @module i18n
+ */
+
+import guildSettings from "./guild-settings.js"
+import { PLACEHOLDERS } from "./templates.js"
+import en from "../locales/en.js"
+import de from "../locales/de.js"
+import fr from "../locales/fr.js"
+import es from "../locales/es.js"
+
+export const DEFAULT_LOCALE = "en"
+
+// Message catalogs by language, see locales/
+const CATALOGS = { en, de, fr, es }
+
+export const SUPPORTED_LOCALES = Object.keys(CATALOGS)
+
+// Every message key, English defines them all
+export const MESSAGE_KEYS = Object.keys(en)
+
+// Messages sent in Discord, which go through the template engine like the server's own messages
+const TEMPLATE_MESSAGE_PREFIXES = ["button.", "link.", "dm."]
+
+/**
+ * Map a Discord or browser locale to a supported catalog
+ * Regional variants use their language ("de-AT" and "de" both give "de")
+ * @param {string|null} locale - Locale such as "es-ES", "pt-BR" or "de"
+ * @returns {string|null} Supported locale or null if there is no catalog for it
+ */
+export function matchLocale(locale) {
+  if (!locale) return null
+  const language = locale.toLowerCase().split(/[-_]/)[0]
+  return SUPPORTED_LOCALES.includes(language) ? language : null
+}
+
+/**
+ * Pick the preferred supported locale from an Accept-Language header
+ * @param {string|undefined} header - Accept-Language header ("de-DE,de;q=0.9,en;q=0.8")
+ * @returns {string|null} Supported locale or null if the browser accepts none of them
+ */
+export function localeFromHeader(header) {
+  if (!header) return null
+
+  const ranked = header
+    .split(",")
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(";")
+      const q = params.find((param) => param.trim().startsWith("q="))
+      return { tag, quality: q ? Number(q.trim().slice(2)) || 0 : 1 }
+    })
+    .filter(({ tag, quality }) => tag && quality > 0)
+    .sort((a, b) => b.quality - a.quality)
+
+  for (const { tag } of ranked) {
+    const locale = matchLocale(tag)
+    if (locale) return locale
+  }
+  return null
+}
+
+/**
+ * Get what an override of a message may contain, for validateTemplate
+ * Discord messages support every template placeholder and conditionals; web page messages only their own
+ * placeholders, e.g. {days} in requirement.accountAge
+ * @param {string} key - Message key
+ * @returns {{placeholders: Array<string>, conditionals: boolean}} Template options
+ */
+export function getMessageTemplateOptions(key) {
+  const own = [...en[key].matchAll(/{(\w+)}/g)].map(([, name]) => name)
+
+  if (TEMPLATE_MESSAGE_PREFIXES.some((prefix) => key.startsWith(prefix))) {
+    return { placeholders: [...new Set([...Object.keys(PLACEHOLDERS), ...own])], conditionals: true }
+  }
+  return { placeholders: own, conditionals: false }
+}
+
+/**
+ * Fill {placeholders} in a message
+ * Placeholders without a value are left as they are
+ * @param {string} text - Message text
+ * @param {Object} params - Placeholder values by name
+ * @returns {string} Message with the placeholders replaced
+ */
+function fill(text, params) {
+  return text.replace(/{(\w+)}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match))
+}
+
+/**
+ * Create a translate function for one member
+ * Messages are looked up in the guild's overrides for the locale, then in the locale's catalog, then in English
+ * @param {string|null} locale - Discord locale (interaction.locale), stored locale or Accept-Language match
+ * @param {string|null} [guildId] - Discord guild ID whose overrides apply
+ * @returns {Function} t(key, params, fallback) returning the message; fallback is the server's own text for
+ *   messages it customized before overrides existed (dmTitle, dmDescription) and beats the catalog, not overrides.
+ *   t.locale is the catalog locale used
+ */
+export function getTranslator(locale, guildId = null) {
+  const resolved = matchLocale(locale) || DEFAULT_LOCALE
+  const overrides = guildId ? guildSettings.getSettings(guildId).localeOverrides?.[resolved] || {} : {}
+
+  const t = (key, params = {}, fallback = null) => {
+    const text = overrides[key] ?? fallback ?? CATALOGS[resolved][key] ?? en[key] ?? key
+    return fill(text, params)
+  }
+  t.locale = resolved
+
+  return t
+}
@@ -1,10 +1,16 @@
 /**
- * Console Colors Utility
- * Provides colored console output for better readability in production
- * Uses ANSI escape codes for terminal colors
+ * Logger Module
+ * Colored console output for people, or one JSON object per line for log aggregators
+ * Supports a minimum level, structured fields, a per-request context (correlation ID, user, guild)
+ * and optional output to a size-rotated file
  * @module logger
  */
 
+import fs from "fs"
+import path from "path"
+import { AsyncLocalStorage } from "async_hooks"
+import config from "../config.js"
+
 // ANSI color codes for terminal output
 const colors = {
   reset: "\x1b[0m",
@@ -28,99 +34,261 @@ const colors = {
   bgBlue: "\x1b[44m",
 }
 
+// Minimum level names and their order
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 }
+
+/**
+ * Label, level, console stream and color of each log function
+ */
+const TYPES = {
+  debug: { label: "DEBUG", level: "debug", stream: "log", color: colors.dim },
+  success: { label: "SUCCESS", level: "info", stream: "log", color: colors.green },
+  info: { label: "INFO", level: "info", stream: "log", color: colors.cyan },
+  system: { label: "SYSTEM", level: "info", stream: "log", color: colors.blue },
+  command: { label: "COMMAND", level: "info", stream: "log", color: colors.magenta },
+  event: { label: "EVENT", level: "info", stream: "log", color: colors.white },
+  start: { label: "START", level: "info", stream: "log", color: colors.bright + colors.green },
+  warn: { label: "WARN", level: "warn", stream: "warn", color: colors.yellow },
+  error: { label: "ERROR", level: "error", stream: "error", color: colors.red },
+  failed: { label: "FAILED", level: "error", stream: "error", color: colors.bright + colors.red },
+}
+
+// Context of the current verification or request, see runWithLogContext
+const context = new AsyncLocalStorage()
+
+let settings = null
+let file = null
+
+/**
+ * Get the logger settings
+ * Read on first use so values from .env are already loaded
+ * @returns {{level: number, format: string, file: string|null}} Minimum level, output format and log file
+ */
+function getSettings() {
+  if (!settings) {
+    const level = (process.env.LOG_LEVEL || config.logging.level).toLowerCase()
+    settings = {
+      level: LEVELS[level] ?? LEVELS.info,
+      format: (process.env.LOG_FORMAT || config.logging.format) === "json" ? "json" : "pretty",
+      file: process.env.LOG_FILE || config.logging.file || null,
+    }
+  }
+  return settings
+}
+
 /**
- * Colored console logging functions for production monitoring
- * Each function provides contextual logging with proper formatting
+ * Append a line to the log file, rotating it once it reaches config.logging.maxFileSize
+ * Rotated files are kept as <file>.1 (newest) to <file>.<maxFiles> (oldest)
+ * @param {string} filePath - Log file path
+ * @param {string} line - Line to append, with newline
+ */
+function writeFile(filePath, line) {
+  try {
+    if (!file) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true })
+      const fd = fs.openSync(filePath, "a")
+      file = { fd, size: fs.fstatSync(fd).size }
+    }
+
+    const bytes = Buffer.byteLength(line)
+
+    if (file.size > 0 && file.size + bytes > config.logging.maxFileSize) {
+      fs.closeSync(file.fd)
+      for (let index = config.logging.maxFiles - 1; index >= 1; index--) {
+        if (fs.existsSync(`${filePath}.${index}`)) {
+          fs.renameSync(`${filePath}.${index}`, `${filePath}.${index + 1}`)
+        }
+      }
+      fs.renameSync(filePath, `${filePath}.1`)
+      file = { fd: fs.openSync(filePath, "a"), size: 0 }
+    }
+
+    fs.writeSync(file.fd, line)
+    file.size += bytes
+  } catch (error) {
+    // Keep logging to the console instead of failing every call
+    settings.file = null
+    console.error(`Log file ${filePath} disabled: ${error.message}`)
+  }
+}
+
+/**
+ * Describe an error for JSON output
+ * @param {Error|*} error - Error or thrown value
+ * @returns {Object} Error message, code and stack
+ */
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return { message: String(error) }
+  }
+  return {
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.status !== undefined && { status: error.status }),
+    stack: error.stack,
+  }
+}
+
+/**
+ * Format structured fields for console output
+ * @param {Object} fields - Fields to show
+ * @returns {string} " key=value ..." or an empty string
+ */
+function formatFields(fields) {
+  const parts = Object.entries(fields).map(([key, value]) => {
+    const text = typeof value === "string" ? value : JSON.stringify(value)
+    return `${key}=${/\s/.test(text) ? JSON.stringify(text) : text}`
+  })
+  return parts.length > 0 ? ` ${parts.join(" ")}` : ""
+}
+
+/**
+ * Write one log entry to the console and the log file
+ * @param {string} type - Key of TYPES
+ * @param {string} message - Log message
+ * @param {Object} fields - Structured fields (userId, guildId, route, code, ...)
+ * @param {Error|null} error - Error to include
+ */
+function write(type, message, fields = {}, error = null) {
+  const { level, format, file: filePath } = getSettings()
+  const { label, level: typeLevel, stream, color } = TYPES[type]
+
+  if (LEVELS[typeLevel] < level) return
+
+  const timestamp = new Date().toISOString()
+  const merged = Object.fromEntries(
+    Object.entries({ ...context.getStore(), ...fields }).filter(([, value]) => value !== undefined && value !== null),
+  )
+
+  const json = JSON.stringify({
+    time: timestamp,
+    level: typeLevel,
+    type,
+    msg: message,
+    ...merged,
+    ...(error && { error: serializeError(error) }),
+  })
+
+  if (format === "json") {
+    console[stream](json)
+  } else {
+    console[stream](
+      `${color}[${label}]${colors.reset} ${colors.dim}${timestamp}${colors.reset} ${message}${colors.dim}${formatFields(merged)}${colors.reset}`,
+    )
+    if (error) {
+      console[stream](`${colors.dim}${error.stack || error}${colors.reset}`)
+    }
+  }
+
+  if (filePath) {
+    writeFile(filePath, `${json}\n`)
+  }
+}
+
+/**
+ * Run a function with fields added to every log entry it writes, including across awaits
+ * Used to follow one verification (correlationId, userId, guildId) or one web request (route)
+ * @param {Object} fields - Context fields
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+export function runWithLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn)
+}
+
+/**
+ * Add fields to the current log context, e.g. once a request's verification is known
+ * Has no effect outside runWithLogContext
+ * @param {Object} fields - Context fields
+ */
+export function addLogContext(fields) {
+  const store = context.getStore()
+  if (store) Object.assign(store, fields)
+}
+
+/**
+ * Get the current log context
+ * @returns {Object} Context fields, empty outside runWithLogContext
+ */
+export function getLogContext() {
+  return context.getStore() || {}
+}
+
+/**
+ * Logging functions for production monitoring
+ * Each accepts optional structured fields; error() takes an optional error before them
  */
 export const log = {
+  /**
+   * Log debug messages (dim), hidden unless LOG_LEVEL is debug
+   * @param {string} message - Debug message to log
+   * @param {Object} [fields] - Structured fields
+   */
+  debug: (message, fields) => write("debug", message, fields),
+
   /**
    * Log success messages (green)
    * @param {string} message - Success message to log
+   * @param {Object} [fields] - Structured fields
    */
-  success: (message) => {
-    const timestamp = new Date().toISOString()
-    console.log(`${colors.green}[SUCCESS]${colors.reset} ${colors.dim}${timestamp}${colors.reset} ${message}`)
-  },
+  success: (message, fields) => write("success", message, fields),
 
   /**
    * Log error messages (red) with optional stack trace
    * @param {string} message - Error message to log
    * @param {Error|null} error - Optional error object for stack trace
+   * @param {Object} [fields] - Structured fields
    */
-  error: (message, error = null) => {
-    const timestamp = new Date().toISOString()
-    console.error(`${colors.red}[ERROR]${colors.reset} ${colors.dim}${timestamp}${colors.reset} ${message}`)
-    if (error) {
-      console.error(`${colors.dim}${error.stack || error}${colors.reset}`)
-    }
-  },
+  error: (message, error = null, fields) => write("error", message, fields, error),
 
   /**
    * Log warning messages (yellow)
    * @param {string} message - Warning message to log
+   * @param {Object} [fields] - Structured fields
    */
-  warn: (message) => {
-    const timestamp = new Date().toISOString()
-    console.warn(`${colors.yellow}[WARN]${colors.reset} ${colors.dim}${timestamp}${colors.reset} ${message}`)
-  },
+  warn: (message, fields) => write("warn", message, fields),
 
   /**
    * Log info messages (cyan)
    * @param {string} message - Info message to log
+   * @param {Object} [fields] - Structured fields
    */
-  info: (message) => {
-    const timestamp = new Date().toISOString()
-    console.log(`${colors.cyan}[INFO]${colors.reset} ${colors.dim}${timestamp}${colors.reset} ${message}`)
-  },
+  info: (message, fields) => write("info", message, fields),
 
   /**
    * Log system messages (blue)
    * @param {string} message - System message to log
+   * @param {Object} [fields] - Structured fields
    */
-  system: (message) => {
-    const timestamp = new Date().toISOString()
-    console.log(`${colors.blue}[SYSTEM]${colors.reset} ${colors.dim}${timestamp}${colors.reset} ${message}`)
-  },
+  system: (message, fields) => write("system", message, fields),
 
   /**
    * Log command execution (magenta)
    * @param {string} message - Command message to log
+   * @param {Object} [fields] - Structured fields
    */
-  command: (message) => {
-    const timestamp = new Date().toISOString()
-    console.log(`${colors.magenta}[COMMAND]${colors.reset} ${colors.dim}${timestamp}${colors.reset} ${message}`)
-  },
+  command: (message, fields) => write("command", message, fields),
 
   /**
    * Log event messages (white)
    * @param {string} message - Event message to log
+   * @param {Object} [fields] - Structured fields
    */
-  event: (message) => {
-    const timestamp = new Date().toISOString()
-    console.log(`${colors.white}[EVENT]${colors.reset} ${colors.dim}${timestamp}${colors.reset} ${message}`)
-  },
+  event: (message, fields) => write("event", message, fields),
 
   /**
    * Log start/restart messages (bright green)
    * @param {string} message - Start message to log
+   * @param {Object} [fields] - Structured fields
    */
-  start: (message) => {
-    const timestamp = new Date().toISOString()
-    console.log(
-      `${colors.bright}${colors.green}[START]${colors.reset} ${colors.dim}${timestamp}${colors.reset} ${message}`,
-    )
-  },
+  start: (message, fields) => write("start", message, fields),
 
   /**
    * Log failed operations (bright red)
    * @param {string} message - Failure message to log
+   * @param {Object} [fields] - Structured fields
    */
-  failed: (message) => {
-    const timestamp = new Date().toISOString()
-    console.error(
-      `${colors.bright}${colors.red}[FAILED]${colors.reset} ${colors.dim}${timestamp}${colors.reset} ${message}`,
-    )
-  },
+  failed: (message, fields) => write("failed", message, fields),
 }
 
 export default log
@@ -0,0 +1,126 @@
+/**
+ * Member Deadlines Module
+ * Tracks how long new members have left to verify before they are kicked
+ * Persisted so deadlines survive bot restarts
+ * @module member-deadlines
+ */
+
+import { log } from "./logger.js"
+import { openCollection } from "./storage.js"
+
+/**
+ * Verification deadline store
+ * Structure: { "guildId:userId": { guildId, userId, warnAt, deadline, warned } }
+ */
+class MemberDeadlines {
+  constructor() {
+    this.store = new Map()
+    this.storage = null
+    this.initialized = false
+  }
+
+  /**
+   * Initialize the deadline store
+   * Loads existing data from storage if available
+   */
+  async init() {
+    if (this.initialized) {
+      return
+    }
+
+    try {
+      this.storage = await openCollection("member-deadlines")
+
+      const data = await this.storage.load()
+      if (data) {
+        this.store = data
+        log.info(`Loaded ${this.store.size} verification deadline(s) from storage`)
+      } else {
+        log.info("No existing verification deadlines found, starting fresh")
+      }
+
+      this.initialized = true
+    } catch (error) {
+      log.error("Failed to initialize verification deadlines", error)
+      throw error
+    }
+  }
+
+  /**
+   * Schedule a deadline for a member
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @param {number} deadline - Timestamp after which the member is kicked
+   * @param {number} warnAt - Timestamp at which the warning DM is sent
+   */
+  async add(guildId, userId, deadline, warnAt) {
+    this.store.set(`${guildId}:${userId}`, {
+      guildId,
+      userId,
+      warnAt,
+      deadline,
+      warned: false,
+    })
+    await this.persist([`${guildId}:${userId}`])
+    log.info(`Scheduled verification deadline for user ${userId} in guild ${guildId}`)
+  }
+
+  /**
+   * Remove a member's deadline (verified or left the server)
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   */
+  async remove(guildId, userId) {
+    if (this.store.delete(`${guildId}:${userId}`)) {
+      await this.persist([`${guildId}:${userId}`])
+    }
+  }
+
+  /**
+   * Mark a member as warned so the warning DM is only sent once
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   */
+  async markWarned(guildId, userId) {
+    const data = this.store.get(`${guildId}:${userId}`)
+
+    if (data) {
+      data.warned = true
+      await this.persist([`${guildId}:${userId}`])
+    }
+  }
+
+  /**
+   * Get deadlines that need action
+   * @param {number} now - Current timestamp
+   * @returns {{warnings: Array<Object>, kicks: Array<Object>}} Members to warn and members to kick
+   */
+  getDue(now = Date.now()) {
+    const warnings = []
+    const kicks = []
+
+    for (const data of this.store.values()) {
+      if (now >= data.deadline) {
+        kicks.push(data)
+      } else if (!data.warned && now >= data.warnAt) {
+        warnings.push(data)
+      }
+    }
+
+    return { warnings, kicks }
+  }
+
+  /**
+   * Persist deadlines to storage
+   * @param {Array<string>} [keys] - Deadline keys ("guildId:userId") that changed; backends that write per key only save these
+   */
+  async persist(keys) {
+    try {
+      await this.storage.save(this.store, keys)
+    } catch (error) {
+      log.error("Failed to persist verification deadlines", error)
+    }
+  }
+}
+
+export const memberDeadlines = new MemberDeadlines()
@@ -0,0 +1,247 @@
+/**
+ * Metrics Module
+ * Counters, gauges and histograms exposed at /metrics in the Prometheus text format
+ * Metrics live in the process only and start from zero after a restart, as Prometheus expects
+ * @module metrics
+ */
+
+import { verificationEvents, VerificationEvent } from "./verification-events.js"
+
+// Latency buckets for requests to Discord, in seconds
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+
+// Events counted as steps of a verification attempt, in funnel order
+const ATTEMPT_STEPS = [
+  VerificationEvent.BUTTON_CLICKED,
+  VerificationEvent.LINK_ISSUED,
+  VerificationEvent.PAGE_VIEWED,
+  VerificationEvent.CALLBACK_RECEIVED,
+]
+
+// Events that end a verification without the verified role
+const FAILURE_EVENTS = [
+  VerificationEvent.LINK_INVALID,
+  VerificationEvent.STATE_MISMATCH,
+  VerificationEvent.EXPIRED,
+  VerificationEvent.CAPTCHA_FAILED,
+  VerificationEvent.ID_MISMATCH,
+  VerificationEvent.REQUIREMENT_FAILED,
+  VerificationEvent.OAUTH_ERROR,
+  VerificationEvent.REVIEW_DENIED,
+  VerificationEvent.REVIEW_BANNED,
+  VerificationEvent.ROLE_FAILED,
+]
+
+const metrics = []
+
+/**
+ * Escape a label value for the text format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"')
+}
+
+/**
+ * Format a label set
+ * @param {Object} labels - Label names and values
+ * @returns {string} "{name="value",...}" or an empty string without labels
+ */
+function formatLabels(labels) {
+  const parts = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`)
+  return parts.length > 0 ? `{${parts.join(",")}}` : ""
+}
+
+/**
+ * Base class of all metrics
+ * Keeps one value per label set, keyed by the formatted labels
+ */
+class Metric {
+  /**
+   * @param {string} type - Prometheus metric type
+   * @param {string} name - Metric name
+   * @param {string} help - Description shown by Prometheus
+   */
+  constructor(type, name, help) {
+    this.type = type
+    this.name = name
+    this.help = help
+    this.values = new Map()
+    metrics.push(this)
+  }
+
+  /**
+   * Render the metric in the text format
+   * @returns {string} HELP and TYPE lines followed by one line per sample
+   */
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`]
+    for (const [labels, value] of this.values) {
+      lines.push(...this.samples(labels, value))
+    }
+    return lines.join("\n")
+  }
+
+  /**
+   * Render the samples of one label set
+   * @param {string} labels - Formatted labels
+   * @param {number} value - Stored value
+   * @returns {Array<string>} Sample lines
+   */
+  samples(labels, value) {
+    return [`${this.name}${labels} ${value}`]
+  }
+}
+
+/**
+ * Counter that only goes up
+ */
+class Counter extends Metric {
+  constructor(name, help) {
+    super("counter", name, help)
+  }
+
+  /**
+   * Increase the counter
+   * @param {Object} [labels] - Label values
+   * @param {number} [amount] - Amount to add
+   */
+  inc(labels = {}, amount = 1) {
+    const key = formatLabels(labels)
+    this.values.set(key, (this.values.get(key) || 0) + amount)
+  }
+}
+
+/**
+ * Gauge holding the current value of something
+ */
+class Gauge extends Metric {
+  constructor(name, help) {
+    super("gauge", name, help)
+  }
+
+  /**
+   * Set the gauge
+   * @param {number} value - Current value
+   * @param {Object} [labels] - Label values
+   */
+  set(value, labels = {}) {
+    this.values.set(formatLabels(labels), value)
+  }
+}
+
+/**
+ * Histogram of observed values with cumulative buckets
+ */
+class Histogram extends Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Description shown by Prometheus
+   * @param {Array<number>} buckets - Upper bounds of the buckets, ascending
+   */
+  constructor(name, help, buckets) {
+    super("histogram", name, help)
+    this.buckets = buckets
+  }
+
+  /**
+   * Record one value
+   * @param {number} value - Observed value
+   * @param {Object} [labels] - Label values
+   */
+  observe(value, labels = {}) {
+    const key = formatLabels(labels)
+    const entry = this.values.get(key) || { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 }
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index]++
+    })
+    entry.sum += value
+    entry.count++
+    this.values.set(key, entry)
+  }
+
+  samples(labels, entry) {
+    const bucketLines = this.buckets.map(
+      (bound, index) => `${this.name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.counts[index]}`,
+    )
+    return [
+      ...bucketLines,
+      `${this.name}_bucket${formatLabels({ ...entry.labels, le: "+Inf" })} ${entry.count}`,
+      `${this.name}_sum${labels} ${entry.sum}`,
+      `${this.name}_count${labels} ${entry.count}`,
+    ]
+  }
+}
+
+export const verificationAttempts = new Counter(
+  "verification_attempts_total",
+  "Verification steps reached, by step (button_clicked, link_issued, page_viewed, callback_received)",
+)
+
+export const verificationOutcomes = new Counter(
+  "verification_outcomes_total",
+  "Finished verifications, by outcome (success, failure, review) and reason",
+)
+
+export const discordRequestDuration = new Histogram(
+  "verification_discord_request_duration_seconds",
+  "Latency of Discord OAuth2 requests during verification, by request (token_exchange, users_me) and result",
+  DURATION_BUCKETS,
+)
+
+export const pendingVerifications = new Gauge("verification_pending", "Pending verifications with a usable link")
+
+export const guildCount = new Gauge("verification_guilds", "Servers the bot is in")
+
+export const gatewayPing = new Gauge("verification_discord_gateway_ping_seconds", "Discord gateway heartbeat latency")
+
+export const persistFailures = new Counter(
+  "verification_store_persist_failures_total",
+  "Failed writes of stored data, by collection",
+)
+
+export const uptime = new Gauge("verification_uptime_seconds", "Seconds since the process started")
+
+/**
+ * Time a request to Discord and record it in discordRequestDuration
+ * @param {string} request - Request label ("token_exchange" or "users_me")
+ * @param {Function} send - Function performing the request
+ * @returns {Promise<*>} Result of send
+ */
+export async function timeDiscordRequest(request, send) {
+  const start = process.hrtime.bigint()
+  let result = "error"
+
+  try {
+    const response = await send()
+    result = "success"
+    return response
+  } finally {
+    discordRequestDuration.observe(Number(process.hrtime.bigint() - start) / 1e9, { request, result })
+  }
+}
+
+/**
+ * Render every metric in the Prometheus text format
+ * @returns {string} Exposition text
+ */
+export function renderMetrics() {
+  uptime.set(Math.round(process.uptime()))
+  return metrics.map((metric) => metric.render()).join("\n") + "\n"
+}
+
+// Count verification steps and outcomes; guild IDs are left out to keep the number of series small
+verificationEvents.on("event", (event) => {
+  if (ATTEMPT_STEPS.includes(event.type)) {
+    verificationAttempts.inc({ step: event.type })
+  } else if (event.type === VerificationEvent.ROLE_ASSIGNED) {
+    verificationOutcomes.inc({ outcome: "success", reason: event.source || "oauth" })
+  } else if (event.type === VerificationEvent.REVIEW_REQUESTED) {
+    verificationOutcomes.inc({ outcome: "review", reason: "approval_required" })
+  } else if (FAILURE_EVENTS.includes(event.type)) {
+    const reason = event.type === VerificationEvent.ROLE_FAILED ? `${event.type}:${event.code}` : event.type
+    verificationOutcomes.inc({ outcome: "failure", reason })
+  }
+})
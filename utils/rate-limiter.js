@@ -0,0 +1,79 @@
+/**
+ * Rate Limiter Module
+ * In-memory fixed-window rate limiting for web routes and the Verify button
+ * Counters live in the process only, which is enough for a single bot instance
+ * @module rate-limiter
+ */
+
+/**
+ * Fixed-window rate limiter
+ * Each key may be hit `limit` times per window; further hits are blocked until the window resets
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {number} options.limit - Allowed hits per window
+   * @param {number} options.windowMs - Window length in milliseconds
+   * @param {number} [options.reportAfter] - Blocked hits in one window after which the key is reported once
+   */
+  constructor({ limit, windowMs, reportAfter = Infinity }) {
+    this.limit = limit
+    this.windowMs = windowMs
+    this.reportAfter = reportAfter
+    this.windows = new Map()
+
+    // Drop finished windows so counters for one-off visitors do not pile up
+    setInterval(() => this.prune(), windowMs).unref()
+  }
+
+  /**
+   * Count a hit for a key
+   * @param {string} key - Rate limit key (IP address, user ID, ...)
+   * @returns {{allowed: boolean, retryAfter: number, report: boolean}} Whether the hit is allowed, milliseconds
+   *   until the window resets, and whether this hit made the key a repeat offender
+   */
+  hit(key) {
+    const now = Date.now()
+    let window = this.windows.get(key)
+
+    if (!window || now >= window.resetAt) {
+      window = { count: 0, blocked: 0, resetAt: now + this.windowMs }
+      this.windows.set(key, window)
+    }
+
+    const retryAfter = window.resetAt - now
+
+    if (window.count < this.limit) {
+      window.count++
+      return { allowed: true, retryAfter, report: false }
+    }
+
+    window.blocked++
+    return { allowed: false, retryAfter, report: window.blocked === this.reportAfter }
+  }
+
+  /**
+   * Remove windows that have reset
+   */
+  prune() {
+    const now = Date.now()
+
+    for (const [key, window] of this.windows) {
+      if (now >= window.resetAt) {
+        this.windows.delete(key)
+      }
+    }
+  }
+}
+
+/**
+ * Parse the TRUST_PROXY setting into an Express "trust proxy" value
+ * @param {string|undefined} value - "true", "false", a hop count, or addresses/subnets separated by commas
+ * @returns {boolean|number|string} Express trust proxy value
+ */
+export function parseTrustProxy(value) {
+  if (!value || value === "false") return false
+  if (value === "true") return true
+  if (/^\d+$/.test(value)) return Number(value)
+  return value
+}
@@ -0,0 +1,199 @@
+/**
+ * Requirements Module
+ * Checks a Discord account against a guild's verification requirement policy
+ * @module requirements
+ */
+
+import vm from "vm"
+import { log } from "./logger.js"
+
+// Discord epoch (2015-01-01T00:00:00.000Z) used by snowflake IDs
+const DISCORD_EPOCH = 1420070400000
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Longest a blocked-username pattern may run against one name before the check gives up
+const PATTERN_TIMEOUT_MS = 50
+
+// Patterns set by server admins run in their own context, where a runaway match can be stopped
+const patternContext = vm.createContext({})
+const patternScript = new vm.Script('new RegExp(source, "i").test(name)')
+
+/**
+ * Get the creation date of a Discord account from its snowflake ID
+ * @param {string} userId - Discord user ID
+ * @returns {Date} Account creation date
+ */
+export function getAccountCreatedAt(userId) {
+  return new Date(Number(BigInt(userId) >> 22n) + DISCORD_EPOCH)
+}
+
+/**
+ * Whether the policy needs the email OAuth2 scope
+ * @param {Object} settings - Guild settings
+ * @returns {boolean} True if a verified email is required
+ */
+export function requiresEmailScope(settings) {
+  return Boolean(settings.requireVerifiedEmail)
+}
+
+/**
+ * Whether a pattern repeats a group that itself contains a repetition, e.g. (a+)+ or (\w*\s?)*
+ * Such patterns can take exponential time on names that almost match
+ * @param {string} pattern - Regular expression source
+ * @returns {boolean} True if a quantified group contains a quantifier
+ */
+function hasNestedQuantifier(pattern) {
+  // Escapes and character classes can't hold quantifiers, only their brackets and backslashes could confuse the scan
+  const source = pattern.replace(/\\./g, "x").replace(/\[[^\]]*\]/g, "x")
+  // One entry per open group: whether it contains a quantifier
+  const groups = []
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i]
+
+    if (char === "(") {
+      groups.push(false)
+    } else if (char === ")") {
+      const quantified = groups.pop()
+      if (quantified && /[+*{]/.test(source[i + 1] ?? "")) return true
+      if (quantified && groups.length > 0) groups[groups.length - 1] = true
+    } else if (/[+*{]/.test(char) && groups.length > 0) {
+      groups[groups.length - 1] = true
+    }
+  }
+
+  return false
+}
+
+/**
+ * Validate a blocked-username pattern before saving it
+ * @param {string} pattern - Regular expression source
+ * @returns {string|null} Error message, or null if the pattern is valid
+ */
+export function validateUsernamePattern(pattern) {
+  if (pattern.length > 200) {
+    return "Pattern must be 200 characters or fewer."
+  }
+
+  try {
+    new RegExp(pattern, "i")
+  } catch (error) {
+    return error.message
+  }
+
+  if (hasNestedQuantifier(pattern)) {
+    return "Pattern must not repeat a group that contains +, * or {}, such as (a+)+. Such patterns can take too long to check."
+  }
+
+  return null
+}
+
+/**
+ * Test a name against a blocked-username pattern, giving up after PATTERN_TIMEOUT_MS
+ * @param {string} pattern - Regular expression source, matched case-insensitively
+ * @param {string} name - Username or display name
+ * @returns {boolean|null} Whether the name matches, or null if the match took too long
+ */
+function matchesPattern(pattern, name) {
+  patternContext.source = pattern
+  patternContext.name = name
+
+  try {
+    return patternScript.runInContext(patternContext, { timeout: PATTERN_TIMEOUT_MS })
+  } catch (error) {
+    if (error.code !== "ERR_SCRIPT_EXECUTION_TIMEOUT") throw error
+    return null
+  }
+}
+
+/**
+ * Check a Discord user against the guild's requirement policy
+ * @param {Object} discordUser - User object returned by users/@me
+ * @param {Object} settings - Guild settings
+ * @returns {{passed: boolean, code?: string, reason?: string, checks: string[]}} Result with the failed check and its reason, or the checks that passed
+ */
+export function checkRequirements(discordUser, settings) {
+  const checks = []
+
+  if (settings.minAccountAgeDays > 0) {
+    const ageDays = (Date.now() - getAccountCreatedAt(discordUser.id).getTime()) / DAY_MS
+
+    if (ageDays < settings.minAccountAgeDays) {
+      return {
+        passed: false,
+        code: "accountAge",
+        reason: `Your Discord account must be at least ${settings.minAccountAgeDays} day(s) old to verify in this server.`,
+        checks,
+      }
+    }
+    checks.push("accountAge")
+  }
+
+  if (settings.requireMfa) {
+    if (!discordUser.mfa_enabled) {
+      return {
+        passed: false,
+        code: "mfa",
+        reason: "This server requires two-factor authentication to be enabled on your Discord account.",
+        checks,
+      }
+    }
+    checks.push("mfa")
+  }
+
+  if (settings.requireAvatar) {
+    if (!discordUser.avatar) {
+      return {
+        passed: false,
+        code: "avatar",
+        reason: "This server requires a custom profile picture. Please set an avatar and try again.",
+        checks,
+      }
+    }
+    checks.push("avatar")
+  }
+
+  if (settings.requireVerifiedEmail) {
+    if (!discordUser.email || !discordUser.verified) {
+      return {
+        passed: false,
+        code: "verifiedEmail",
+        reason: "This server requires a verified email address on your Discord account.",
+        checks,
+      }
+    }
+    checks.push("verifiedEmail")
+  }
+
+  if (settings.blockedUsernamePattern) {
+    const names = [discordUser.username, discordUser.global_name].filter(Boolean)
+    const matches = names.map((name) => matchesPattern(settings.blockedUsernamePattern, name))
+
+    // Names the pattern can't decide in time are refused, so a crafted name can't slip past the rule
+    if (matches.includes(null)) {
+      log.warn("Blocked username pattern took too long, refusing the name", {
+        userId: discordUser.id,
+        pattern: settings.blockedUsernamePattern,
+      })
+      return {
+        passed: false,
+        code: "username",
+        reason: "Your username could not be checked against this server's rules. Please contact the server staff.",
+        checks,
+      }
+    }
+
+    if (matches.includes(true)) {
+      return {
+        passed: false,
+        code: "username",
+        reason: "Your username is not allowed in this server. Please change it and try again.",
+        checks,
+      }
+    }
+    checks.push("username")
+  }
+
+  return { passed: true, checks }
+}
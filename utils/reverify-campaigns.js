@@ -0,0 +1,125 @@
+/**
+ * Re-verification Campaigns Module
+ * Tracks running /reverify-all campaigns so they resume after a restart
+ * @module reverify-campaigns
+ */
+
+import { log } from "./logger.js"
+import { openCollection } from "./storage.js"
+
+/**
+ * Campaign store, at most one running campaign per guild
+ * Structure: { guildId: { guildId, startedBy, startedAt, channelId, messageId, total, remaining, failed } }
+ */
+class ReverifyCampaigns {
+  constructor() {
+    this.store = new Map()
+    this.storage = null
+    this.initialized = false
+  }
+
+  /**
+   * Initialize the campaign store
+   * Loads existing data from storage if available
+   */
+  async init() {
+    if (this.initialized) {
+      return
+    }
+
+    try {
+      this.storage = await openCollection("reverify-campaigns")
+
+      const data = await this.storage.load()
+      if (data) {
+        this.store = data
+        log.info(`Loaded ${this.store.size} re-verification campaign(s) from storage`)
+      } else {
+        log.info("No existing re-verification campaigns found, starting fresh")
+      }
+
+      this.initialized = true
+    } catch (error) {
+      log.error("Failed to initialize re-verification campaigns", error)
+      throw error
+    }
+  }
+
+  /**
+   * Start a campaign for a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} data - Campaign data (startedBy, channelId, messageId, remaining)
+   * @returns {Promise<Object>} The stored campaign
+   */
+  async start(guildId, data) {
+    const campaign = {
+      guildId,
+      ...data,
+      startedAt: Date.now(),
+      total: data.remaining.length,
+      failed: 0,
+    }
+    this.store.set(guildId, campaign)
+    await this.persist([guildId])
+    log.info(`Started re-verification campaign in guild ${guildId} for ${campaign.total} member(s)`)
+    return campaign
+  }
+
+  /**
+   * Get the running campaign of a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Object|null} Campaign or null
+   */
+  get(guildId) {
+    return this.store.get(guildId) || null
+  }
+
+  /**
+   * Get all running campaigns
+   * @returns {Array<Object>} Campaigns
+   */
+  getAll() {
+    return [...this.store.values()]
+  }
+
+  /**
+   * Record progress after a batch
+   * @param {string} guildId - Discord guild ID
+   * @param {number} processed - Number of members taken off the front of the remaining list
+   * @param {number} failed - Number of those that failed
+   */
+  async advance(guildId, processed, failed) {
+    const campaign = this.store.get(guildId)
+
+    if (campaign) {
+      campaign.remaining = campaign.remaining.slice(processed)
+      campaign.failed += failed
+      await this.persist([guildId])
+    }
+  }
+
+  /**
+   * Remove a finished campaign
+   * @param {string} guildId - Discord guild ID
+   */
+  async finish(guildId) {
+    if (this.store.delete(guildId)) {
+      await this.persist([guildId])
+      log.info(`Finished re-verification campaign in guild ${guildId}`)
+    }
+  }
+
+  /**
+   * Persist campaigns to storage
+   * @param {Array<string>} [keys] - Guild IDs that changed; backends that write per key only save these
+   */
+  async persist(keys) {
+    try {
+      await this.storage.save(this.store, keys)
+    } catch (error) {
+      log.error("Failed to persist re-verification campaigns", error)
+    }
+  }
+}
+
+export const reverifyCampaigns = new ReverifyCampaigns()
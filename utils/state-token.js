@@ -0,0 +1,73 @@
+/**
+ * State Token Module
+ * Creates and checks the opaque tokens used in verification links and as the OAuth2 state
+ * A token is "<id>.<signature>": a random ID plus an HMAC over the ID, user, guild and expiry,
+ * so links carry no user or guild IDs and cannot be forged or moved to another user
+ * @module state-token
+ */
+
+import crypto from "crypto"
+
+const TOKEN_PATTERN = /^([A-Za-z0-9_-]{32})\.([A-Za-z0-9_-]{43})$/
+
+/**
+ * Get the HMAC key for state tokens
+ * Uses STATE_SECRET, or a key derived from CLIENT_SECRET when it is not set
+ * @returns {Buffer|string} HMAC key
+ */
+function getSecret() {
+  if (process.env.STATE_SECRET) {
+    return process.env.STATE_SECRET
+  }
+
+  if (!process.env.CLIENT_SECRET) {
+    throw new Error("STATE_SECRET or CLIENT_SECRET must be set to sign verification links")
+  }
+
+  return crypto.createHmac("sha256", process.env.CLIENT_SECRET).update("verification-state").digest()
+}
+
+/**
+ * Compute the signature of a token
+ * @param {string} id - Token ID
+ * @param {Object} data - Pending verification (userId, guildId, expiresAt)
+ * @returns {string} Base64url HMAC-SHA256 signature
+ */
+function sign(id, data) {
+  return crypto
+    .createHmac("sha256", getSecret())
+    .update(`${id}:${data.userId}:${data.guildId}:${data.expiresAt}`)
+    .digest("base64url")
+}
+
+/**
+ * Create a new state token for a pending verification
+ * @param {Object} data - Pending verification (userId, guildId, expiresAt)
+ * @returns {{id: string, token: string}} Token ID used as store index, and the full token
+ */
+export function createStateToken(data) {
+  const id = crypto.randomBytes(24).toString("base64url")
+  return { id, token: `${id}.${sign(id, data)}` }
+}
+
+/**
+ * Split a token into its ID and signature
+ * @param {string} token - Token from a link or the OAuth2 state
+ * @returns {{id: string, signature: string}|null} Token parts, or null if the token is malformed
+ */
+export function parseStateToken(token) {
+  const match = typeof token === "string" ? TOKEN_PATTERN.exec(token) : null
+  return match ? { id: match[1], signature: match[2] } : null
+}
+
+/**
+ * Check a token's signature against the pending verification it points to, in constant time
+ * @param {{id: string, signature: string}} parts - Parsed token
+ * @param {Object} data - Pending verification (userId, guildId, expiresAt)
+ * @returns {boolean} True if the signature is valid
+ */
+export function checkStateToken(parts, data) {
+  const expected = Buffer.from(sign(parts.id, data))
+  const given = Buffer.from(parts.signature)
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given)
+}
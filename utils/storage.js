@@ -0,0 +1,335 @@
+/**
+ * Storage Module
+ * Persistence backends for the bot's key-value stores
+ * JSON (default) keeps one file per collection in data/, SQLite keeps all collections in one database
+ * @module storage
+ */
+
+import fs from "fs/promises"
+import path from "path"
+import { log } from "./logger.js"
+import { persistFailures } from "./metrics.js"
+import config from "../config.js"
+
+const DATA_DIR = path.resolve(process.cwd(), "data")
+
+let database = null
+const collections = []
+
+/**
+ * Get the configured storage backend
+ * Read when a store is opened so values from .env are already loaded
+ * @returns {string} "json" or "sqlite"
+ */
+export function getBackend() {
+  return (process.env.STORAGE_BACKEND || config.storage.backend).toLowerCase()
+}
+
+/**
+ * Read a file, treating a missing file as empty
+ * @param {string} file - File path
+ * @returns {Promise<string|null>} File contents or null if the file does not exist
+ */
+async function readIfExists(file) {
+  try {
+    return await fs.readFile(file, "utf-8")
+  } catch (error) {
+    if (error.code === "ENOENT") return null
+    throw error
+  }
+}
+
+/**
+ * Collection stored as a single JSON file
+ * Writes go to a temporary file that replaces the real one, so a crash never leaves a truncated file.
+ * The previous file is kept as <name>.json.bak, and saves arriving while a write is pending are
+ * coalesced into one write of the latest entries.
+ */
+class JsonCollection {
+  /**
+   * @param {string} name - Collection name, also the file name without extension
+   */
+  constructor(name) {
+    this.name = name
+    this.file = path.join(DATA_DIR, `${name}.json`)
+    this.backupFile = `${this.file}.bak`
+    this.entries = null
+    this.waiting = []
+    this.timer = null
+    this.writing = null
+  }
+
+  /**
+   * Load all entries
+   * A corrupt file is moved aside and the backup is used instead; if the backup is unusable too, loading fails
+   * @returns {Promise<Map|null>} Stored entries, or null if the collection has never been saved
+   */
+  async load() {
+    const data = await readIfExists(this.file)
+    if (data === null) return null
+
+    try {
+      return new Map(Object.entries(JSON.parse(data)))
+    } catch (error) {
+      log.error(`${this.name}.json is corrupt, trying the backup`, error)
+    }
+
+    let backup
+    try {
+      const backupData = await readIfExists(this.backupFile)
+      backup = backupData === null ? null : new Map(Object.entries(JSON.parse(backupData)))
+    } catch (error) {
+      log.error(`Backup of ${this.name}.json is unusable`, error)
+    }
+
+    if (!backup) {
+      throw new Error(`${this.file} is corrupt and has no usable backup; repair or remove it to start`)
+    }
+
+    const corruptFile = `${this.file}.corrupt-${Date.now()}`
+    await fs.rename(this.file, corruptFile)
+    log.warn(`Recovered ${this.name} from backup, corrupt file kept as ${path.basename(corruptFile)}`)
+    return backup
+  }
+
+  /**
+   * Save entries
+   * Resolves once a write containing these entries has reached the disk
+   * @param {Map} entries - All entries of the collection
+   * @returns {Promise<void>}
+   */
+  save(entries) {
+    this.entries = entries
+
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ resolve, reject })
+      this.schedule()
+    })
+  }
+
+  /**
+   * Start a write after the batching delay unless one is already scheduled or running
+   */
+  schedule() {
+    if (this.timer || this.writing) return
+    this.timer = setTimeout(() => this.write(), config.storage.writeDelay)
+  }
+
+  /**
+   * Write the latest entries and settle every save waiting for them
+   */
+  async write() {
+    clearTimeout(this.timer)
+    this.timer = null
+
+    const waiting = this.waiting
+    this.waiting = []
+    this.writing = this.writeFile(JSON.stringify(Object.fromEntries(this.entries), null, 2))
+
+    try {
+      await this.writing
+      waiting.forEach(({ resolve }) => resolve())
+    } catch (error) {
+      persistFailures.inc({ collection: this.name })
+      waiting.forEach(({ reject }) => reject(error))
+    } finally {
+      this.writing = null
+      if (this.waiting.length > 0) this.schedule()
+    }
+  }
+
+  /**
+   * Replace the file atomically, keeping the previous version as backup
+   * @param {string} data - Serialized entries
+   */
+  async writeFile(data) {
+    const tempFile = `${this.file}.tmp`
+    const handle = await fs.open(tempFile, "w")
+
+    try {
+      await handle.writeFile(data)
+      await handle.sync()
+    } finally {
+      await handle.close()
+    }
+
+    try {
+      await fs.copyFile(this.file, this.backupFile)
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error
+    }
+
+    await fs.rename(tempFile, this.file)
+  }
+
+  /**
+   * Write pending changes immediately and wait for running writes
+   */
+  async flush() {
+    while (this.timer || this.writing) {
+      if (this.timer) {
+        await this.write().catch(() => {})
+      } else {
+        await this.writing.catch(() => {})
+      }
+    }
+  }
+}
+
+/**
+ * Collection stored as rows of the SQLite key-value table
+ * Saves only write the keys that changed
+ */
+class SqliteCollection {
+  /**
+   * @param {Object} db - better-sqlite3 database
+   * @param {string} name - Collection name
+   */
+  constructor(db, name) {
+    this.db = db
+    this.name = name
+    this.selectAll = db.prepare("SELECT key, value FROM entries WHERE collection = ?")
+    this.upsert = db.prepare(
+      "INSERT INTO entries (collection, key, value) VALUES (?, ?, ?) " +
+        "ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value",
+    )
+    this.deleteOne = db.prepare("DELETE FROM entries WHERE collection = ? AND key = ?")
+    this.deleteAll = db.prepare("DELETE FROM entries WHERE collection = ?")
+  }
+
+  /**
+   * Load all entries
+   * @returns {Promise<Map|null>} Stored entries, or null if the collection is empty
+   */
+  async load() {
+    const rows = this.selectAll.all(this.name)
+    if (rows.length === 0) return null
+    return new Map(rows.map((row) => [row.key, JSON.parse(row.value)]))
+  }
+
+  /**
+   * Save entries
+   * @param {Map} entries - All entries of the collection
+   * @param {Array<string>} [keys] - Keys that changed; all entries are rewritten when omitted
+   */
+  async save(entries, keys) {
+    try {
+      this.db.transaction(() => {
+        if (!keys) {
+          this.deleteAll.run(this.name)
+        }
+
+        for (const key of keys || entries.keys()) {
+          if (entries.has(key)) {
+            this.upsert.run(this.name, key, JSON.stringify(entries.get(key)))
+          } else {
+            this.deleteOne.run(this.name, key)
+          }
+        }
+      })()
+    } catch (error) {
+      persistFailures.inc({ collection: this.name })
+      throw error
+    }
+  }
+
+  /**
+   * SQLite writes are synchronous, so there is never anything to flush
+   */
+  async flush() {}
+
+  /**
+   * Import the collection's JSON file once, the first time it is opened with SQLite
+   * The file is renamed to <name>.json.migrated afterwards
+   */
+  async importJson() {
+    const imported = this.db.prepare("SELECT 1 FROM migrations WHERE collection = ?").get(this.name)
+    if (imported) return
+
+    const json = new JsonCollection(this.name)
+    const entries = await json.load()
+
+    this.db.transaction(() => {
+      if (entries) {
+        for (const [key, value] of entries) {
+          this.upsert.run(this.name, key, JSON.stringify(value))
+        }
+      }
+      this.db.prepare("INSERT INTO migrations (collection, imported_at) VALUES (?, ?)").run(this.name, Date.now())
+    })()
+
+    if (entries) {
+      await fs.rename(json.file, `${json.file}.migrated`)
+      log.success(`Imported ${entries.size} entr${entries.size === 1 ? "y" : "ies"} from ${this.name}.json into SQLite`)
+    }
+  }
+}
+
+/**
+ * Open the SQLite database, creating its tables on first use
+ * better-sqlite3 is an optional dependency and only loaded when the SQLite backend is selected
+ * @returns {Promise<Object>} better-sqlite3 database
+ */
+async function openDatabase() {
+  if (database) return database
+
+  let Database
+  try {
+    ;({ default: Database } = await import("better-sqlite3"))
+  } catch (error) {
+    throw new Error("The SQLite storage backend requires the better-sqlite3 package (npm install better-sqlite3)")
+  }
+
+  const file = path.resolve(process.cwd(), process.env.SQLITE_PATH || config.storage.sqlitePath)
+  await fs.mkdir(path.dirname(file), { recursive: true, mode: 0o755 })
+
+  database = new Database(file)
+  database.pragma("journal_mode = WAL")
+  database.exec(
+    "CREATE TABLE IF NOT EXISTS entries (collection TEXT NOT NULL, key TEXT NOT NULL, value TEXT NOT NULL, " +
+      "PRIMARY KEY (collection, key));" +
+      "CREATE TABLE IF NOT EXISTS migrations (collection TEXT PRIMARY KEY, imported_at INTEGER NOT NULL);",
+  )
+
+  log.info(`Using SQLite storage at ${file}`)
+  return database
+}
+
+/**
+ * Open a collection with the configured backend
+ * @param {string} name - Collection name (e.g. "verified", "guild-settings")
+ * @returns {Promise<JsonCollection|SqliteCollection>} Collection with load() and save(entries, keys)
+ */
+export async function openCollection(name) {
+  await fs.mkdir(DATA_DIR, { recursive: true, mode: 0o755 })
+
+  const backend = getBackend()
+
+  if (backend === "sqlite") {
+    const collection = new SqliteCollection(await openDatabase(), name)
+    await collection.importJson()
+    collections.push(collection)
+    return collection
+  }
+
+  if (backend !== "json") {
+    throw new Error(`Unknown storage backend "${backend}" (expected "json" or "sqlite")`)
+  }
+
+  const collection = new JsonCollection(name)
+  collections.push(collection)
+  return collection
+}
+
+/**
+ * Write all pending changes and close the SQLite database if it is open
+ * Called on shutdown
+ */
+export async function closeStorage() {
+  await Promise.all(collections.map((collection) => collection.flush()))
+
+  if (database) {
+    database.close()
+    database = null
+  }
+}
@@ -0,0 +1,150 @@
+/**
+ * Templates Module
+ * Fills placeholders and conditionals in the messages servers write, and validates them before they are saved
+ * Syntax: {placeholder}, and {if:placeholder}shown when it has a value{else}shown otherwise{/if}
+ * @module templates
+ */
+
+/**
+ * Placeholders available in server messages and what they become
+ */
+export const PLACEHOLDERS = {
+  servername: "Server name",
+  username: "Member's username",
+  mention: "Mention of the member",
+  membercount: "Number of members in the server",
+  role: "Name of the verified role",
+  verifiedcount: "Number of members verified through the bot",
+  expires: "When the verification link expires, as a relative time",
+  avatar: "URL of the member's avatar",
+  created: "Creation date of the member's Discord account",
+}
+
+// Text used when a placeholder has no value, others become empty
+const FALLBACKS = { servername: "Server", username: "User", expires: "soon" }
+
+// Discord limits for embed text
+export const EMBED_LIMITS = { title: 256, description: 4096, fieldValue: 1024 }
+
+/**
+ * Shorten text to fit a length limit, ending it with an ellipsis when it was cut
+ * @param {string} text - Text to shorten
+ * @param {number} maxLength - Longest allowed length, including the ellipsis
+ * @returns {string} Text of at most maxLength characters
+ */
+export function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text
+}
+
+// Sample values for the length check, long enough to catch templates that only fit short names
+const SAMPLE_DATA = {
+  serverName: "x".repeat(100),
+  username: "x".repeat(32),
+  userId: "1".repeat(20),
+  memberCount: 1000000,
+  roleName: "x".repeat(100),
+  verifiedCount: 1000000,
+  expiresAt: Date.now(),
+  avatarUrl: `https://cdn.discordapp.com/avatars/${"1".repeat(20)}/${"a".repeat(34)}.webp?size=1024`,
+  createdAt: Date.now(),
+}
+
+const CONDITIONAL = /{if:(\w+)}([\s\S]*?)(?:{else}([\s\S]*?))?{\/if}/g
+
+/**
+ * Format a time as Discord timestamp markdown, shown in each reader's time zone
+ * @param {number} timestamp - Time in milliseconds
+ * @param {string} style - Discord style ("R" relative, "D" date, "f" date and time)
+ * @returns {string} Timestamp markdown
+ */
+export function discordTimestamp(timestamp, style) {
+  return `<t:${Math.floor(timestamp / 1000)}:${style}>`
+}
+
+/**
+ * Get the value of every placeholder
+ * @param {Object} data - Known values (serverName, username, userId, memberCount, roleName, verifiedCount,
+ *   expiresAt, avatarUrl, createdAt); anything missing has no value
+ * @returns {Object} Placeholder values, null when unknown
+ */
+function getValues(data) {
+  const known = (value, format = String) => (value !== undefined && value !== null ? format(value) : null)
+
+  return {
+    servername: known(data.serverName),
+    username: known(data.username),
+    mention: known(data.userId, (id) => `<@${id}>`),
+    membercount: known(data.memberCount),
+    role: known(data.roleName),
+    verifiedcount: known(data.verifiedCount),
+    expires: known(data.expiresAt, (time) => discordTimestamp(time, "R")),
+    avatar: known(data.avatarUrl),
+    created: known(data.createdAt, (time) => discordTimestamp(time, "D")),
+  }
+}
+
+/**
+ * Render a message template
+ * Conditionals keep their first part when the placeholder has a value and the {else} part otherwise
+ * @param {string} text - Template text
+ * @param {Object} data - Placeholder data, see getValues
+ * @returns {string} Rendered text
+ */
+export function renderTemplate(text, data) {
+  const values = getValues(data)
+
+  return text
+    .replace(CONDITIONAL, (match, name, then, otherwise = "") => (values[name] ? then : otherwise))
+    .replace(/{(\w+)}/g, (match, name) => (name in values ? (values[name] ?? FALLBACKS[name] ?? "") : match))
+}
+
+/**
+ * Check a template before it is saved
+ * @param {string} text - Template text
+ * @param {Object} [options] - Checks to apply
+ * @param {number} [options.maxLength] - Longest allowed text, also once placeholders are filled with long sample values
+ * @param {Array<string>} [options.placeholders] - Placeholders the message supports, all of PLACEHOLDERS by default
+ * @param {boolean} [options.conditionals] - Whether {if:...} blocks are supported
+ * @returns {string|null} Why the template is rejected, or null if it is valid
+ */
+export function validateTemplate(
+  text,
+  { maxLength, placeholders = Object.keys(PLACEHOLDERS), conditionals = true } = {},
+) {
+  const list = placeholders.map((name) => `{${name}}`).join(", ")
+  let open = null
+  let hasElse = false
+
+  // Braces around anything other than a name (e.g. "{ }" or JSON) are plain text
+  for (const [, token] of text.matchAll(/{([\w:/]+)}/g)) {
+    if (token.startsWith("if:")) {
+      const name = token.slice(3)
+      if (!conditionals) return "This message does not support {if:...} conditions."
+      if (open) return `{if:${name}} can't be placed inside {if:${open}}.`
+      if (!placeholders.includes(name)) return `Unknown placeholder in {if:${name}}. Available: ${list}.`
+      open = name
+      hasElse = false
+    } else if (token === "else" && conditionals) {
+      if (!open || hasElse) return "{else} must be inside an {if:...} block, once."
+      hasElse = true
+    } else if (token === "/if" && conditionals) {
+      if (!open) return "{/if} without a matching {if:...}."
+      open = null
+    } else if (!placeholders.includes(token)) {
+      return `Unknown placeholder {${token}}. Available: ${list || "none"}.`
+    }
+  }
+
+  if (open) return `{if:${open}} is missing its {/if}.`
+
+  if (maxLength) {
+    if (text.length > maxLength) return `The text is ${text.length} characters long, the limit is ${maxLength}.`
+
+    const rendered = renderTemplate(text, SAMPLE_DATA)
+    if (rendered.length > maxLength) {
+      return `With long names filled in, the text can reach ${rendered.length} characters, the limit is ${maxLength}. Shorten it or use fewer placeholders.`
+    }
+  }
+
+  return null
+}
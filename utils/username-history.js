@@ -0,0 +1,94 @@
+/**
+ * Username History Module
+ * Records the usernames and display names the bot has seen for each user
+ * Shown to moderators when reviewing verification requests
+ * @module username-history
+ */
+
+import { log } from "./logger.js"
+import { openCollection } from "./storage.js"
+
+// Maximum number of names kept per user
+const MAX_ENTRIES = 20
+
+/**
+ * Username history store
+ * Structure: { userId: [{ username, globalName, seenAt }] }
+ */
+class UsernameHistory {
+  constructor() {
+    this.store = new Map()
+    this.storage = null
+    this.initialized = false
+  }
+
+  /**
+   * Initialize the username history store
+   * Loads existing data from storage if available
+   */
+  async init() {
+    if (this.initialized) {
+      return
+    }
+
+    try {
+      this.storage = await openCollection("username-history")
+
+      const data = await this.storage.load()
+      if (data) {
+        this.store = data
+        log.info(`Loaded username history for ${this.store.size} user(s) from storage`)
+      } else {
+        log.info("No existing username history found, starting fresh")
+      }
+
+      this.initialized = true
+    } catch (error) {
+      log.error("Failed to initialize username history", error)
+      throw error
+    }
+  }
+
+  /**
+   * Record the current name of a user if it changed since the last sighting
+   * Accepts both discord.js User objects and raw API user objects
+   * @param {Object} user - User with id, username and globalName/global_name
+   */
+  async record(user) {
+    const username = user.username
+    const globalName = user.globalName ?? user.global_name ?? null
+    const history = this.store.get(user.id) || []
+    const last = history[history.length - 1]
+
+    if (last && last.username === username && last.globalName === globalName) {
+      return
+    }
+
+    history.push({ username, globalName, seenAt: Date.now() })
+    this.store.set(user.id, history.slice(-MAX_ENTRIES))
+    await this.persist([user.id])
+  }
+
+  /**
+   * Get the names seen for a user, oldest first
+   * @param {string} userId - Discord user ID
+   * @returns {Array<Object>} Name history entries
+   */
+  getHistory(userId) {
+    return this.store.get(userId) || []
+  }
+
+  /**
+   * Persist username history to storage
+   * @param {Array<string>} [keys] - User IDs that changed; backends that write per key only save these
+   */
+  async persist(keys) {
+    try {
+      await this.storage.save(this.store, keys)
+    } catch (error) {
+      log.error("Failed to persist username history", error)
+    }
+  }
+}
+
+export const usernameHistory = new UsernameHistory()
@@ -0,0 +1,54 @@
+/**
+ * Verification Events Module
+ * Central event bus for every step and outcome of the verification flow
+ * Listeners (audit log channel, statistics, ...) subscribe to the "event" event
+ * @module verification-events
+ */
+
+import { EventEmitter } from "events"
+
+/**
+ * Verification event types
+ */
+export const VerificationEvent = {
+  BUTTON_CLICKED: "button_clicked",
+  LINK_ISSUED: "link_issued",
+  PAGE_VIEWED: "page_viewed",
+  CALLBACK_RECEIVED: "callback_received",
+  LINK_INVALID: "link_invalid",
+  STATE_MISMATCH: "state_mismatch",
+  EXPIRED: "expired",
+  CAPTCHA_FAILED: "captcha_failed",
+  ID_MISMATCH: "id_mismatch",
+  REQUIREMENT_FAILED: "requirement_failed",
+  OAUTH_ERROR: "oauth_error",
+  REVIEW_REQUESTED: "review_requested",
+  REVIEW_DENIED: "review_denied",
+  REVIEW_BANNED: "review_banned",
+  ROLE_ASSIGNED: "role_assigned",
+  ROLE_FAILED: "role_failed",
+  DEADLINE_KICKED: "deadline_kicked",
+  VERIFICATION_EXPIRED: "verification_expired",
+  UNVERIFIED: "unverified",
+  PENDING_RESET: "pending_reset",
+  RATE_LIMITED: "rate_limited",
+}
+
+/**
+ * Verification event bus
+ * Each emitted event has the shape { type, guildId, userId, timestamp, ...details }
+ * ROLE_FAILED events also carry a code: "guild_missing", "not_configured", "role_missing",
+ * "missing_permissions" or "api_error"
+ */
+class VerificationEvents extends EventEmitter {
+  /**
+   * Record a verification event
+   * @param {string} type - One of VerificationEvent
+   * @param {Object} details - Event details (guildId, userId, reason, ...)
+   */
+  record(type, details) {
+    this.emit("event", { type, timestamp: Date.now(), ...details })
+  }
+}
+
+export const verificationEvents = new VerificationEvents()
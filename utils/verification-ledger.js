@@ -0,0 +1,359 @@
+/**
+ * Verification Ledger Module
+ * Durable record of every completed verification per server
+ * Used for appeals, /verifyhistory and CSV exports
+ * @module verification-ledger
+ */
+
+import { log } from "./logger.js"
+import { openCollection } from "./storage.js"
+import config from "../config.js"
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const CSV_COLUMNS = [
+  "timestamp",
+  "type",
+  "user_id",
+  "username",
+  "global_name",
+  "source",
+  "approved_by",
+  "revoked_by",
+  "policy",
+  "reason",
+]
+
+/**
+ * Escape a value for a CSV cell
+ * Values that spreadsheets would run as formulas are prefixed with a quote
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function csvCell(value) {
+  let text = value === null || value === undefined ? "" : String(value)
+  if (/^[=+\-@]/.test(text)) text = `'${text}`
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Describe which policy checks a verification passed
+ * @param {Object|null} policy - Policy snapshot stored with the entry
+ * @returns {string} Semicolon separated list of checks
+ */
+export function describePolicy(policy) {
+  if (!policy) return ""
+
+  const parts = []
+  if (policy.captcha) parts.push("captcha")
+  parts.push(...(policy.checks || []))
+  if (policy.approval) parts.push("approval")
+  return parts.join(";")
+}
+
+/**
+ * Build the user snapshot stored with a ledger entry from a users/@me response
+ * The email address itself is never stored
+ * @param {Object} discordUser - User object returned by users/@me
+ * @returns {Object} User snapshot
+ */
+export function snapshotUser(discordUser) {
+  return {
+    id: discordUser.id,
+    username: discordUser.username,
+    globalName: discordUser.global_name ?? null,
+    avatar: discordUser.avatar ?? null,
+    mfaEnabled: discordUser.mfa_enabled ?? null,
+    emailVerified: discordUser.verified ?? null,
+  }
+}
+
+/**
+ * Whether an entry is kept however old it is: a user's latest entry and latest verification decide their state,
+ * expiry, restore on rejoin and welcome
+ * @param {Object} entry - Ledger entry
+ * @param {Array<Object>} history - All entries of the entry's user, oldest first
+ * @returns {boolean} True if the entry must be kept
+ */
+function isEssential(entry, history) {
+  return entry === history[history.length - 1] || entry === history.findLast((old) => old.type === "verified")
+}
+
+/**
+ * Verification ledger store
+ * Structure: { guildId: [{ type, userId, timestamp, verifiedAt?, source, user, policy, approvedBy, revokedBy, reason }] }
+ * type is "verified" or "revoked"
+ * Lookups go through an index of each guild's entries by user, built the first time the guild is read
+ */
+class VerificationLedger {
+  constructor() {
+    this.store = new Map()
+    this.storage = null
+    this.initialized = false
+    // Per guild: { userId: entries oldest first } and the number of users whose latest entry is "verified"
+    this.users = new Map()
+    this.verifiedCounts = new Map()
+  }
+
+  /**
+   * Initialize the ledger
+   * Loads existing data from storage if available and drops entries past the retention period
+   */
+  async init() {
+    if (this.initialized) {
+      return
+    }
+
+    try {
+      this.storage = await openCollection("verification-ledger")
+
+      const data = await this.storage.load()
+      if (data) {
+        this.store = data
+        log.info(`Loaded verification ledger for ${this.store.size} server(s) from storage`)
+      } else {
+        log.info("No existing verification ledger found, starting fresh")
+      }
+
+      this.initialized = true
+      await this.prune()
+    } catch (error) {
+      log.error("Failed to initialize verification ledger", error)
+      throw error
+    }
+  }
+
+  /**
+   * Append an entry to a guild's ledger
+   * The user's oldest entries beyond config.ledger.maxEntriesPerUser are dropped
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} entry - Ledger entry (type, userId, source, user, policy, approvedBy, revokedBy, reason)
+   */
+  async record(guildId, entry) {
+    const users = this.getUserIndex(guildId)
+    const history = users.get(entry.userId) || []
+    const wasVerified = history[history.length - 1]?.type === "verified"
+    const stored = { timestamp: Date.now(), ...entry }
+
+    history.push(stored)
+    users.set(entry.userId, history)
+    const entries = this.getEntries(guildId)
+    entries.push(stored)
+    this.store.set(guildId, entries)
+    this.verifiedCounts.set(guildId, this.verifiedCounts.get(guildId) + (entry.type === "verified") - wasVerified)
+
+    const excess = history
+      .filter((old) => !isEssential(old, history))
+      .slice(0, Math.max(0, history.length - config.ledger.maxEntriesPerUser))
+    this.dropEntries(guildId, new Set(excess))
+
+    await this.persist([guildId])
+    log.info(`Recorded ${entry.type} entry for user ${entry.userId} in guild ${guildId} ledger`)
+  }
+
+  /**
+   * Get the index of a guild's entries by user, building it on first use
+   * @param {string} guildId - Discord guild ID
+   * @returns {Map<string, Array<Object>>} Entries of each user, oldest first
+   */
+  getUserIndex(guildId) {
+    if (!this.users.has(guildId)) {
+      const users = new Map()
+
+      for (const entry of this.getEntries(guildId)) {
+        const history = users.get(entry.userId) || []
+        history.push(entry)
+        users.set(entry.userId, history)
+      }
+
+      this.users.set(guildId, users)
+      this.verifiedCounts.set(
+        guildId,
+        [...users.values()].filter((history) => history[history.length - 1].type === "verified").length,
+      )
+    }
+
+    return this.users.get(guildId)
+  }
+
+  /**
+   * Remove entries from a guild's ledger and its index
+   * @param {string} guildId - Discord guild ID
+   * @param {Set<Object>} dropped - Entries to remove
+   */
+  dropEntries(guildId, dropped) {
+    if (dropped.size === 0) return
+
+    this.store.set(
+      guildId,
+      this.getEntries(guildId).filter((entry) => !dropped.has(entry)),
+    )
+    // The latest entry of a user is always kept, so the verified count doesn't change
+    const users = this.getUserIndex(guildId)
+    for (const [userId, history] of users) {
+      users.set(
+        userId,
+        history.filter((entry) => !dropped.has(entry)),
+      )
+    }
+  }
+
+  /**
+   * Drop entries older than config.ledger.retentionDays
+   * Each user's latest entry and latest verification are kept, so their state, expiry and restore on rejoin don't
+   * change
+   */
+  async prune() {
+    const oldest = Date.now() - config.ledger.retentionDays * DAY_MS
+    const changed = []
+
+    for (const guildId of this.store.keys()) {
+      const dropped = new Set()
+
+      for (const history of this.getUserIndex(guildId).values()) {
+        for (const entry of history) {
+          if (entry.timestamp < oldest && !isEssential(entry, history)) dropped.add(entry)
+        }
+      }
+
+      if (dropped.size > 0) {
+        this.dropEntries(guildId, dropped)
+        changed.push(guildId)
+      }
+    }
+
+    if (changed.length > 0) {
+      await this.persist(changed)
+      log.info(`Removed ledger entries older than ${config.ledger.retentionDays} days in ${changed.length} server(s)`)
+    }
+  }
+
+  /**
+   * Get all ledger entries of a guild, oldest first
+   * @param {string} guildId - Discord guild ID
+   * @returns {Array<Object>} Ledger entries
+   */
+  getEntries(guildId) {
+    return this.store.get(guildId) || []
+  }
+
+  /**
+   * Get the ledger entries of one user in a guild, oldest first
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @returns {Array<Object>} Ledger entries
+   */
+  getUserHistory(guildId, userId) {
+    return this.getUserIndex(guildId).get(userId) || []
+  }
+
+  /**
+   * Get the most recent ledger entry of a user in a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @returns {Object|null} Latest entry or null
+   */
+  getLatest(guildId, userId) {
+    const history = this.getUserHistory(guildId, userId)
+    return history[history.length - 1] || null
+  }
+
+  /**
+   * Whether a user's last recorded state in a guild is verified
+   * False once a revocation (ban, manual unverify, ...) was recorded after the verification
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @returns {boolean} True if the user is currently considered verified
+   */
+  isVerified(guildId, userId) {
+    return this.getLatest(guildId, userId)?.type === "verified"
+  }
+
+  /**
+   * Whether a user was ever verified in a guild, including verifications that were revoked or expired since
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @returns {boolean} True if the ledger has a "verified" entry for the user
+   */
+  wasVerified(guildId, userId) {
+    return this.getUserHistory(guildId, userId).some((entry) => entry.type === "verified")
+  }
+
+  /**
+   * Count the members of a guild whose last recorded state is verified
+   * Members verified before the ledger existed are not included
+   * Counted once per guild and then kept up to date by record(), as templates ask for it on every render
+   * @param {string} guildId - Discord guild ID
+   * @returns {number} Number of verified members
+   */
+  countVerified(guildId) {
+    this.getUserIndex(guildId)
+    return this.verifiedCounts.get(guildId)
+  }
+
+  /**
+   * Whether a verification entry is older than the guild's verification lifetime
+   * Restored verifications keep the time of the original verification
+   * @param {Object} entry - "verified" ledger entry
+   * @param {number} lifetimeDays - Verification lifetime in days (0 means verifications never expire)
+   * @param {number} now - Current timestamp
+   * @returns {boolean} True if the verification has expired
+   */
+  isExpired(entry, lifetimeDays, now = Date.now()) {
+    if (!lifetimeDays || lifetimeDays <= 0) return false
+    const verifiedAt = entry.verifiedAt ?? entry.timestamp
+    return now - verifiedAt > lifetimeDays * 24 * 60 * 60 * 1000
+  }
+
+  /**
+   * Get the users of a guild whose current verification has expired
+   * @param {string} guildId - Discord guild ID
+   * @param {number} lifetimeDays - Verification lifetime in days
+   * @returns {Array<Object>} Latest "verified" entry of each expired user
+   */
+  getExpired(guildId, lifetimeDays) {
+    return [...this.getUserIndex(guildId).values()]
+      .map((history) => history[history.length - 1])
+      .filter((entry) => entry.type === "verified" && this.isExpired(entry, lifetimeDays))
+  }
+
+  /**
+   * Export a guild's ledger as CSV
+   * @param {string} guildId - Discord guild ID
+   * @returns {string} CSV content with a header row
+   */
+  toCSV(guildId) {
+    const rows = this.getEntries(guildId).map((entry) =>
+      [
+        new Date(entry.timestamp).toISOString(),
+        entry.type,
+        entry.userId,
+        entry.user?.username,
+        entry.user?.globalName,
+        entry.source,
+        entry.approvedBy,
+        entry.revokedBy,
+        describePolicy(entry.policy),
+        entry.reason,
+      ]
+        .map(csvCell)
+        .join(","),
+    )
+
+    return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n"
+  }
+
+  /**
+   * Persist the ledger to storage
+   * @param {Array<string>} [keys] - Guild IDs that changed; backends that write per key only save these
+   */
+  async persist(keys) {
+    try {
+      await this.storage.save(this.store, keys)
+    } catch (error) {
+      log.error("Failed to persist verification ledger", error)
+    }
+  }
+}
+
+export const verificationLedger = new VerificationLedger()
@@ -0,0 +1,208 @@
+/**
+ * Verification Statistics Module
+ * Counts verification events per guild in daily buckets for /verifystats
+ * @module verification-stats
+ */
+
+import { log } from "./logger.js"
+import { openCollection } from "./storage.js"
+import config from "../config.js"
+import { verificationEvents, VerificationEvent } from "./verification-events.js"
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Funnel steps in order, with the event counted for each
+ */
+export const FUNNEL_STEPS = [
+  { label: "Button clicks", key: VerificationEvent.BUTTON_CLICKED },
+  { label: "Links issued", key: VerificationEvent.LINK_ISSUED },
+  { label: "Page views", key: VerificationEvent.PAGE_VIEWED },
+  { label: "OAuth callbacks", key: VerificationEvent.CALLBACK_RECEIVED },
+  { label: "Role grants", key: VerificationEvent.ROLE_ASSIGNED },
+]
+
+/**
+ * Failure causes, with the counter keys summed for each
+ */
+export const FAILURE_CAUSES = [
+  { label: "Expired", keys: [VerificationEvent.EXPIRED] },
+  { label: "State mismatch", keys: [VerificationEvent.STATE_MISMATCH] },
+  { label: "Invalid link", keys: [VerificationEvent.LINK_INVALID] },
+  { label: "ID mismatch", keys: [VerificationEvent.ID_MISMATCH] },
+  { label: "Captcha", keys: [VerificationEvent.CAPTCHA_FAILED] },
+  { label: "Requirements", keys: [VerificationEvent.REQUIREMENT_FAILED] },
+  {
+    label: "Role missing",
+    keys: ["role_failed:role_missing", "role_failed:not_configured", "role_failed:guild_missing"],
+  },
+  {
+    label: "Discord API error",
+    keys: [VerificationEvent.OAUTH_ERROR, "role_failed:api_error", "role_failed:missing_permissions"],
+  },
+]
+
+/**
+ * Format a timestamp as a UTC day key
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @returns {string} Day in YYYY-MM-DD format
+ */
+function dayKey(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10)
+}
+
+/**
+ * Verification statistics store
+ * Structure: { guildId: { "YYYY-MM-DD": { counterKey: count } } }
+ * Counter keys are event types; role failures are counted as "role_failed:<code>"
+ */
+class VerificationStats {
+  constructor() {
+    this.store = new Map()
+    this.storage = null
+    this.client = null
+    this.initialized = false
+    this.persistTimer = null
+    this.changed = new Set()
+  }
+
+  /**
+   * Initialize the statistics store
+   * Loads existing data from storage and starts counting verification events
+   * @param {Client} client - Discord client, only events of guilds the bot is in are counted
+   */
+  async init(client) {
+    if (this.initialized) {
+      return
+    }
+
+    this.client = client
+
+    try {
+      this.storage = await openCollection("verification-stats")
+
+      const data = await this.storage.load()
+      if (data) {
+        this.store = data
+        log.info(`Loaded verification statistics for ${this.store.size} server(s) from storage`)
+      } else {
+        log.info("No existing verification statistics found, starting fresh")
+      }
+
+      verificationEvents.on("event", (event) => this.count(event))
+
+      this.initialized = true
+    } catch (error) {
+      log.error("Failed to initialize verification statistics", error)
+      throw error
+    }
+  }
+
+  /**
+   * Count one verification event in today's bucket
+   * Events for guilds the bot is not in are ignored, so the stored buckets can't grow without bound
+   * @param {Object} event - Verification event
+   */
+  count(event) {
+    if (!event.guildId || !this.client.guilds.cache.has(event.guildId)) return
+
+    const key = event.type === VerificationEvent.ROLE_FAILED ? `${event.type}:${event.code}` : event.type
+    const days = this.store.get(event.guildId) || {}
+    const bucket = days[dayKey(event.timestamp)] || {}
+
+    bucket[key] = (bucket[key] || 0) + 1
+    days[dayKey(event.timestamp)] = bucket
+    this.store.set(event.guildId, days)
+    this.changed.add(event.guildId)
+
+    this.schedulePersist()
+  }
+
+  /**
+   * Get the daily buckets of a guild for the last few days, oldest first
+   * Days without events are included as empty buckets
+   * @param {string} guildId - Discord guild ID
+   * @param {number} days - Number of days including today
+   * @returns {Array<{day: string, counts: Object}>} Daily buckets
+   */
+  getDaily(guildId, days) {
+    const stored = this.store.get(guildId) || {}
+    const result = []
+
+    for (let i = days - 1; i >= 0; i--) {
+      const day = dayKey(Date.now() - i * DAY_MS)
+      result.push({ day, counts: stored[day] || {} })
+    }
+
+    return result
+  }
+
+  /**
+   * Sum counters over daily buckets
+   * @param {Array<{counts: Object}>} daily - Daily buckets from getDaily
+   * @returns {Object} Total per counter key
+   */
+  sum(daily) {
+    const totals = {}
+
+    for (const { counts } of daily) {
+      for (const [key, value] of Object.entries(counts)) {
+        totals[key] = (totals[key] || 0) + value
+      }
+    }
+
+    return totals
+  }
+
+  /**
+   * Drop buckets older than the retention period
+   * @param {Array<string>} guildIds - Guilds to prune
+   */
+  prune(guildIds) {
+    const oldest = dayKey(Date.now() - (config.stats.retentionDays - 1) * DAY_MS)
+
+    for (const guildId of guildIds) {
+      const days = this.store.get(guildId) || {}
+      for (const day of Object.keys(days)) {
+        if (day < oldest) delete days[day]
+      }
+    }
+  }
+
+  /**
+   * Persist statistics shortly after the last change
+   * Batches the many small updates of busy servers into one write
+   */
+  schedulePersist() {
+    if (this.persistTimer) return
+
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null
+      this.persist()
+    }, config.stats.persistDelay)
+  }
+
+  /**
+   * Persist the guilds changed since the last write to storage
+   */
+  async persist() {
+    if (this.persistTimer) {
+      clearTimeout(this.persistTimer)
+      this.persistTimer = null
+    }
+
+    if (this.changed.size === 0) return
+
+    const guildIds = [...this.changed]
+    this.changed.clear()
+
+    try {
+      this.prune(guildIds)
+      await this.storage.save(this.store, guildIds)
+    } catch (error) {
+      log.error("Failed to persist verification statistics", error)
+    }
+  }
+}
+
+export const verificationStats = new VerificationStats()
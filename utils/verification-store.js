@@ -1,30 +1,45 @@
 /**
  * Verification Store Module
  * Manages temporary verification states and pending verifications
- * Uses in-memory storage with file persistence as fallback
+ * Uses in-memory storage persisted through the configured storage backend
  * @module verification-store
  */
 
-import fs from "fs/promises"
-import path from "path"
+import crypto from "crypto"
 import { log } from "./logger.js"
+import { openCollection } from "./storage.js"
+import { createStateToken, parseStateToken, checkStateToken } from "./state-token.js"
 
-const DATA_DIR = path.resolve(process.cwd(), "data")
-const VERIFICATION_FILE = path.join(DATA_DIR, "verified.json")
+/**
+ * Build the store key of a pending verification
+ * A user can verify in several guilds at once, each with its own link
+ * @param {string} userId - Discord user ID
+ * @param {string} guildId - Discord guild ID
+ * @returns {string} Store key
+ */
+function pendingKey(userId, guildId) {
+  return `${guildId}:${userId}`
+}
 
 /**
  * In-memory verification store
- * Structure: { userId: { guildId, timestamp, state } }
+ * Structure: { "guildId:userId": { userId, guildId, timestamp, expiresAt, state, consumedAt, correlationId, locale,
+ *   captchaAnswer?, captchaAttempts?, captchaPassed? } }
+ * state is the random ID of the link's signed token; tokens maps it back to the store key
+ * correlationId follows the verification through the logs from the button click to the role assignment
+ * locale is the Discord locale of the member who clicked Verify, used for the web pages and the success DM
  */
 class VerificationStore {
   constructor() {
     this.store = new Map()
+    this.tokens = new Map()
+    this.storage = null
     this.initialized = false
   }
 
   /**
    * Initialize the verification store
-   * Loads existing data from file if available
+   * Loads existing data from storage if available
    */
   async init() {
     if (this.initialized) {
@@ -32,108 +47,249 @@ class VerificationStore {
     }
 
     try {
-      await fs.mkdir(DATA_DIR, { recursive: true, mode: 0o755 })
+      this.storage = await openCollection("verified")
 
-      // Try to load existing data
-      try {
-        const data = await fs.readFile(VERIFICATION_FILE, "utf-8")
-        const parsed = JSON.parse(data)
-        this.store = new Map(Object.entries(parsed))
+      // Load existing data; a corrupt file fails here instead of being discarded
+      const data = await this.storage.load()
+      if (data) {
+        this.store = data
+        for (const [key, entry] of this.store) {
+          this.tokens.set(entry.state, key)
+        }
         log.info(`Loaded ${this.store.size} pending verifications from storage`)
-      } catch (error) {
-        // File doesn't exist yet, that's okay
+      } else {
+        // Nothing stored yet, that's okay
         log.info("No existing verification data found, starting fresh")
       }
 
       this.initialized = true
     } catch (error) {
       log.error("Failed to initialize verification store", error)
+      throw error
     }
   }
 
   /**
    * Add a pending verification
+   * Replaces any pending verification of the user in the same guild, so older links stop working
    * @param {string} userId - Discord user ID
    * @param {string} guildId - Discord guild ID
-   * @param {string} state - OAuth2 state parameter for security
+   * @param {number} lifetime - Time until the link expires, in milliseconds
+   * @param {string} [correlationId] - ID of the verification in the logs, a new one by default
+   * @param {string|null} [locale] - Member's Discord locale, null when unknown (links created through the API)
+   * @returns {Promise<{token: string, expiresAt: number}>} Signed state token for the verification link and the
+   *   OAuth2 state, and when it expires
    */
-  async addPending(userId, guildId, state) {
-    this.store.set(userId, {
-      guildId,
-      state,
-      timestamp: Date.now(),
-    })
-    await this.persist()
-    log.info(`Added and persisted pending verification for user ${userId} in guild ${guildId}`)
+  async addPending(userId, guildId, lifetime, correlationId = crypto.randomUUID(), locale = null) {
+    const key = pendingKey(userId, guildId)
+    const timestamp = Date.now()
+    const data = { userId, guildId, timestamp, expiresAt: timestamp + lifetime }
+    const { id, token } = createStateToken(data)
+
+    const previous = this.store.get(key)
+    if (previous) {
+      this.tokens.delete(previous.state)
+    }
+
+    this.store.set(key, { ...data, state: id, consumedAt: null, correlationId, locale })
+    this.tokens.set(id, key)
+    await this.persist([key])
+    log.info("Added and persisted pending verification", { userId, guildId, correlationId })
+    return { token, expiresAt: data.expiresAt }
   }
 
   /**
-   * Verify a user and retrieve their data
+   * Find the pending verification a state token points to
+   * @param {string} token - State token from a link or the OAuth2 state
+   * @returns {{key?: string, data?: Object, reason?: string}} Store key and entry, or why the token is unusable
+   *   ("not_found", "state_mismatch", "consumed" or "expired"); data is included whenever the entry exists
+   */
+  lookup(token) {
+    const parts = parseStateToken(token)
+    const key = parts ? this.tokens.get(parts.id) : null
+    const data = key ? this.store.get(key) : null
+
+    if (!data) {
+      return { reason: "not_found" }
+    }
+
+    // Verify the signature for security (prevents forged or altered states)
+    if (!checkStateToken(parts, data)) {
+      return { data, reason: "state_mismatch" }
+    }
+
+    if (data.consumedAt) {
+      return { data, reason: "consumed" }
+    }
+
+    if (Date.now() > data.expiresAt) {
+      return { key, data, reason: "expired" }
+    }
+
+    return { key, data }
+  }
+
+  /**
+   * Look up a pending verification without consuming it
+   * @param {string} token - State token from the verification link
+   * @returns {Object|null} Pending verification data or null if unknown, forged, used or expired
+   */
+  getPending(token) {
+    const { data, reason } = this.lookup(token)
+    return reason ? null : data
+  }
+
+  /**
+   * Look up the usable pending verification of a user in a guild
+   * @param {string} userId - Discord user ID
+   * @param {string} guildId - Discord guild ID
+   * @returns {Object|null} Pending verification data or null if there is none, or it was used or expired
+   */
+  getPendingFor(userId, guildId) {
+    const data = this.store.get(pendingKey(userId, guildId))
+    return data && !data.consumedAt && Date.now() <= data.expiresAt ? data : null
+  }
+
+  /**
+   * Count pending verifications whose link can still be used
+   * @returns {number} Number of unused, unexpired links
+   */
+  countPending() {
+    const now = Date.now()
+    let count = 0
+
+    for (const data of this.store.values()) {
+      if (!data.consumedAt && now <= data.expiresAt) count++
+    }
+
+    return count
+  }
+
+  /**
+   * Update fields of a pending verification (e.g. captcha progress)
    * @param {string} userId - Discord user ID
-   * @param {string} state - OAuth2 state parameter to verify
-   * @returns {Object|null} Verification data or null if invalid
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} changes - Fields to merge into the pending entry
+   */
+  async updatePending(userId, guildId, changes) {
+    const key = pendingKey(userId, guildId)
+    const data = this.store.get(key)
+
+    if (!data) {
+      return
+    }
+
+    this.store.set(key, { ...data, ...changes })
+    await this.persist([key])
+  }
+
+  /**
+   * Remove a pending verification
+   * @param {string} userId - Discord user ID
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<boolean>} True if a pending verification was removed
    */
-  async verify(userId, state) {
-    const data = this.store.get(userId)
+  async remove(userId, guildId) {
+    const key = pendingKey(userId, guildId)
+    const data = this.store.get(key)
 
     if (!data) {
-      log.warn(`No pending verification found for user ${userId}`)
-      return null
+      return false
+    }
+
+    this.store.delete(key)
+    this.tokens.delete(data.state)
+    await this.persist([key])
+    log.info("Removed pending verification", { userId, guildId, correlationId: data.correlationId })
+    return true
+  }
+
+  /**
+   * Clear a user's pending verification in a guild so they can start over
+   * @param {string} userId - Discord user ID
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<boolean>} True if a pending verification was cleared
+   */
+  async reset(userId, guildId) {
+    return this.remove(userId, guildId)
+  }
+
+  /**
+   * Verify a user and retrieve their data
+   * Each token can be consumed once; it is marked used before any await, so racing callbacks
+   * for the same token cannot both succeed
+   * @param {string} token - State token returned by Discord in the OAuth2 callback
+   * @returns {Promise<{valid: boolean, data?: Object, reason?: string}>} Verification data, or why it was rejected
+   *   ("not_found", "state_mismatch", "consumed" or "expired"); data is included when the token matched an entry
+   */
+  async verify(token) {
+    const { key, data, reason } = this.lookup(token)
+
+    if (reason === "not_found") {
+      log.warn("No pending verification found for callback state")
+      return { valid: false, reason }
+    }
+
+    const { userId, guildId, correlationId } = data
+    const fields = { userId, guildId, correlationId }
+
+    if (reason === "state_mismatch") {
+      log.warn("Invalid state signature - possible CSRF attempt", fields)
+      return { valid: false, data, reason }
     }
 
-    // Verify state matches for security (prevents CSRF attacks)
-    if (data.state !== state) {
-      log.warn(`State mismatch for user ${userId} - possible CSRF attempt`)
-      return null
+    if (reason === "consumed") {
+      log.warn("Verification link was already used", fields)
+      return { valid: false, data, reason }
     }
 
-    // Check if verification expired (5 minutes timeout)
-    const expirationTime = 5 * 60 * 1000 // 5 minutes
-    if (Date.now() - data.timestamp > expirationTime) {
-      log.warn(`Verification expired for user ${userId}`)
-      this.store.delete(userId)
-      await this.persist()
-      return null
+    if (reason === "expired") {
+      log.warn("Verification expired", fields)
+      this.store.delete(key)
+      this.tokens.delete(data.state)
+      await this.persist([key])
+      return { valid: false, data, reason }
     }
 
-    // Remove from store after successful verification
-    this.store.delete(userId)
-    await this.persist()
+    // Mark as used; the entry is kept until it expires so replays are reported as such
+    data.consumedAt = Date.now()
+    await this.persist([key])
 
-    log.success(`Verified user ${userId} in guild ${data.guildId}`)
-    return data
+    log.success("Verification link consumed", fields)
+    return { valid: true, data }
   }
 
   /**
    * Clean up expired verifications
    * Called periodically to prevent memory leaks
+   * Also drops entries stored by older versions, which had no expiry or were keyed by user ID only
    */
   async cleanup() {
-    const expirationTime = 5 * 60 * 1000 // 5 minutes
     const now = Date.now()
-    let cleaned = 0
+    const cleaned = []
 
-    for (const [userId, data] of this.store.entries()) {
-      if (now - data.timestamp > expirationTime) {
-        this.store.delete(userId)
-        cleaned++
+    for (const [key, data] of this.store.entries()) {
+      if (!(now <= data.expiresAt) || key !== pendingKey(data.userId, data.guildId)) {
+        this.store.delete(key)
+        this.tokens.delete(data.state)
+        cleaned.push(key)
       }
     }
 
-    if (cleaned > 0) {
-      await this.persist()
-      log.info(`Cleaned up ${cleaned} expired verification(s)`)
+    if (cleaned.length > 0) {
+      await this.persist(cleaned)
+      log.info(`Cleaned up ${cleaned.length} expired verification(s)`)
     }
   }
 
   /**
-   * Persist verification data to file
+   * Persist verification data to storage
    * Ensures data survives bot restarts
+   * @param {Array<string>} [keys] - Keys ("guildId:userId") that changed; backends that write per key only save these
    */
-  async persist() {
+  async persist(keys) {
     try {
-      const data = Object.fromEntries(this.store)
-      await fs.writeFile(VERIFICATION_FILE, JSON.stringify(data, null, 2))
+      await this.storage.save(this.store, keys)
     } catch (error) {
       log.error("Failed to persist verification data", error)
     }
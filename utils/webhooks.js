@@ -0,0 +1,528 @@
+/**
+ * Webhooks Module
+ * Sends signed JSON events to URLs configured per server when members verify or fail to verify
+ * Deliveries go through a durable queue and are retried with exponential backoff
+ * @module webhooks
+ */
+
+import crypto from "crypto"
+import dns from "dns"
+import http from "http"
+import https from "https"
+import net from "net"
+import axios from "axios"
+import { log } from "./logger.js"
+import { openCollection } from "./storage.js"
+import { verificationEvents, VerificationEvent } from "./verification-events.js"
+import config from "../config.js"
+
+/**
+ * Event types sent to webhooks, by subscription
+ * "verified" covers successful verifications and removals, "failed" every way a verification can fail
+ */
+export const WEBHOOK_EVENT_GROUPS = {
+  verified: [VerificationEvent.ROLE_ASSIGNED, VerificationEvent.UNVERIFIED, VerificationEvent.VERIFICATION_EXPIRED],
+  failed: [
+    VerificationEvent.LINK_INVALID,
+    VerificationEvent.STATE_MISMATCH,
+    VerificationEvent.EXPIRED,
+    VerificationEvent.CAPTCHA_FAILED,
+    VerificationEvent.ID_MISMATCH,
+    VerificationEvent.REQUIREMENT_FAILED,
+    VerificationEvent.OAUTH_ERROR,
+    VerificationEvent.REVIEW_DENIED,
+    VerificationEvent.REVIEW_BANNED,
+    VerificationEvent.ROLE_FAILED,
+  ],
+}
+
+/**
+ * Addresses webhooks may not reach: unspecified, loopback, private, shared (CGNAT), link-local, unique-local,
+ * multicast and reserved ranges. Keeps server admins from probing the bot's own host and network
+ */
+const BLOCKED_ADDRESSES = new net.BlockList()
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["224.0.0.0", 3],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4")
+}
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6")
+}
+
+const BLOCKED_TARGET = "The URL points to a local or private network address"
+
+/**
+ * Whether an IP address is outside the public internet, see BLOCKED_ADDRESSES
+ * IPv4 addresses mapped into IPv6 (::ffff:127.0.0.1) are checked as IPv4
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if webhooks may not be sent to it
+ */
+export function isBlockedAddress(address) {
+  const family = net.isIP(address)
+  if (!family) return true
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? "ipv4" : "ipv6")
+}
+
+/**
+ * DNS lookup for webhook requests that fails for blocked addresses
+ * Used by the request agents, so the address checked is the one connected to, even if DNS changes after
+ * validateWebhookTarget (DNS rebinding)
+ */
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error)
+
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(Object.assign(new Error(`${hostname} resolves to a blocked address`), { code: "EBLOCKED" }))
+    }
+    if (options.all) return callback(null, addresses)
+    callback(null, addresses[0].address, addresses[0].family)
+  })
+}
+
+const httpAgent = new http.Agent({ lookup: guardedLookup })
+const httpsAgent = new https.Agent({ lookup: guardedLookup })
+
+/**
+ * Sign a webhook body
+ * Receivers recompute HMAC-SHA256 over "<timestamp>.<body>" with the webhook secret and compare it
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time in seconds, sent as X-Verification-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature header value ("sha256=<hex>")
+ */
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`
+}
+
+/**
+ * Whether a webhook URL can be used
+ * @param {string} url - Webhook URL
+ * @returns {boolean} True for absolute http(s) URLs
+ */
+export function isValidWebhookUrl(url) {
+  try {
+    return ["http:", "https:"].includes(new URL(url).protocol)
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Check that a webhook URL resolves to public addresses only
+ * Run before every request; IP literals are checked here because the agents don't look them up
+ * @param {string} url - Webhook URL
+ * @returns {Promise<string|null>} Why the URL can't be used, or null if it may be requested
+ */
+export async function validateWebhookTarget(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "")
+
+  let addresses
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true })
+  } catch {
+    return "The URL's host name could not be resolved"
+  }
+
+  return addresses.some(({ address }) => isBlockedAddress(address)) ? BLOCKED_TARGET : null
+}
+
+/**
+ * Whether a webhook receives an event type
+ * @param {Object} webhook - Webhook
+ * @param {string} type - Verification event type
+ * @returns {boolean} True if the webhook's subscription includes the type
+ */
+function subscribesTo(webhook, type) {
+  const groups = webhook.events === "all" ? Object.values(WEBHOOK_EVENT_GROUPS) : [WEBHOOK_EVENT_GROUPS[webhook.events]]
+  return groups.some((types) => types?.includes(type))
+}
+
+/**
+ * Webhook store and delivery queue
+ * Endpoints: { guildId: [{ id, url, secret, events, createdBy, createdAt }] }, events is "all", "verified" or "failed"
+ * Queue: { deliveryId: { id, guildId, webhookId, event, body, attempts, nextAttemptAt, createdAt, lastError } }
+ */
+class Webhooks {
+  constructor() {
+    this.store = new Map()
+    this.queue = new Map()
+    this.storage = null
+    this.queueStorage = null
+    this.processing = false
+    this.initialized = false
+  }
+
+  /**
+   * Initialize the webhook store
+   * Loads endpoints and undelivered events, and starts queueing verification events
+   */
+  async init() {
+    if (this.initialized) {
+      return
+    }
+
+    try {
+      this.storage = await openCollection("webhooks")
+      this.queueStorage = await openCollection("webhook-queue")
+
+      const data = await this.storage.load()
+      if (data) {
+        this.store = data
+        log.info(`Loaded webhooks for ${this.store.size} server(s) from storage`)
+      } else {
+        log.info("No existing webhooks found, starting fresh")
+      }
+
+      const queued = await this.queueStorage.load()
+      if (queued) {
+        this.queue = queued
+        log.info(`Loaded ${this.queue.size} undelivered webhook event(s) from storage`)
+      }
+
+      verificationEvents.on("event", (event) => this.enqueue(event))
+
+      this.initialized = true
+    } catch (error) {
+      log.error("Failed to initialize webhooks", error)
+      throw error
+    }
+  }
+
+  /**
+   * Add a webhook to a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string} url - URL receiving the events
+   * @param {string} events - Subscription: "all", "verified" or "failed"
+   * @param {string} createdBy - Discord user ID of the admin who added the webhook
+   * @returns {Promise<Object>} The new webhook, including its signing secret
+   */
+  async add(guildId, url, events, createdBy) {
+    const webhook = {
+      id: crypto.randomBytes(4).toString("hex"),
+      url,
+      secret: `whsec_${crypto.randomBytes(32).toString("base64url")}`,
+      events,
+      createdBy,
+      createdAt: Date.now(),
+    }
+
+    this.store.set(guildId, [...this.list(guildId), webhook])
+    await this.persist([guildId])
+    log.info(`Added webhook ${webhook.id} for guild ${guildId}`)
+    return webhook
+  }
+
+  /**
+   * Get the webhooks of a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Array<Object>} Webhooks
+   */
+  list(guildId) {
+    return this.store.get(guildId) || []
+  }
+
+  /**
+   * Get one webhook of a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string} id - Webhook ID
+   * @returns {Object|null} Webhook or null
+   */
+  get(guildId, id) {
+    return this.list(guildId).find((webhook) => webhook.id === id) || null
+  }
+
+  /**
+   * Remove a webhook and drop its undelivered events
+   * @param {string} guildId - Discord guild ID
+   * @param {string} id - Webhook ID
+   * @returns {Promise<boolean>} True if the webhook existed
+   */
+  async remove(guildId, id) {
+    const remaining = this.list(guildId).filter((webhook) => webhook.id !== id)
+
+    if (remaining.length === this.list(guildId).length) {
+      return false
+    }
+
+    if (remaining.length > 0) {
+      this.store.set(guildId, remaining)
+    } else {
+      this.store.delete(guildId)
+    }
+    await this.persist([guildId])
+
+    const dropped = [...this.queue.values()].filter((delivery) => delivery.webhookId === id).map(({ id }) => id)
+    for (const deliveryId of dropped) {
+      this.queue.delete(deliveryId)
+    }
+    if (dropped.length > 0) {
+      await this.persistQueue(dropped)
+    }
+
+    log.info(`Removed webhook ${id} of guild ${guildId}`)
+    return true
+  }
+
+  /**
+   * Queue a verification event for every webhook of its guild that subscribed to it
+   * @param {Object} event - Verification event
+   */
+  async enqueue(event) {
+    if (!event.guildId) return
+
+    const subscribers = this.list(event.guildId).filter((webhook) => subscribesTo(webhook, event.type))
+    if (subscribers.length === 0) return
+
+    const changed = []
+
+    for (const webhook of subscribers) {
+      const delivery = this.createDelivery(webhook, event)
+      this.queue.set(delivery.id, delivery)
+      changed.push(delivery.id, ...this.trimQueue(webhook))
+    }
+
+    await this.persistQueue(changed)
+    this.processQueue()
+  }
+
+  /**
+   * Drop the oldest deliveries of a webhook beyond config.webhooks.maxQueued
+   * Keeps a receiver that is down for long from filling the queue
+   * @param {Object} webhook - Webhook that just got a delivery
+   * @returns {Array<string>} IDs of the dropped deliveries
+   */
+  trimQueue(webhook) {
+    const queued = [...this.queue.values()].filter((delivery) => delivery.webhookId === webhook.id)
+    const dropped = queued
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .slice(0, Math.max(0, queued.length - config.webhooks.maxQueued))
+      .map(({ id }) => id)
+
+    for (const deliveryId of dropped) {
+      this.queue.delete(deliveryId)
+    }
+    if (dropped.length > 0) {
+      log.warn(`Dropped ${dropped.length} undelivered event(s) of webhook ${webhook.id}, it has too many queued`)
+    }
+
+    return dropped
+  }
+
+  /**
+   * Build a delivery for a webhook
+   * The body is serialized once so every retry carries the same payload
+   * @param {Object} webhook - Target webhook
+   * @param {Object} event - Verification event ({ type, guildId, userId, timestamp, ...details })
+   * @returns {Object} Queue entry
+   */
+  createDelivery(webhook, event) {
+    const { type, timestamp, guildId, userId, ...data } = event
+    const id = crypto.randomUUID()
+
+    return {
+      id,
+      guildId,
+      webhookId: webhook.id,
+      event: type,
+      body: JSON.stringify({
+        id,
+        type,
+        guildId,
+        userId: userId ?? null,
+        timestamp: new Date(timestamp).toISOString(),
+        data,
+      }),
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      createdAt: Date.now(),
+      lastError: null,
+    }
+  }
+
+  /**
+   * POST a delivery to its webhook
+   * Targets on local or private addresses are refused without a request
+   * @param {Object} webhook - Target webhook
+   * @param {Object} delivery - Queue entry or test delivery
+   * @returns {Promise<{ok: boolean, status?: number, error?: string, blocked?: boolean}>} Outcome of the request
+   */
+  async send(webhook, delivery) {
+    const timestamp = Math.floor(Date.now() / 1000)
+
+    const targetError = await validateWebhookTarget(webhook.url)
+    if (targetError) {
+      return { ok: false, error: targetError, blocked: true }
+    }
+
+    try {
+      const response = await axios.post(webhook.url, delivery.body, {
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "discord-verification-bot-webhooks",
+          "X-Verification-Event": delivery.event,
+          "X-Verification-Delivery": delivery.id,
+          "X-Verification-Timestamp": String(timestamp),
+          "X-Verification-Signature": signPayload(webhook.secret, timestamp, delivery.body),
+        },
+        timeout: config.webhooks.timeout,
+        maxRedirects: 0,
+        httpAgent,
+        httpsAgent,
+        proxy: false,
+        validateStatus: () => true,
+      })
+
+      return response.status >= 200 && response.status < 300
+        ? { ok: true, status: response.status }
+        : { ok: false, status: response.status, error: `HTTP ${response.status}` }
+    } catch (error) {
+      if (error.code === "EBLOCKED") {
+        return { ok: false, error: BLOCKED_TARGET, blocked: true }
+      }
+      return { ok: false, error: error.code || error.message }
+    }
+  }
+
+  /**
+   * Send a test event to a webhook right away, outside the queue
+   * Network errors are logged but only reported as unreachable, so the test can't be used to scan hosts
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} webhook - Target webhook
+   * @param {string} userId - Discord user ID of the admin who asked for the test
+   * @returns {Promise<{ok: boolean, status?: number, error?: string}>} Outcome, error is safe to show the admin
+   */
+  async sendTest(guildId, webhook, userId) {
+    const delivery = this.createDelivery(webhook, {
+      type: "test",
+      guildId,
+      userId,
+      timestamp: Date.now(),
+      reason: "Test delivery from /verifywebhook test",
+    })
+
+    const result = await this.send(webhook, delivery)
+
+    if (result.ok || result.status || result.blocked) {
+      return result
+    }
+    log.warn(`Test delivery to webhook ${webhook.id} of guild ${guildId} failed (${result.error})`)
+    return { ok: false, error: "The receiver could not be reached" }
+  }
+
+  /**
+   * Send every delivery that is due
+   * Webhooks are served side by side, up to config.webhooks.concurrency at once, so a slow receiver doesn't hold up
+   * the others. Each webhook gets its deliveries one at a time, and after a failure the rest wait for the next pass
+   * Failed deliveries are retried with exponential backoff until config.webhooks.maxAttempts is reached
+   */
+  async processQueue() {
+    if (this.processing) return
+    this.processing = true
+
+    try {
+      const now = Date.now()
+      const due = new Map()
+
+      for (const delivery of this.queue.values()) {
+        if (delivery.nextAttemptAt > now) continue
+        const key = `${delivery.guildId}:${delivery.webhookId}`
+        due.set(key, [...(due.get(key) || []), delivery])
+      }
+
+      const batches = [...due.values()]
+      const worker = async () => {
+        while (batches.length > 0) {
+          await this.deliverBatch(batches.shift())
+        }
+      }
+
+      await Promise.all(Array.from({ length: Math.min(config.webhooks.concurrency, batches.length) }, worker))
+    } finally {
+      this.processing = false
+    }
+  }
+
+  /**
+   * Send the due deliveries of one webhook, oldest first
+   * Stops at the first failure, the remaining deliveries are tried again on the next pass
+   * @param {Array<Object>} deliveries - Due queue entries of one webhook
+   */
+  async deliverBatch(deliveries) {
+    for (const delivery of deliveries) {
+      const webhook = this.get(delivery.guildId, delivery.webhookId)
+
+      if (!webhook) {
+        this.queue.delete(delivery.id)
+        await this.persistQueue([delivery.id])
+        continue
+      }
+
+      // Dropped while an earlier delivery was being sent, e.g. by the per-webhook limit
+      if (!this.queue.has(delivery.id)) continue
+
+      const result = await this.send(webhook, delivery)
+      delivery.attempts++
+
+      if (result.ok) {
+        this.queue.delete(delivery.id)
+        log.info(`Delivered ${delivery.event} event to webhook ${webhook.id} of guild ${delivery.guildId}`)
+      } else if (delivery.attempts >= config.webhooks.maxAttempts) {
+        this.queue.delete(delivery.id)
+        log.error(
+          `Gave up delivering ${delivery.event} event to webhook ${webhook.id} of guild ${delivery.guildId} after ${delivery.attempts} attempts (${result.error})`,
+        )
+      } else {
+        const delay = Math.min(config.webhooks.retryDelay * 2 ** (delivery.attempts - 1), config.webhooks.maxRetryDelay)
+        delivery.nextAttemptAt = Date.now() + delay
+        delivery.lastError = result.error
+        log.warn(
+          `Webhook ${webhook.id} of guild ${delivery.guildId} failed (${result.error}), retry ${delivery.attempts} in ${Math.round(delay / 1000)}s`,
+        )
+      }
+
+      await this.persistQueue([delivery.id])
+      if (!result.ok) return
+    }
+  }
+
+  /**
+   * Persist webhooks to storage
+   * @param {Array<string>} [keys] - Guild IDs that changed; backends that write per key only save these
+   */
+  async persist(keys) {
+    try {
+      await this.storage.save(this.store, keys)
+    } catch (error) {
+      log.error("Failed to persist webhooks", error)
+    }
+  }
+
+  /**
+   * Persist the delivery queue to storage
+   * @param {Array<string>} [keys] - Delivery IDs that changed; backends that write per key only save these
+   */
+  async persistQueue(keys) {
+    try {
+      await this.queueStorage.save(this.queue, keys)
+    } catch (error) {
+      log.error("Failed to persist webhook queue", error)
+    }
+  }
+}
+
+export const webhooks = new Webhooks()
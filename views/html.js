@@ -0,0 +1,92 @@
+/**
+ * HTML Module
+ * Builds HTML with every interpolated value escaped unless it was marked as markup
+ * Values from Discord, translations and server settings can't inject tags or attributes into a page
+ * @module views/html
+ */
+
+/**
+ * Markup that is inserted as it is
+ * Created by the html tag and raw(), never from text typed by members or servers
+ */
+export class SafeHtml {
+  constructor(value) {
+    this.value = value
+  }
+
+  toString() {
+    return this.value
+  }
+}
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+}
+
+/**
+ * Mark trusted markup so it is not escaped, e.g. a stylesheet
+ * @param {string} value - Markup
+ * @returns {SafeHtml} Markup
+ */
+export function raw(value) {
+  return new SafeHtml(value)
+}
+
+/**
+ * Turn a value into markup
+ * Arrays are joined, null, undefined and false give nothing, everything else is escaped
+ * @param {*} value - Interpolated value
+ * @returns {string} Markup
+ */
+function render(value) {
+  if (value instanceof SafeHtml) return value.value
+  if (Array.isArray(value)) return value.map(render).join("")
+  if (value === null || value === undefined || value === false) return ""
+  return escapeHtml(value)
+}
+
+/**
+ * Template tag for HTML
+ * Usage: html`<p class="x">${text}</p>` escapes text, nested html`` results are kept as markup
+ * @returns {SafeHtml} Markup
+ */
+export function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((result, string, i) => result + render(values[i - 1]) + string))
+}
+
+/**
+ * Keep the line breaks of text, which is escaped unless it is already markup
+ * @param {string|SafeHtml} text - Plain text or markup
+ * @returns {SafeHtml} Markup with <br> for each line break
+ */
+export function multiline(text) {
+  return raw(render(text).replace(/\r?\n/g, "<br>"))
+}
+
+/**
+ * Translate a message for a page
+ * The message text is escaped before its {placeholders} are filled, so params can be markup
+ * (e.g. a highlighted name) while plain params are escaped like everything else
+ * @param {Function} t - Translate function, see getTranslator
+ * @param {string} key - Message key
+ * @param {Object} [params] - Placeholder values by name, strings or SafeHtml
+ * @param {string|null} [fallback] - Server's own text, see getTranslator
+ * @returns {SafeHtml} Markup
+ */
+export function translate(t, key, params = {}, fallback = null) {
+  return raw(
+    escapeHtml(t(key, {}, fallback)).replace(/{(\w+)}/g, (match, name) =>
+      params[name] !== undefined ? render(params[name]) : match,
+    ),
+  )
+}
@@ -0,0 +1,290 @@
+/**
+ * Page Layout Module
+ * Shared document and stylesheet of the verification pages, themed with the server's accent color
+ * @module views/layout
+ */
+
+import { html, raw } from "./html.js"
+
+// Theme used when the server has not set an accent color
+const DEFAULT_THEME = {
+  accent: "#5865F2",
+  accentHover: "#4752C4",
+  background: "linear-gradient(135deg, #667eea 0%, #764ba2 100%)",
+}
+
+/**
+ * Branding of a page when the server is unknown, e.g. on an invalid link
+ */
+export const DEFAULT_BRANDING = {
+  serverName: "Server",
+  iconUrl: null,
+  accentColor: null,
+  headline: null,
+  body: null,
+  rules: null,
+  channelName: null,
+  channelUrl: null,
+}
+
+const STYLES = `
+  * {
+    margin: 0;
+    padding: 0;
+    box-sizing: border-box;
+  }
+  body {
+    font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+    background: var(--background);
+    min-height: 100vh;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    padding: 20px;
+  }
+  .container {
+    background: white;
+    padding: 50px 40px;
+    border-radius: 20px;
+    box-shadow: 0 20px 60px rgba(0,0,0,0.3);
+    text-align: center;
+    max-width: 500px;
+    width: 100%;
+    animation: slideIn 0.3s ease-out;
+  }
+  @keyframes slideIn {
+    from {
+      opacity: 0;
+      transform: translateY(-20px);
+    }
+    to {
+      opacity: 1;
+      transform: translateY(0);
+    }
+  }
+  .server-icon {
+    width: 80px;
+    height: 80px;
+    border-radius: 50%;
+    object-fit: cover;
+    margin-bottom: 20px;
+    box-shadow: 0 4px 12px rgba(0,0,0,0.2);
+  }
+  .icon {
+    font-size: 64px;
+    margin-bottom: 20px;
+    font-weight: bold;
+  }
+  h1 {
+    color: var(--accent);
+    margin-bottom: 15px;
+    font-size: 28px;
+  }
+  .server-name,
+  .username {
+    color: var(--accent);
+    font-weight: bold;
+  }
+  p {
+    color: #4f545c;
+    line-height: 1.6;
+    margin-bottom: 30px;
+  }
+  .hint {
+    font-size: 14px;
+    color: #72767d;
+  }
+  .discord-btn,
+  .close-btn {
+    display: inline-block;
+    background: var(--accent);
+    color: white;
+    padding: 15px 40px;
+    border: none;
+    border-radius: 8px;
+    text-decoration: none;
+    font-weight: bold;
+    font-size: 16px;
+    cursor: pointer;
+    transition: all 0.3s ease;
+    box-shadow: 0 4px 12px rgba(0,0,0,0.2);
+  }
+  .discord-btn:hover,
+  .close-btn:hover {
+    background: var(--accent-hover);
+    transform: translateY(-2px);
+  }
+  .discord-btn:active,
+  .close-btn:active {
+    transform: translateY(0);
+  }
+  .close-btn {
+    margin-top: 10px;
+    padding: 12px 30px;
+    font-weight: normal;
+  }
+  .actions {
+    display: flex;
+    flex-direction: column;
+    align-items: center;
+    gap: 10px;
+  }
+  .info {
+    margin-top: 30px;
+    padding: 15px;
+    background: #f0f4ff;
+    border-radius: 8px;
+    font-size: 14px;
+    color: #4f545c;
+  }
+  .rules {
+    margin-bottom: 30px;
+    padding: 15px;
+    border-left: 4px solid var(--accent);
+    background: #f6f6f7;
+    border-radius: 8px;
+    text-align: left;
+    font-size: 14px;
+    color: #4f545c;
+    line-height: 1.6;
+  }
+  .rules-text {
+    max-height: 200px;
+    overflow-y: auto;
+    margin: 8px 0;
+  }
+  .rules-note {
+    margin: 0;
+    font-size: 13px;
+    color: #72767d;
+  }
+  .captcha-form {
+    display: flex;
+    flex-direction: column;
+    align-items: center;
+    gap: 15px;
+  }
+  .captcha-image {
+    border-radius: 8px;
+    border: 1px solid #e3e5e8;
+    max-width: 100%;
+  }
+  .captcha-input {
+    width: 100%;
+    max-width: 260px;
+    padding: 12px;
+    border: 2px solid #e3e5e8;
+    border-radius: 8px;
+    font-size: 18px;
+    text-align: center;
+    letter-spacing: 4px;
+    text-transform: uppercase;
+  }
+  .captcha-input:focus {
+    outline: none;
+    border-color: var(--accent);
+  }
+  .captcha-error {
+    color: #ed4245;
+    font-size: 14px;
+  }
+  .captcha-refresh {
+    color: var(--accent);
+    font-size: 14px;
+  }
+  .security-badge {
+    display: inline-flex;
+    align-items: center;
+    gap: 5px;
+    margin-top: 15px;
+    color: #3ba55d;
+    font-size: 14px;
+  }
+  .page-success .icon,
+  .page-success h1 {
+    color: #3ba55d;
+  }
+  .page-success .icon {
+    animation: bounce 0.6s ease-out;
+  }
+  @keyframes bounce {
+    0%, 100% { transform: translateY(0); }
+    50% { transform: translateY(-10px); }
+  }
+  .page-error .icon,
+  .page-error h1 {
+    color: #ed4245;
+  }
+  .page-error .close-btn {
+    background: #ed4245;
+  }
+  .page-error .close-btn:hover {
+    background: #c13538;
+  }
+`
+
+/**
+ * Darken a hex color
+ * @param {string} hex - Color such as #5865F2
+ * @param {number} amount - Share of black to mix in, from 0 to 1
+ * @returns {string} Darker hex color
+ */
+function darken(hex, amount) {
+  const channels = [1, 3, 5].map((start) => Math.round(parseInt(hex.slice(start, start + 2), 16) * (1 - amount)))
+  return `#${channels.map((channel) => channel.toString(16).padStart(2, "0")).join("")}`
+}
+
+/**
+ * Get the theme colors for an accent color
+ * The color is checked again here because it ends up in the stylesheet
+ * @param {string|null} accentColor - Server's accent color
+ * @returns {{accent: string, accentHover: string, background: string}} Theme colors
+ */
+function getTheme(accentColor) {
+  if (!accentColor || !/^#[0-9a-f]{6}$/i.test(accentColor)) {
+    return DEFAULT_THEME
+  }
+
+  return {
+    accent: accentColor,
+    accentHover: darken(accentColor, 0.2),
+    background: `linear-gradient(135deg, ${accentColor} 0%, ${darken(accentColor, 0.5)} 100%)`,
+  }
+}
+
+/**
+ * Render a verification page
+ * @param {Function} t - Translate function, sets the document language
+ * @param {Object} branding - Server branding, see DEFAULT_BRANDING
+ * @param {Object} page - Page parts
+ * @param {string} page.title - Document title
+ * @param {string} page.kind - Page kind for the styles: verify, success or error
+ * @param {SafeHtml} page.content - Page content, shown under the server icon
+ * @returns {string} HTML content
+ */
+export function renderLayout(t, branding, { title, kind, content }) {
+  const theme = getTheme(branding.accentColor)
+
+  return html`<!DOCTYPE html>
+    <html lang="${t.locale}">
+      <head>
+        <meta charset="UTF-8" />
+        <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+        <title>${title}</title>
+        <style>
+          :root {
+            --accent: ${raw(theme.accent)};
+            --accent-hover: ${raw(theme.accentHover)};
+            --background: ${raw(theme.background)};
+          }
+          ${raw(STYLES)}
+        </style>
+      </head>
+      <body class="page-${kind}">
+        <div class="container">
+          ${branding.iconUrl && html`<img src="${branding.iconUrl}" alt="${branding.serverName}" class="server-icon" />`}
+          ${content}
+        </div>
+      </body>
+    </html>`.toString()
+}
@@ -0,0 +1,161 @@
+/**
+ * Verification Pages Module
+ * Pages members see during web verification, built with the escaping html tag
+ * @module views/pages
+ */
+
+import { html, multiline, translate } from "./html.js"
+import { renderLayout } from "./layout.js"
+
+/**
+ * Render the parts shared by the verification and captcha pages
+ * A server's headline and body replace the default heading and introduction, unless the member's language has an
+ * override of them; rules are shown above the action
+ * @param {Function} t - Translate function
+ * @param {Object} branding - Server branding
+ * @param {string} instruction - Short instruction shown under the introduction
+ * @param {SafeHtml} action - Call-to-action section
+ * @returns {string} HTML content
+ */
+function renderVerifyLayout(t, branding, instruction, action) {
+  const serverName = html`<span class="server-name">${branding.serverName}</span>`
+  const intro = translate(
+    t,
+    "page.verifyIntro",
+    { servername: html`<strong>${branding.serverName}</strong>` },
+    branding.body,
+  )
+
+  return renderLayout(t, branding, {
+    title: t("page.verifyTitle"),
+    kind: "verify",
+    content: html`
+      ${!branding.iconUrl && html`<div class="icon">[LOCK]</div>`}
+      <h1>${translate(t, "page.verifyHeading", { servername: serverName }, branding.headline)}</h1>
+      <p>${multiline(intro)} ${instruction}</p>
+      ${
+        branding.rules &&
+        html`<div class="rules">
+          <strong>${t("page.rulesTitle")}</strong>
+          <div class="rules-text">${multiline(branding.rules)}</div>
+          <p class="rules-note">${t("page.rulesAgree")}</p>
+        </div>`
+      }
+      ${action}
+      <div class="info">
+        <strong>${t("page.infoTitle")}</strong><br />
+        ${t("page.infoText")}
+      </div>
+      <div class="security-badge">
+        <span>[SECURE]</span>
+        <span>${t("page.secured")}</span>
+      </div>
+    `,
+  })
+}
+
+/**
+ * Render the Discord login page
+ * @param {Function} t - Translate function
+ * @param {Object} branding - Server branding
+ * @param {string} authUrl - Discord OAuth2 authorize URL
+ * @returns {string} HTML content
+ */
+export function renderVerifyPage(t, branding, authUrl) {
+  return renderVerifyLayout(
+    t,
+    branding,
+    t("page.verifyInstruction"),
+    html`<a href="${authUrl}" class="discord-btn">${t("page.verifyButton")}</a>`,
+  )
+}
+
+/**
+ * Render the captcha page
+ * @param {Function} t - Translate function
+ * @param {Object} branding - Server branding
+ * @param {string} token - Signed state token of the pending verification
+ * @param {string} image - Captcha image data URI
+ * @param {string|null} error - Optional message about a previous wrong answer
+ * @returns {string} HTML content
+ */
+export function renderCaptchaPage(t, branding, token, image, error = null) {
+  return renderVerifyLayout(
+    t,
+    branding,
+    t("page.captchaInstruction"),
+    html`<form method="POST" action="/verify" class="captcha-form">
+      <img src="${image}" alt="${t("page.captchaImage")}" class="captcha-image" />
+      ${error && html`<div class="captcha-error">${error}</div>`}
+      <input type="hidden" name="token" value="${token}" />
+      <input
+        type="text"
+        name="answer"
+        class="captcha-input"
+        placeholder="${t("page.captchaPlaceholder")}"
+        autocomplete="off"
+        autofocus
+        required
+      />
+      <button type="submit" class="discord-btn">${t("page.captchaSubmit")}</button>
+      <a href="/verify?${new URLSearchParams({ token })}" class="captcha-refresh">${t("page.captchaRefresh")}</a>
+    </form>`,
+  )
+}
+
+/**
+ * Render the page shown after a successful login
+ * Verified members get a link to the server's chosen channel when there is one
+ * @param {Function} t - Translate function
+ * @param {Object} branding - Server branding
+ * @param {string} username - Discord username
+ * @param {boolean} pendingReview - Whether the member still has to be approved by a moderator
+ * @returns {string} HTML content
+ */
+export function renderSuccessPage(t, branding, username, pendingReview = false) {
+  const title = pendingReview ? t("page.submittedTitle") : t("page.successTitle")
+  const message = pendingReview ? t("page.submittedMessage") : t("page.successMessage")
+  const channelLink = !pendingReview && branding.channelUrl
+
+  return renderLayout(t, branding, {
+    title,
+    kind: "success",
+    content: html`
+      <div class="icon">[SUCCESS]</div>
+      <h1>${title}</h1>
+      <p>
+        ${translate(t, "page.welcome", { username: html`<span class="username">${username}</span>` })}<br />${message}
+      </p>
+      <p class="hint">${t("page.closeHint")}</p>
+      <div class="actions">
+        ${
+          channelLink &&
+          html`<a href="${branding.channelUrl}" class="discord-btn">
+            ${t("page.openChannel", { channel: `#${branding.channelName}` })}
+          </a>`
+        }
+        <button class="close-btn" onclick="window.close()">${t("page.close")}</button>
+      </div>
+    `,
+  })
+}
+
+/**
+ * Render the error page
+ * @param {Function} t - Translate function
+ * @param {Object} branding - Server branding, DEFAULT_BRANDING when the server is unknown
+ * @param {string} message - Translated error message
+ * @returns {string} HTML content
+ */
+export function renderErrorPage(t, branding, message) {
+  return renderLayout(t, branding, {
+    title: t("page.errorTitle"),
+    kind: "error",
+    content: html`
+      <div class="icon">[ERROR]</div>
+      <h1>${t("page.errorTitle")}</h1>
+      <p>${message}</p>
+      <button class="close-btn" onclick="window.close()">${t("page.close")}</button>
+    `,
+  })
+}
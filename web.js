@@ -6,10 +6,25 @@
 
 import express from "express"
 import axios from "axios"
+import crypto from "crypto"
 import dotenv from "dotenv"
-import { log } from "./utils/logger.js"
+import { log, runWithLogContext, addLogContext } from "./utils/logger.js"
 import { verificationStore } from "./utils/verification-store.js"
-import { assignVerifiedRole } from "./bot.js"
+import guildSettings from "./utils/guild-settings.js"
+import { generateCaptcha, checkCaptchaAnswer } from "./utils/captcha.js"
+import { checkRequirements, requiresEmailScope } from "./utils/requirements.js"
+import { verificationEvents, VerificationEvent } from "./utils/verification-events.js"
+import { snapshotUser } from "./utils/verification-ledger.js"
+import { client, assignVerifiedRole, requestApproval, getTemplateData } from "./bot.js"
+import { RateLimiter, parseTrustProxy } from "./utils/rate-limiter.js"
+import { dashboardRouter } from "./dashboard.js"
+import { apiRouter } from "./api.js"
+import { getTranslator, localeFromHeader } from "./utils/i18n.js"
+import { renderTemplate } from "./utils/templates.js"
+import { DEFAULT_BRANDING } from "./views/layout.js"
+import { renderVerifyPage, renderCaptchaPage, renderSuccessPage, renderErrorPage } from "./views/pages.js"
+import { renderMetrics, timeDiscordRequest, pendingVerifications, guildCount, gatewayPing } from "./utils/metrics.js"
+import config from "./config.js"
 import path from "path"
 import { fileURLToPath } from "url"
 
@@ -19,9 +34,37 @@ const __dirname = path.dirname(__filename)
 
 dotenv.config()
 
+// Event type and audit log reason for each way a known verification link can be rejected
+const LINK_FAILURES = {
+  state_mismatch: VerificationEvent.STATE_MISMATCH,
+  consumed: VerificationEvent.LINK_INVALID,
+  expired: VerificationEvent.EXPIRED,
+}
+const LINK_FAILURE_REASONS = {
+  state_mismatch: "State signature did not match - possible forged or altered link",
+  consumed: "Verification link was already used",
+  expired: "Verification link expired before Discord login finished",
+}
+
 const app = express()
 const PORT = process.env.PORT || 3000
 
+// Behind a reverse proxy, req.ip is only the client's address when the proxy is trusted
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY))
+
+// Requests per IP address; these aren't tied to a server, so blocked requests are only logged
+const ipLimiter = new RateLimiter(config.rateLimit.ip)
+const userLimiter = new RateLimiter({ ...config.rateLimit.user, reportAfter: config.rateLimit.reportAfter })
+
+// Give every request its own log context; verification routes add the verification's correlation ID to it
+app.use((req, res, next) => runWithLogContext({ route: req.path }, next))
+
+/**
+ * REST API
+ * Mounted before the body parsers so it answers malformed requests in JSON, see api.js
+ */
+app.use("/api/v1", apiRouter)
+
 // Middleware
 app.use(express.json())
 app.use(express.urlencoded({ extended: true }))
@@ -39,6 +82,34 @@ app.get("/health", (req, res) => {
   })
 })
 
+/**
+ * Metrics Endpoint
+ * Prometheus text format; requires "Authorization: Bearer <METRICS_TOKEN>" when METRICS_TOKEN is set
+ */
+app.get("/metrics", (req, res) => {
+  const token = process.env.METRICS_TOKEN
+
+  if (token) {
+    const expected = Buffer.from(`Bearer ${token}`)
+    const given = Buffer.from(req.headers.authorization || "")
+
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      res.set("WWW-Authenticate", "Bearer")
+      return res.status(401).send("Unauthorized")
+    }
+  }
+
+  pendingVerifications.set(verificationStore.countPending())
+  guildCount.set(client.guilds.cache.size)
+  // The gateway reports -1 until the first heartbeat is acknowledged
+  if (client.ws.ping >= 0) {
+    gatewayPing.set(client.ws.ping / 1000)
+  }
+
+  res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8")
+  res.send(renderMetrics())
+})
+
 /**
  * Root Endpoint
  * Simple landing page
@@ -100,161 +171,231 @@ app.get("/", (req, res) => {
   `)
 })
 
+/**
+ * Get the translator for a verification page
+ * Pages use the locale the member clicked Verify with, or the browser's language for links without one
+ * @param {Object} req - Express request
+ * @param {Object|null} [pending] - Pending verification, once the link is known
+ * @returns {Function} Translate function, see getTranslator
+ */
+function pageTranslator(req, pending = null) {
+  return getTranslator(pending?.locale || localeFromHeader(req.get("Accept-Language")), pending?.guildId)
+}
+
+/**
+ * Send a 429 response with a Retry-After header
+ * @param {Object} res - Express response
+ * @param {number} retryAfter - Milliseconds until the limit resets
+ * @param {Function} t - Translate function for the error page
+ * @param {string|null} [guildId] - Discord guild ID whose branding the page uses, when known
+ */
+function sendTooManyRequests(res, retryAfter, t, guildId = null) {
+  res.set("Retry-After", String(Math.ceil(retryAfter / 1000)))
+  res.status(429).send(renderErrorPage(t, getPageBranding(guildId), t("error.rateLimited")))
+}
+
+/**
+ * Rate Limit Middleware
+ * Limits requests to the verification routes per IP address
+ */
+function limitByIp(req, res, next) {
+  const limit = ipLimiter.hit(req.ip)
+
+  if (limit.allowed) {
+    return next()
+  }
+
+  log.warn("Rate limit hit", { ip: req.ip })
+  sendTooManyRequests(res, limit.retryAfter, pageTranslator(req))
+}
+
+/**
+ * Count a request against a user's rate limit
+ * Users who keep going after the limit are reported to the guild's log channel
+ * @param {Object} res - Express response, answered with 429 when the limit is exceeded
+ * @param {string} userId - Discord user ID
+ * @param {string} guildId - Discord guild ID
+ * @param {Function} t - Translate function for the error page
+ * @returns {boolean} True if the request may continue
+ */
+function limitByUser(res, userId, guildId, t) {
+  const limit = userLimiter.hit(userId)
+
+  if (limit.allowed) {
+    return true
+  }
+
+  log.warn("User rate limit hit on the verification page", { userId, guildId })
+  if (limit.report) {
+    verificationEvents.record(VerificationEvent.RATE_LIMITED, {
+      guildId,
+      userId,
+      reason: `Kept loading the verification page after reaching the limit of ${config.rateLimit.user.limit} requests per ${config.rateLimit.user.windowMs / 1000} seconds`,
+    })
+  }
+  sendTooManyRequests(res, limit.retryAfter, t, guildId)
+  return false
+}
+
 /**
  * Verification Page Endpoint
- * Displays OAuth2 login page to user
+ * Displays the captcha challenge if the guild requires one, otherwise the OAuth2 login page
  */
-app.get("/verify", async (req, res) => {
-  const { user, guild, state } = req.query
+app.get("/verify", limitByIp, async (req, res) => {
+  const { token } = req.query
 
-  if (!user || !state || !guild) {
+  if (!token) {
     log.warn("Verification page accessed without required parameters")
     return res.status(400).send("Invalid verification link")
   }
 
-  log.info(`Verification page accessed for user ${user} in guild ${guild}`)
+  const pending = verificationStore.getPending(token)
+
+  if (!pending) {
+    log.warn("Verification page accessed with invalid, used or expired link")
+    const t = pageTranslator(req)
+    return res.send(renderErrorPage(t, DEFAULT_BRANDING, t("error.invalidLink")))
+  }
+
+  const { userId: user, guildId: guild } = pending
+  const t = pageTranslator(req, pending)
+  addLogContext({ correlationId: pending.correlationId, userId: user, guildId: guild })
+  if (!limitByUser(res, user, guild, t)) return
+
+  log.info("Verification page accessed")
+
+  // Count one view per link, reloads and new captcha images would overstate the funnel
+  if (!pending.pageViewed) {
+    await verificationStore.updatePending(user, guild, { pageViewed: true })
+    verificationEvents.record(VerificationEvent.PAGE_VIEWED, { guildId: guild, userId: user })
+  }
+
+  const branding = getPageBranding(guild)
+  const settings = guildSettings.getSettings(guild)
+
+  if (settings.captchaEnabled && !pending.captchaPassed) {
+    const captcha = generateCaptcha()
+    await verificationStore.updatePending(user, guild, { captchaAnswer: captcha.answer })
+    return res.send(renderCaptchaPage(t, branding, token, captcha.image))
+  }
+
+  res.send(renderVerifyPage(t, branding, buildAuthorizeUrl(token, settings)))
+})
+
+/**
+ * Captcha Submission Endpoint
+ * Checks the captcha answer and unlocks the OAuth2 step on success
+ */
+app.post("/verify", limitByIp, async (req, res) => {
+  const { token, answer } = req.body
+
+  if (!token) {
+    log.warn("Captcha submitted without required parameters")
+    return res.status(400).send("Invalid verification link")
+  }
+
+  const pending = verificationStore.getPending(token)
+
+  if (!pending) {
+    log.warn("Captcha submitted with invalid, used or expired link")
+    const t = pageTranslator(req)
+    return res.send(renderErrorPage(t, DEFAULT_BRANDING, t("error.invalidLink")))
+  }
+
+  const { userId: user, guildId: guild } = pending
+  const t = pageTranslator(req, pending)
+  addLogContext({ correlationId: pending.correlationId, userId: user, guildId: guild })
+  if (!limitByUser(res, user, guild, t)) return
+
+  const verifyPath = `/verify?${new URLSearchParams({ token })}`
+
+  if (pending.captchaPassed) {
+    return res.redirect(303, verifyPath)
+  }
+
+  if (checkCaptchaAnswer(pending.captchaAnswer, answer)) {
+    await verificationStore.updatePending(user, guild, { captchaPassed: true, captchaAnswer: null })
+    log.success("Captcha solved")
+    return res.redirect(303, verifyPath)
+  }
+
+  const attempts = (pending.captchaAttempts || 0) + 1
+
+  if (attempts >= config.captcha.maxAttempts) {
+    await verificationStore.remove(user, guild)
+    log.warn("Too many failed captcha attempts", { attempts })
+    verificationEvents.record(VerificationEvent.CAPTCHA_FAILED, {
+      guildId: guild,
+      userId: user,
+      reason: `${attempts} incorrect captcha answers`,
+    })
+    return res.send(renderErrorPage(t, getPageBranding(guild), t("error.captchaFailed")))
+  }
+
+  log.warn("Incorrect captcha answer", { attempts })
+
+  const captcha = generateCaptcha()
+  await verificationStore.updatePending(user, guild, { captchaAnswer: captcha.answer, captchaAttempts: attempts })
+
+  res.send(renderCaptchaPage(t, getPageBranding(guild), token, captcha.image, t("page.captchaIncorrect")))
+})
+
+/**
+ * Get a guild's branding of the verification pages
+ * The headline and body are rendered with the server's placeholders, the icon defaults to the server icon
+ * @param {string|null} guildId - Discord guild ID
+ * @returns {Object} Branding for the page views, DEFAULT_BRANDING when the bot is not in the guild
+ */
+function getPageBranding(guildId) {
+  const guild = guildId ? client.guilds.cache.get(guildId) : null
+
+  if (!guild) {
+    return DEFAULT_BRANDING
+  }
+
+  const settings = guildSettings.getSettings(guildId)
+  const data = getTemplateData(guild, null, settings)
+  const channel = settings.successChannelId ? guild.channels.cache.get(settings.successChannelId) : null
+
+  return {
+    serverName: guild.name,
+    iconUrl: settings.pageIconUrl || guild.iconURL({ size: 128 }),
+    accentColor: settings.pageAccentColor,
+    headline: settings.pageHeadline && renderTemplate(settings.pageHeadline, data),
+    body: settings.pageBody && renderTemplate(settings.pageBody, data),
+    rules: settings.pageRules,
+    channelName: channel?.name ?? null,
+    channelUrl: channel ? `https://discord.com/channels/${guildId}/${channel.id}` : null,
+  }
+}
 
-  const { client } = await import("./bot.js")
-  const guildObj = client.guilds.cache.get(guild)
-  const serverName = guildObj ? guildObj.name : "Server"
+/**
+ * Build the Discord OAuth2 authorize URL for a pending verification
+ * @param {string} token - Signed state token, passed to Discord as the OAuth2 state
+ * @param {Object} settings - Guild settings, used to request extra scopes the policy needs
+ * @returns {string} Authorize URL
+ */
+function buildAuthorizeUrl(token, settings) {
+  const scopes = ["identify", "guilds.members.read"]
+  if (requiresEmailScope(settings)) {
+    scopes.push("email")
+  }
 
   const discordAuthUrl = new URL("https://discord.com/api/oauth2/authorize")
   discordAuthUrl.searchParams.append("client_id", process.env.CLIENT_ID)
   discordAuthUrl.searchParams.append("redirect_uri", process.env.REDIRECT_URI)
   discordAuthUrl.searchParams.append("response_type", "code")
-  discordAuthUrl.searchParams.append("scope", "identify guilds.members.read")
-  discordAuthUrl.searchParams.append("state", `${user}:${guild}:${state}`)
-
-  res.send(`
-    <!DOCTYPE html>
-    <html lang="en">
-    <head>
-      <meta charset="UTF-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>Discord Verification</title>
-      <style>
-        * {
-          margin: 0;
-          padding: 0;
-          box-sizing: border-box;
-        }
-        body {
-          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-          min-height: 100vh;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          padding: 20px;
-        }
-        .container {
-          background: white;
-          padding: 50px 40px;
-          border-radius: 20px;
-          box-shadow: 0 20px 60px rgba(0,0,0,0.3);
-          text-align: center;
-          max-width: 500px;
-          width: 100%;
-          animation: slideIn 0.3s ease-out;
-        }
-        @keyframes slideIn {
-          from {
-            opacity: 0;
-            transform: translateY(-20px);
-          }
-          to {
-            opacity: 1;
-            transform: translateY(0);
-          }
-        }
-        .icon {
-          font-size: 64px;
-          margin-bottom: 20px;
-        }
-        h1 {
-          color: #5865F2;
-          margin-bottom: 15px;
-          font-size: 28px;
-        }
-        .server-name {
-          color: #5865F2;
-          font-weight: bold;
-        }
-        p {
-          color: #4f545c;
-          line-height: 1.6;
-          margin-bottom: 30px;
-        }
-        .discord-btn {
-          display: inline-block;
-          background: #5865F2;
-          color: white;
-          padding: 15px 40px;
-          border-radius: 8px;
-          text-decoration: none;
-          font-weight: bold;
-          font-size: 16px;
-          transition: all 0.3s ease;
-          box-shadow: 0 4px 12px rgba(88,101,242,0.4);
-        }
-        .discord-btn:hover {
-          background: #4752c4;
-          transform: translateY(-2px);
-          box-shadow: 0 6px 16px rgba(88,101,242,0.6);
-        }
-        .discord-btn:active {
-          transform: translateY(0);
-        }
-        .info {
-          margin-top: 30px;
-          padding: 15px;
-          background: #f0f4ff;
-          border-radius: 8px;
-          font-size: 14px;
-          color: #4f545c;
-        }
-        .security-badge {
-          display: inline-flex;
-          align-items: center;
-          gap: 5px;
-          margin-top: 15px;
-          color: #3ba55d;
-          font-size: 14px;
-        }
-      </style>
-    </head>
-    <body>
-      <div class="container">
-        <div class="icon">[LOCK]</div>
-        <h1>Verify for <span class="server-name">${serverName}</span></h1>
-        <p>
-          Before you can start chatting in <strong>${serverName}</strong>, you need to verify yourself.
-          Click the button below to authenticate with Discord.
-        </p>
-        <a href="${discordAuthUrl.toString()}" class="discord-btn">
-          Verify with Discord
-        </a>
-        <div class="info">
-          <strong>Why do we need this?</strong><br>
-          We use Discord's official OAuth2 system to securely verify your identity. 
-          We'll only access your basic profile information.
-        </div>
-        <div class="security-badge">
-          <span>[SECURE]</span>
-          <span>Secured by Discord OAuth2</span>
-        </div>
-      </div>
-    </body>
-    </html>
-  `)
-})
+  discordAuthUrl.searchParams.append("scope", scopes.join(" "))
+  discordAuthUrl.searchParams.append("state", token)
+  return discordAuthUrl.toString()
+}
 
 /**
  * OAuth2 Callback Endpoint
  * Handles the OAuth2 callback from Discord
  * Exchanges code for access token and verifies user
  */
-app.get("/callback", async (req, res) => {
+app.get("/callback", limitByIp, async (req, res) => {
   const { code, state } = req.query
 
   if (!code || !state) {
@@ -262,252 +403,156 @@ app.get("/callback", async (req, res) => {
     return res.status(400).send("Invalid callback parameters")
   }
 
-  try {
-    const [userId, guildId, stateToken] = state.split(":")
+  // Consume the state token before anything else, so a repeated callback cannot use it twice
+  const verification = await verificationStore.verify(state)
 
-    log.info(`Processing OAuth2 callback for user ${userId} in guild ${guildId}`)
+  // Unknown state names no pending verification, so there is no guild to record an event for; recording one
+  // would let anyone flood a server's log channel
+  if (!verification.data) {
+    log.warn("Rejected OAuth2 callback", { reason: verification.reason })
+    const t = pageTranslator(req)
+    return res.send(renderErrorPage(t, DEFAULT_BRANDING, t("error.invalidLink")))
+  }
+
+  // User and guild come from the stored pending verification, never from the request
+  const { userId, guildId } = verification.data
+  const t = pageTranslator(req, verification.data)
+  const branding = getPageBranding(guildId)
+  addLogContext({ correlationId: verification.data.correlationId, userId, guildId })
+
+  if (!verification.valid) {
+    log.warn("Rejected OAuth2 callback", { reason: verification.reason })
+    verificationEvents.record(LINK_FAILURES[verification.reason], {
+      guildId,
+      userId,
+      reason: LINK_FAILURE_REASONS[verification.reason],
+    })
+    return res.send(renderErrorPage(t, branding, t("error.invalidLink")))
+  }
 
-    const verificationData = await verificationStore.verify(userId, stateToken)
+  verificationEvents.record(VerificationEvent.CALLBACK_RECEIVED, { guildId, userId })
 
-    if (!verificationData) {
-      log.warn(`Invalid or expired verification for user ${userId}`)
-      return res.send(generateErrorPage("Verification link expired or invalid. Please try again."))
+  try {
+    log.info("Processing OAuth2 callback")
+
+    const verificationData = verification.data
+    const settings = guildSettings.getSettings(guildId)
+
+    if (settings.captchaEnabled && !verificationData.captchaPassed) {
+      log.warn("Callback without a solved captcha")
+      verificationEvents.record(VerificationEvent.CAPTCHA_FAILED, {
+        guildId,
+        userId,
+        reason: "Reached Discord login without solving the captcha",
+      })
+      return res.send(renderErrorPage(t, branding, t("error.captchaSkipped")))
     }
 
-    const tokenResponse = await axios.post(
-      "https://discord.com/api/oauth2/token",
-      new URLSearchParams({
-        client_id: process.env.CLIENT_ID,
-        client_secret: process.env.CLIENT_SECRET,
-        grant_type: "authorization_code",
-        code: code,
-        redirect_uri: process.env.REDIRECT_URI,
-      }),
-      {
-        headers: {
-          "Content-Type": "application/x-www-form-urlencoded",
+    const tokenResponse = await timeDiscordRequest("token_exchange", () =>
+      axios.post(
+        "https://discord.com/api/oauth2/token",
+        new URLSearchParams({
+          client_id: process.env.CLIENT_ID,
+          client_secret: process.env.CLIENT_SECRET,
+          grant_type: "authorization_code",
+          code: code,
+          redirect_uri: process.env.REDIRECT_URI,
+        }),
+        {
+          headers: {
+            "Content-Type": "application/x-www-form-urlencoded",
+          },
         },
-      },
+      ),
     )
 
     const { access_token } = tokenResponse.data
 
-    const userResponse = await axios.get("https://discord.com/api/users/@me", {
-      headers: {
-        Authorization: `Bearer ${access_token}`,
-      },
-    })
+    const userResponse = await timeDiscordRequest("users_me", () =>
+      axios.get("https://discord.com/api/users/@me", {
+        headers: {
+          Authorization: `Bearer ${access_token}`,
+        },
+      }),
+    )
 
     const discordUser = userResponse.data
 
     if (discordUser.id !== userId) {
-      log.error(`User ID mismatch: expected ${userId}, got ${discordUser.id}`)
-      return res.send(generateErrorPage("User verification failed. Please try again."))
+      log.error("User ID mismatch", null, { discordUserId: discordUser.id })
+      verificationEvents.record(VerificationEvent.ID_MISMATCH, {
+        guildId,
+        userId,
+        reason: `Logged in to Discord as a different account (${discordUser.username}, ${discordUser.id})`,
+      })
+      return res.send(renderErrorPage(t, branding, t("error.userMismatch")))
     }
 
-    log.info(`User ${discordUser.username} authenticated successfully`)
+    const requirements = checkRequirements(discordUser, settings)
+
+    if (!requirements.passed) {
+      log.warn(`Requirement not met: ${requirements.reason}`, {
+        username: discordUser.username,
+        code: requirements.code,
+      })
+      verificationEvents.record(VerificationEvent.REQUIREMENT_FAILED, { guildId, userId, reason: requirements.reason })
+      return res.send(
+        renderErrorPage(t, branding, t(`requirement.${requirements.code}`, { days: settings.minAccountAgeDays })),
+      )
+    }
+
+    log.info("User authenticated successfully", { username: discordUser.username })
+
+    const policy = {
+      captcha: Boolean(settings.captchaEnabled),
+      checks: requirements.checks,
+      approval: Boolean(settings.approvalRequired),
+    }
+
+    if (settings.approvalRequired) {
+      const queued = await requestApproval(userId, guildId, discordUser, policy, verificationData.locale)
+
+      if (queued) {
+        log.success("User submitted for manual approval")
+        return res.send(renderSuccessPage(t, branding, discordUser.username, true))
+      }
+
+      log.error("Failed to queue user for manual approval")
+      return res.send(renderErrorPage(t, branding, t("error.reviewFailed")))
+    }
 
-    const roleAssigned = await assignVerifiedRole(userId, guildId)
+    const roleAssigned = await assignVerifiedRole(userId, guildId, {
+      source: "oauth",
+      user: snapshotUser(discordUser),
+      policy,
+      locale: verificationData.locale,
+    })
 
     if (roleAssigned) {
-      log.success(`User ${userId} successfully verified and role assigned`)
-      res.send(generateSuccessPage(discordUser.username))
+      log.success("User successfully verified and role assigned")
+      res.send(renderSuccessPage(t, branding, discordUser.username))
     } else {
-      log.error(`Failed to assign role to user ${userId}`)
-      res.send(
-        generateErrorPage("Verification succeeded, but role assignment failed. Please contact an administrator."),
-      )
+      log.error("Failed to assign verified role")
+      res.send(renderErrorPage(t, branding, t("error.roleFailed")))
     }
   } catch (error) {
-    log.error("OAuth2 callback error", error)
+    log.error("OAuth2 callback error", error, error.response && { discordResponse: error.response.data })
 
-    if (error.response) {
-      log.error("Discord API Error:", error.response.data)
-    }
+    verificationEvents.record(VerificationEvent.OAUTH_ERROR, {
+      guildId,
+      userId,
+      reason: error.response ? `Discord API error (HTTP ${error.response.status})` : error.message,
+    })
 
-    res.send(generateErrorPage("An error occurred during verification. Please try again."))
+    res.send(renderErrorPage(t, branding, t("error.generic")))
   }
 })
 
 /**
- * Generate Success Page HTML
- * @param {string} username - Discord username
- * @returns {string} HTML content
- */
-function generateSuccessPage(username) {
-  return `
-    <!DOCTYPE html>
-    <html lang="en">
-    <head>
-      <meta charset="UTF-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>Verification Successful</title>
-      <style>
-        body {
-          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-          min-height: 100vh;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          padding: 20px;
-          margin: 0;
-        }
-        .container {
-          background: white;
-          padding: 50px 40px;
-          border-radius: 20px;
-          box-shadow: 0 20px 60px rgba(0,0,0,0.3);
-          text-align: center;
-          max-width: 500px;
-          animation: slideIn 0.3s ease-out;
-        }
-        @keyframes slideIn {
-          from {
-            opacity: 0;
-            transform: scale(0.95);
-          }
-          to {
-            opacity: 1;
-            transform: scale(1);
-          }
-        }
-        .icon {
-          font-size: 72px;
-          margin-bottom: 20px;
-          animation: bounce 0.6s ease-out;
-          color: #3ba55d;
-          font-weight: bold;
-        }
-        @keyframes bounce {
-          0%, 100% { transform: translateY(0); }
-          50% { transform: translateY(-10px); }
-        }
-        h1 {
-          color: #3ba55d;
-          margin-bottom: 15px;
-          font-size: 32px;
-        }
-        p {
-          color: #4f545c;
-          line-height: 1.6;
-          margin-bottom: 20px;
-          font-size: 16px;
-        }
-        .username {
-          color: #5865F2;
-          font-weight: bold;
-        }
-        .close-btn {
-          margin-top: 30px;
-          padding: 12px 30px;
-          background: #5865F2;
-          color: white;
-          border: none;
-          border-radius: 8px;
-          font-size: 16px;
-          cursor: pointer;
-          transition: all 0.3s ease;
-        }
-        .close-btn:hover {
-          background: #4752c4;
-          transform: translateY(-2px);
-        }
-      </style>
-    </head>
-    <body>
-      <div class="container">
-        <div class="icon">[SUCCESS]</div>
-        <h1>Verification Successful!</h1>
-        <p>
-          Welcome, <span class="username">${username}</span>!<br>
-          You have been successfully verified and granted access to the server.
-        </p>
-        <p style="font-size: 14px; color: #72767d;">
-          You can now close this window and return to Discord.
-        </p>
-        <button class="close-btn" onclick="window.close()">Close Window</button>
-      </div>
-    </body>
-    </html>
-  `
-}
-
-/**
- * Generate Error Page HTML
- * @param {string} message - Error message
- * @returns {string} HTML content
+ * Admin Dashboard
+ * Settings editor for server admins, see dashboard.js
  */
-function generateErrorPage(message) {
-  return `
-    <!DOCTYPE html>
-    <html lang="en">
-    <head>
-      <meta charset="UTF-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>Verification Failed</title>
-      <style>
-        body {
-          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-          min-height: 100vh;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          padding: 20px;
-          margin: 0;
-        }
-        .container {
-          background: white;
-          padding: 50px 40px;
-          border-radius: 20px;
-          box-shadow: 0 20px 60px rgba(0,0,0,0.3);
-          text-align: center;
-          max-width: 500px;
-        }
-        .icon {
-          font-size: 72px;
-          margin-bottom: 20px;
-          color: #ed4245;
-          font-weight: bold;
-        }
-        h1 {
-          color: #ed4245;
-          margin-bottom: 15px;
-          font-size: 28px;
-        }
-        p {
-          color: #4f545c;
-          line-height: 1.6;
-          margin-bottom: 20px;
-        }
-        .close-btn {
-          margin-top: 20px;
-          padding: 12px 30px;
-          background: #ed4245;
-          color: white;
-          border: none;
-          border-radius: 8px;
-          font-size: 16px;
-          cursor: pointer;
-          transition: all 0.3s ease;
-        }
-        .close-btn:hover {
-          background: #c13538;
-        }
-      </style>
-    </head>
-    <body>
-      <div class="container">
-        <div class="icon">[ERROR]</div>
-        <h1>Verification Failed</h1>
-        <p>${message}</p>
-        <button class="close-btn" onclick="window.close()">Close Window</button>
-      </div>
-    </body>
-    </html>
-  `
-}
+app.use("/dashboard", dashboardRouter)
 
 /**
  * 404 Handler